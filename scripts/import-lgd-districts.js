@@ -0,0 +1,64 @@
+/**
+ * LGD District Code Import
+ * Writes LGD district codes from the LGD directory's district export (https://lgdirectory.gov.in, "State Code",
+ * "District Code", "District Name (In English)" columns, as CSV or JSON rows) into the bundled district reference
+ *
+ * Usage: node scripts/import-lgd-districts.js <export.csv|export.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { DISTRICTS, loadDistrictCodes } = require('../src/reference/geography');
+
+const DISTRICTS_FILE = path.join(__dirname, '..', 'src', 'reference', 'districts.json');
+
+/**
+ * Read the export rows
+ * @param {string} file - Export file path
+ * @returns {array} Rows
+ */
+function readRows(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    return file.toLowerCase().endsWith('.json')
+        ? JSON.parse(text)
+        : parse(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+}
+
+/**
+ * Format a district as one line of districts.json
+ * @param {object} district - District ({state, name, aliases, code})
+ * @returns {string} JSON line
+ */
+function formatDistrict(district) {
+    const fields = Object.entries(district).map(([key, value]) => {
+        const json = Array.isArray(value) ? `[${value.map(item => JSON.stringify(item)).join(', ')}]` : JSON.stringify(value);
+        return `"${key}": ${json}`;
+    });
+
+    return `  { ${fields.join(', ')} }`;
+}
+
+function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node scripts/import-lgd-districts.js <export.csv|export.json>');
+        process.exit(1);
+    }
+
+    const summary = loadDistrictCodes(readRows(file));
+    const districts = [...DISTRICTS].sort((a, b) => a.state - b.state);
+
+    fs.writeFileSync(DISTRICTS_FILE, `[\n${districts.map(formatDistrict).join(',\n')}\n]\n`);
+
+    const missing = districts.filter(district => !district.code);
+    console.log(`LGD district codes: ${summary.matched} matched, ${summary.added} added, ${summary.skipped} skipped`);
+    if (summary.added > 0) {
+        console.log('⚠️  Added districts may be renamed bundled ones: merge their aliases and remove the old entry.');
+    }
+    if (missing.length > 0) {
+        console.log(`⚠️  ${missing.length} bundled district(s) still without a code: ${missing.slice(0, 20).map(d => d.name).join(', ')}`);
+    }
+}
+
+main();
@@ -4,6 +4,7 @@
  */
 
 const stats = require('simple-statistics');
+const moment = require('moment');
 const { calculateQualityScore } = require('./utils');
 
 class AnalyticsEngine {
@@ -27,6 +28,12 @@ class AnalyticsEngine {
                 recommendations: []
             };
 
+            // Trends for resources that yielded time series
+            const trends = this.analyzeResourceTrends(dataset.resources);
+            if (trends.length > 0) {
+                analysis.trends = trends;
+            }
+
             // Generate recommendations
             analysis.recommendations = this.generateRecommendations(analysis);
 
@@ -184,8 +191,9 @@ class AnalyticsEngine {
 
     /**
      * Detect trends in time-series data
+     * Points are placed at their actual dates (slope is per year); points without dates fall back to index spacing.
      * @param {array} timeSeries - Array of {date, value} objects
-     * @returns {object} Trend analysis
+     * @returns {object} Trend analysis with seasonality, YoY growth, CAGR and change points
      */
     detectTrends(timeSeries) {
         if (!Array.isArray(timeSeries) || timeSeries.length < 2) {
@@ -193,31 +201,43 @@ class AnalyticsEngine {
         }
 
         try {
-            // Prepare data for linear regression
-            const dataPoints = timeSeries
-                .filter(point => point.value != null && !isNaN(point.value))
-                .map((point, index) => [index, parseFloat(point.value)]);
+            const points = this.normalizeSeries(timeSeries);
 
-            if (dataPoints.length < 2) {
+            if (points.length < 2) {
                 return null;
             }
 
+            const dataPoints = points.map(point => [point.time, point.value]);
+
             // Calculate linear regression
             const regression = stats.linearRegression(dataPoints);
             const rSquared = stats.rSquared(dataPoints, stats.linearRegressionLine(regression));
 
-            // Determine trend direction
+            // Determine trend direction relative to the series level (0.5% per year)
+            const level = Math.abs(stats.mean(points.map(point => point.value)));
+            const relativeSlope = level > 0 ? regression.m / level : regression.m;
+
             let direction = 'stable';
-            if (regression.m > 0.01) direction = 'increasing';
-            else if (regression.m < -0.01) direction = 'decreasing';
+            if (relativeSlope > 0.005) direction = 'increasing';
+            else if (relativeSlope < -0.005) direction = 'decreasing';
+
+            const dated = points[0].date !== null;
 
             return {
                 direction,
                 slope: regression.m,
+                slopeUnit: dated ? 'per_year' : 'per_point',
                 intercept: regression.b,
                 strength: rSquared > 0.7 ? 'strong' : rSquared > 0.4 ? 'moderate' : 'weak',
                 rSquared,
-                dataPoints: dataPoints.length
+                dataPoints: points.length,
+                startDate: dated ? points[0].date.format('YYYY-MM-DD') : null,
+                endDate: dated ? points[points.length - 1].date.format('YYYY-MM-DD') : null,
+                frequency: dated ? this.detectFrequency(points) : null,
+                seasonality: dated ? this.detectSeasonality(points, regression) : null,
+                yoyGrowth: dated ? this.calculateYoYGrowth(points) : null,
+                cagr: dated ? this.calculateCAGR(points) : null,
+                changePoints: this.detectChangePoints(points)
             };
 
         } catch (error) {
@@ -226,8 +246,250 @@ class AnalyticsEngine {
         }
     }
 
+    /**
+     * Normalize a series to sorted points with a time axis in years since the first point
+     * @param {array} timeSeries - Array of {date, value} objects
+     * @returns {array} Points ({date, time, value})
+     */
+    normalizeSeries(timeSeries) {
+        const valid = timeSeries.filter(point => point.value != null && !isNaN(parseFloat(point.value)));
+        const dated = valid.length > 0 && valid.every(point => point.date != null && moment(point.date).isValid());
+
+        if (!dated) {
+            return valid.map((point, index) => ({ date: null, time: index, value: parseFloat(point.value) }));
+        }
+
+        const points = valid
+            .map(point => {
+                const date = typeof point.date === 'number' ? moment(`${point.date}-01-01`) : moment(point.date);
+                return { date, value: parseFloat(point.value) };
+            })
+            .sort((a, b) => a.date.valueOf() - b.date.valueOf());
+
+        // Fractional calendar years keep annual observations exactly one unit apart
+        const toYears = date => date.year() + (date.dayOfYear() - 1) / (date.isLeapYear() ? 366 : 365);
+        const origin = toYears(points[0].date);
+
+        return points.map(point => ({
+            ...point,
+            time: toYears(point.date) - origin
+        }));
+    }
+
+    /**
+     * Classify the spacing between observations
+     * @param {array} points - Normalized points
+     * @returns {string} Frequency (daily, weekly, monthly, quarterly, yearly, irregular)
+     */
+    detectFrequency(points) {
+        const gaps = points.slice(1).map((point, index) => point.date.diff(points[index].date, 'days'));
+        const gap = stats.median(gaps);
+
+        if (gap <= 1) return 'daily';
+        if (gap >= 6 && gap <= 8) return 'weekly';
+        if (gap >= 28 && gap <= 31) return 'monthly';
+        if (gap >= 89 && gap <= 92) return 'quarterly';
+        if (gap >= 365 && gap <= 366) return 'yearly';
+        return 'irregular';
+    }
+
+    /**
+     * Detect monthly or quarterly seasonality in the detrended series
+     * @param {array} points - Normalized points
+     * @param {object} regression - Linear regression ({m, b})
+     * @returns {object} Seasonality summary
+     */
+    detectSeasonality(points, regression) {
+        const frequency = this.detectFrequency(points);
+        const period = frequency === 'monthly' ? 12 : frequency === 'quarterly' ? 4 : null;
+
+        if (!period) {
+            return { detected: false, reason: `Not applicable to ${frequency} data` };
+        }
+
+        if (points.length < period * 2) {
+            return { detected: false, period, reason: `Needs at least ${period * 2} observations` };
+        }
+
+        const residuals = points.map(point => ({
+            season: period === 12 ? point.date.month() : point.date.quarter() - 1,
+            value: point.value - (regression.m * point.time + regression.b)
+        }));
+
+        const seasonalMeans = Array.from({ length: period }, (_, season) => {
+            const values = residuals.filter(residual => residual.season === season).map(residual => residual.value);
+            return values.length > 0 ? stats.mean(values) : 0;
+        });
+
+        const residualVariance = stats.variance(residuals.map(residual => residual.value));
+        const remainderVariance = stats.variance(residuals.map(residual => residual.value - seasonalMeans[residual.season]));
+        const strength = residualVariance > 0 ? Math.max(0, 1 - remainderVariance / residualVariance) : 0;
+
+        const label = season => period === 12 ? moment().month(season).format('MMMM') : `Q${season + 1}`;
+        const peak = seasonalMeans.indexOf(Math.max(...seasonalMeans));
+        const trough = seasonalMeans.indexOf(Math.min(...seasonalMeans));
+
+        return {
+            detected: strength >= 0.3,
+            period,
+            strength,
+            peak: label(peak),
+            trough: label(trough),
+            seasonalEffects: seasonalMeans.map((effect, season) => ({ season: label(season), effect }))
+        };
+    }
+
+    /**
+     * Calculate year-over-year growth against the observation one year earlier
+     * @param {array} points - Normalized points
+     * @returns {object|null} Growth points with latest and average growth (percent)
+     */
+    calculateYoYGrowth(points) {
+        const byDate = new Map(points.map(point => [point.date.format('YYYY-MM-DD'), point.value]));
+        const growth = [];
+
+        points.forEach(point => {
+            const previous = byDate.get(point.date.clone().subtract(1, 'year').format('YYYY-MM-DD'));
+            if (previous === undefined || previous === 0) return;
+
+            growth.push({
+                date: point.date.format('YYYY-MM-DD'),
+                growth: ((point.value - previous) / Math.abs(previous)) * 100
+            });
+        });
+
+        if (growth.length === 0) {
+            return null;
+        }
+
+        return {
+            latest: growth[growth.length - 1].growth,
+            average: stats.mean(growth.map(item => item.growth)),
+            points: growth
+        };
+    }
+
+    /**
+     * Calculate compound annual growth rate between the first and last observation
+     * @param {array} points - Normalized points
+     * @returns {number|null} CAGR (percent) or null when undefined
+     */
+    calculateCAGR(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const years = last.time - first.time;
+
+        if (years <= 0 || first.value <= 0 || last.value <= 0) {
+            return null;
+        }
+
+        return (Math.pow(last.value / first.value, 1 / years) - 1) * 100;
+    }
+
+    /**
+     * Detect structural breaks by binary segmentation of piecewise linear fits
+     * @param {array} points - Normalized points
+     * @param {number} maxChangePoints - Maximum number of change points
+     * @returns {array} Change points with level and slope before/after
+     */
+    detectChangePoints(points, maxChangePoints = 3) {
+        const minSegment = 3;
+        const splits = [];
+
+        // Residuals below this are rounding noise (exact linear fit)
+        const tolerance = 1e-12 * points.reduce((sum, point) => sum + point.value * point.value, 0) + 1e-12;
+
+        const segmentCost = (start, end) => {
+            const segment = points.slice(start, end).map(point => [point.time, point.value]);
+            const line = stats.linearRegressionLine(stats.linearRegression(segment));
+            return segment.reduce((sum, [x, y]) => sum + Math.pow(y - line(x), 2), 0);
+        };
+
+        const findSplit = (start, end) => {
+            const length = end - start;
+            if (length < minSegment * 2 + 2) return null;
+
+            const baseCost = segmentCost(start, end);
+            let best = null;
+
+            for (let index = start + minSegment; index <= end - minSegment; index++) {
+                const cost = segmentCost(start, index) + segmentCost(index, end);
+                if (!best || cost < best.cost) best = { index, cost };
+            }
+
+            // F-test for two extra regression parameters; tiny residuals mean an exact fit
+            const fStatistic = best.cost > tolerance
+                ? ((baseCost - best.cost) / 2) / (best.cost / (length - 4))
+                : (baseCost > tolerance ? Infinity : 0);
+
+            return fStatistic >= 10 ? { ...best, start, end, fStatistic } : null;
+        };
+
+        const queue = [[0, points.length]];
+        while (queue.length > 0 && splits.length < maxChangePoints) {
+            const [start, end] = queue.shift();
+            const split = findSplit(start, end);
+
+            if (split) {
+                splits.push(split);
+                queue.push([start, split.index], [split.index, end]);
+            }
+        }
+
+        return splits
+            .sort((a, b) => a.index - b.index)
+            .map(split => {
+                const describe = (start, end) => {
+                    const segment = points.slice(start, end);
+                    const regression = stats.linearRegression(segment.map(point => [point.time, point.value]));
+                    return { mean: stats.mean(segment.map(point => point.value)), slope: regression.m };
+                };
+
+                const point = points[split.index];
+
+                return {
+                    index: split.index,
+                    date: point.date ? point.date.format('YYYY-MM-DD') : null,
+                    before: describe(split.start, split.index),
+                    after: describe(split.index, split.end),
+                    fStatistic: split.fStatistic
+                };
+            });
+    }
+
+    /**
+     * Run trend detection on the time series built for acquired resources
+     * @param {array} resources - Acquired resources (with data.timeSeries)
+     * @returns {array} Trend results per resource table and series
+     */
+    analyzeResourceTrends(resources) {
+        const results = [];
+
+        (resources || []).forEach(resource => {
+            (resource.data?.timeSeries || []).forEach(seriesSet => {
+                results.push({
+                    resourceId: resource.id,
+                    resourceName: resource.name,
+                    table: seriesSet.table,
+                    layout: seriesSet.layout,
+                    timeColumn: seriesSet.timeColumn || null,
+                    granularity: seriesSet.granularity,
+                    series: seriesSet.series.map(series => ({
+                        column: series.column,
+                        label: series.label,
+                        aggregation: series.aggregation,
+                        trend: this.detectTrends(series.points)
+                    }))
+                });
+            });
+        });
+
+        return results;
+    }
+
     /**
      * Calculate correlation between two datasets
+     * Pairs where either value is missing are dropped together, so the arrays stay aligned.
      * @param {array} dataX - First dataset
      * @param {array} dataY - Second dataset
      * @returns {number} Correlation coefficient (-1 to 1)
@@ -238,14 +500,15 @@ class AnalyticsEngine {
         }
 
         try {
-            const numbersX = dataX.map(v => parseFloat(v)).filter(v => !isNaN(v));
-            const numbersY = dataY.map(v => parseFloat(v)).filter(v => !isNaN(v));
+            const pairs = this.alignPairs(dataX, dataY);
 
-            if (numbersX.length !== numbersY.length || numbersX.length < 2) {
+            if (pairs.length < 2) {
                 return null;
             }
 
-            return stats.sampleCorrelation(numbersX, numbersY);
+            const correlation = stats.sampleCorrelation(pairs.map(pair => pair[0]), pairs.map(pair => pair[1]));
+            // Clamp floating-point overshoot on perfectly correlated data
+            return isNaN(correlation) ? null : Math.max(-1, Math.min(1, correlation));
 
         } catch (error) {
             console.error('Correlation calculation error:', error.message);
@@ -253,6 +516,88 @@ class AnalyticsEngine {
         }
     }
 
+    /**
+     * Calculate Spearman rank correlation between two datasets
+     * @param {array} dataX - First dataset
+     * @param {array} dataY - Second dataset
+     * @returns {number} Rank correlation coefficient (-1 to 1)
+     */
+    calculateRankCorrelation(dataX, dataY) {
+        if (!Array.isArray(dataX) || !Array.isArray(dataY) || dataX.length !== dataY.length) {
+            return null;
+        }
+
+        const pairs = this.alignPairs(dataX, dataY);
+        if (pairs.length < 2) {
+            return null;
+        }
+
+        return this.calculateCorrelation(
+            rank(pairs.map(pair => pair[0])),
+            rank(pairs.map(pair => pair[1]))
+        );
+    }
+
+    /**
+     * Keep index-aligned pairs where both values are numbers
+     * @param {array} dataX - First dataset
+     * @param {array} dataY - Second dataset
+     * @returns {array} [x, y] pairs
+     */
+    alignPairs(dataX, dataY) {
+        return dataX
+            .map((value, index) => [parseFloat(value), parseFloat(dataY[index])])
+            .filter(([x, y]) => isFinite(x) && isFinite(y));
+    }
+
+    /**
+     * Correlate measures across the sources of a joined table
+     * @param {object} joined - Join result ({sources, rows})
+     * @param {object} options - minOverlap (minimum matched keys per pair)
+     * @returns {array} Pairwise correlations sorted by strength
+     */
+    correlateJoinedData(joined, options = {}) {
+        const minOverlap = options.minOverlap || 3;
+        const correlations = [];
+
+        joined.sources.forEach((sourceA, indexA) => {
+            joined.sources.slice(indexA + 1).forEach(sourceB => {
+                sourceA.measures.forEach(measureA => {
+                    sourceB.measures.forEach(measureB => {
+                        const pairs = joined.rows
+                            .map(row => [row.values[sourceA.id]?.[measureA], row.values[sourceB.id]?.[measureB]])
+                            .filter(([x, y]) => x != null && y != null);
+
+                        const entry = {
+                            x: { source: sourceA.label, column: measureA },
+                            y: { source: sourceB.label, column: measureB },
+                            n: pairs.length
+                        };
+
+                        if (pairs.length < minOverlap) {
+                            correlations.push({ ...entry, pearson: null, spearman: null, reason: `Fewer than ${minOverlap} matched keys` });
+                            return;
+                        }
+
+                        const xs = pairs.map(pair => pair[0]);
+                        const ys = pairs.map(pair => pair[1]);
+                        const pearson = this.calculateCorrelation(xs, ys);
+
+                        correlations.push({
+                            ...entry,
+                            pearson,
+                            spearman: this.calculateRankCorrelation(xs, ys),
+                            strength: describeCorrelation(pearson),
+                            direction: pearson === null ? null : pearson >= 0 ? 'positive' : 'negative'
+                        });
+                    });
+                });
+            });
+        });
+
+        return correlations.sort((a, b) => Math.abs(b.pearson ?? 0) - Math.abs(a.pearson ?? 0));
+    }
+
     /**
      * Generate recommendations based on analysis
      * @param {object} analysis - Analysis results
@@ -418,4 +763,43 @@ class AnalyticsEngine {
     }
 }
 
+/**
+ * Rank values (ties share their average rank)
+ * @param {array} values - Numeric values
+ * @returns {array} Ranks (1-based)
+ */
+function rank(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+
+        const averageRank = (start + end) / 2 + 1;
+        for (let position = start; position <= end; position++) {
+            ranks[order[position].index] = averageRank;
+        }
+
+        start = end + 1;
+    }
+
+    return ranks;
+}
+
+/**
+ * Describe the strength of a correlation coefficient
+ * @param {number} coefficient - Correlation coefficient
+ * @returns {string|null} Strength label
+ */
+function describeCorrelation(coefficient) {
+    if (coefficient === null) return null;
+
+    const absolute = Math.abs(coefficient);
+    if (absolute >= 0.7) return 'strong';
+    if (absolute >= 0.4) return 'moderate';
+    if (absolute >= 0.2) return 'weak';
+    return 'negligible';
+}
+
 module.exports = AnalyticsEngine;
@@ -11,6 +11,7 @@ const { sleep, calculateBackoff, createError } = require('./utils');
 class DataGovINClient {
     constructor(config = {}) {
         this.baseURL = 'https://data.gov.in/api/3/action';
+        this.recordsBaseURL = 'https://api.data.gov.in/resource';
         this.apiKey = config.apiKey || null;
         this.oauthToken = config.oauthToken || null;
         this.debugMode = config.debugMode || false;
@@ -40,23 +41,7 @@ class DataGovINClient {
         });
 
         // Configure retry logic with exponential backoff
-        axiosRetry(this.client, {
-            retries: retryAttempts,
-            retryDelay: (retryCount, error) => {
-                const delay = calculateBackoff(retryCount - 1);
-                if (this.debugMode) {
-                    console.log(`Retry attempt ${retryCount} after ${delay}ms delay. Error: ${error.message}`);
-                }
-                return delay;
-            },
-            retryCondition: (error) => {
-                // Retry on network errors or 5xx server errors
-                return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
-                    (error.response && error.response.status >= 500) ||
-                    (error.response && error.response.status === 429); // Rate limit
-            },
-            shouldResetTimeout: true
-        });
+        axiosRetry(this.client, this.getRetryOptions(retryAttempts));
 
         // Request interceptor for authentication
         this.client.interceptors.request.use(
@@ -74,23 +59,24 @@ class DataGovINClient {
         // Response interceptor for error handling
         this.client.interceptors.response.use(
             (response) => response,
-            (error) => {
-                if (error.response) {
-                    const status = error.response.status;
-                    const message = error.response.data?.error?.message || error.message;
-
-                    if (status === 403) {
-                        throw createError('Access forbidden. Check API credentials.', 'API_FORBIDDEN', { status });
-                    } else if (status === 404) {
-                        throw createError('Resource not found.', 'API_NOT_FOUND', { status });
-                    } else if (status === 429) {
-                        throw createError('Rate limit exceeded. Implement backoff.', 'API_RATE_LIMIT', { status });
-                    } else if (status >= 500) {
-                        throw createError('Server error. Retrying...', 'API_SERVER_ERROR', { status, message });
-                    }
-                }
-                return Promise.reject(error);
+            (error) => this.handleResponseError(error)
+        );
+
+        // Separate client for the api.data.gov.in resource records API
+        this.recordsClient = axios.create({
+            baseURL: this.recordsBaseURL,
+            timeout: 30000,
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'DataGovIN-Sentinel-Actor/1.0'
             }
+        });
+
+        axiosRetry(this.recordsClient, this.getRetryOptions(retryAttempts));
+
+        this.recordsClient.interceptors.response.use(
+            (response) => response,
+            (error) => this.handleResponseError(error)
         );
 
         this.stats = {
@@ -101,6 +87,54 @@ class DataGovINClient {
         };
     }
 
+    /**
+     * Build axios-retry options with exponential backoff
+     * @param {number} retryAttempts - Maximum number of retries
+     * @returns {object} axios-retry configuration
+     */
+    getRetryOptions(retryAttempts) {
+        return {
+            retries: retryAttempts,
+            retryDelay: (retryCount, error) => {
+                const delay = calculateBackoff(retryCount - 1);
+                if (this.debugMode) {
+                    console.log(`Retry attempt ${retryCount} after ${delay}ms delay. Error: ${error.message}`);
+                }
+                return delay;
+            },
+            retryCondition: (error) => {
+                // Retry on network errors or 5xx server errors
+                return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
+                    (error.response && error.response.status >= 500) ||
+                    (error.response && error.response.status === 429); // Rate limit
+            },
+            shouldResetTimeout: true
+        };
+    }
+
+    /**
+     * Map HTTP error responses to standardized errors
+     * @param {object} error - Axios error
+     * @returns {Promise} Rejected promise
+     */
+    handleResponseError(error) {
+        if (error.response) {
+            const status = error.response.status;
+            const message = error.response.data?.error?.message || error.response.data?.message || error.message;
+
+            if (status === 403) {
+                throw createError('Access forbidden. Check API credentials.', 'API_FORBIDDEN', { status });
+            } else if (status === 404) {
+                throw createError('Resource not found.', 'API_NOT_FOUND', { status });
+            } else if (status === 429) {
+                throw createError('Rate limit exceeded. Implement backoff.', 'API_RATE_LIMIT', { status });
+            } else if (status >= 500) {
+                throw createError('Server error. Retrying...', 'API_SERVER_ERROR', { status, message });
+            }
+        }
+        return Promise.reject(error);
+    }
+
     /**
      * Make a rate-limited API request
      * @param {string} endpoint - API endpoint
@@ -151,7 +185,7 @@ class DataGovINClient {
     async packageSearch(query = '*:*', options = {}) {
         const params = {
             q: query,
-            rows: options.rows || 10,
+            rows: options.rows ?? 10,
             start: options.start || 0,
             sort: options.sort || 'metadata_modified desc'
         };
@@ -163,6 +197,9 @@ class DataGovINClient {
         if (options.facet) {
             params.facet = options.facet;
             params['facet.field'] = options.facetFields || ['organization', 'tags', 'groups'];
+            if (options.facetLimit) {
+                params['facet.limit'] = options.facetLimit;
+            }
         }
 
         return this.request('package_search', params);
@@ -192,12 +229,7 @@ class DataGovINClient {
      * @returns {Promise<array>} List of organizations
      */
     async organizationList(options = {}) {
-        const params = {
-            all_fields: options.allFields !== false,
-            limit: options.limit || 100,
-            offset: options.offset || 0
-        };
-        return this.request('organization_list', params);
+        return this.request('organization_list', this.buildListParams(options));
     }
 
     /**
@@ -206,12 +238,27 @@ class DataGovINClient {
      * @returns {Promise<array>} List of groups
      */
     async groupList(options = {}) {
+        return this.request('group_list', this.buildListParams(options));
+    }
+
+    /**
+     * Build organization_list/group_list parameters
+     * @param {object} options - List options (allFields, includeGroups, limit, offset)
+     * @returns {object} Query parameters
+     */
+    buildListParams(options = {}) {
         const params = {
             all_fields: options.allFields !== false,
             limit: options.limit || 100,
             offset: options.offset || 0
         };
-        return this.request('group_list', params);
+
+        // Parent organizations/groups (CKAN hierarchy membership), e.g. ministry -> department
+        if (options.includeGroups && params.all_fields) {
+            params.include_groups = true;
+        }
+
+        return params;
     }
 
     /**
@@ -226,6 +273,54 @@ class DataGovINClient {
         return this.request('tag_list', params);
     }
 
+    /**
+     * Iterate over every item of a paged list action
+     * The portal may return fewer items than requested per page (CKAN caps all_fields listings),
+     * so only an empty page or the reported total ends the listing
+     * @param {function} fetchPage - Fetches one page ({limit, offset}) and returns an array or {count, results}
+     * @param {object} options - Pagination options (pageSize, maxItems)
+     * @returns {AsyncGenerator<object>} List items
+     */
+    async *iterateList(fetchPage, options = {}) {
+        const pageSize = options.pageSize || 100;
+        const maxItems = options.maxItems || Infinity;
+        let offset = 0;
+
+        while (offset < maxItems) {
+            const page = await fetchPage({ limit: Math.min(pageSize, maxItems - offset), offset });
+            const items = Array.isArray(page) ? page : page?.results || [];
+
+            if (items.length === 0) {
+                break;
+            }
+
+            yield* items.slice(0, maxItems - offset);
+            offset += items.length;
+
+            if (!Array.isArray(page) && typeof page?.count === 'number' && offset >= page.count) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Iterate over all organizations
+     * @param {object} options - List and pagination options (allFields, includeGroups, pageSize, maxItems)
+     * @returns {AsyncGenerator<object>} Organizations
+     */
+    iterateOrganizations(options = {}) {
+        return this.iterateList(page => this.organizationList({ ...options, ...page }), options);
+    }
+
+    /**
+     * Iterate over all groups/sectors
+     * @param {object} options - List and pagination options (allFields, includeGroups, pageSize, maxItems)
+     * @returns {AsyncGenerator<object>} Groups
+     */
+    iterateGroups(options = {}) {
+        return this.iterateList(page => this.groupList({ ...options, ...page }), options);
+    }
+
     /**
      * Download resource file
      * @param {string} url - Resource URL
@@ -263,6 +358,167 @@ class DataGovINClient {
         });
     }
 
+    /**
+     * Open a streaming download of a resource file
+     * @param {string} url - Resource URL
+     * @returns {Promise<Readable>} Response body stream
+     */
+    async downloadResourceStream(url) {
+        return this.limiter.schedule(async () => {
+            try {
+                this.stats.totalRequests++;
+
+                const response = await axios.get(url, {
+                    responseType: 'stream',
+                    timeout: 60000, // Connection timeout; the body is consumed by the caller
+                    headers: {
+                        'User-Agent': 'DataGovIN-Sentinel-Actor/1.0'
+                    }
+                });
+
+                this.stats.successfulRequests++;
+                return response.data;
+
+            } catch (error) {
+                this.stats.failedRequests++;
+
+                if (error.code === 'ECONNABORTED') {
+                    throw createError('Download timeout exceeded', 'DOWNLOAD_TIMEOUT');
+                } else if (error.response?.status === 404) {
+                    throw createError('Resource file not found', 'DOWNLOAD_NOT_FOUND');
+                }
+
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Fetch one page of records from the api.data.gov.in resource records API
+     * @param {string} resourceId - Resource ID (index name)
+     * @param {object} options - Page options (offset, limit, filters, sort)
+     * @returns {Promise<object>} Records API response (fields, total, records)
+     */
+    async fetchRecords(resourceId, options = {}) {
+        if (!this.apiKey) {
+            throw createError('An API key is required for the records API.', 'API_KEY_REQUIRED', { resourceId });
+        }
+
+        const params = {
+            'api-key': this.apiKey,
+            format: 'json',
+            offset: options.offset || 0,
+            limit: options.limit || 100
+        };
+
+        // filters[field]=value
+        for (const [field, value] of Object.entries(options.filters || {})) {
+            if (value !== undefined && value !== null && value !== '') {
+                params[`filters[${field}]`] = value;
+            }
+        }
+
+        // sort[field]=asc|desc
+        for (const [field, direction] of Object.entries(options.sort || {})) {
+            params[`sort[${field}]`] = String(direction).toLowerCase() === 'desc' ? 'desc' : 'asc';
+        }
+
+        return this.limiter.schedule(async () => {
+            try {
+                this.stats.totalRequests++;
+
+                if (this.debugMode) {
+                    console.log(`Records API Request: ${resourceId}`, { ...params, 'api-key': '***' });
+                }
+
+                const response = await this.recordsClient.get(`/${encodeURIComponent(resourceId)}`, { params });
+
+                this.stats.successfulRequests++;
+
+                if (response.data.status === 'error' || response.data.status === false) {
+                    throw createError(
+                        response.data.message || 'Records API returned unsuccessful response',
+                        'RECORDS_API_ERROR',
+                        { resourceId }
+                    );
+                }
+
+                return response.data;
+
+            } catch (error) {
+                this.stats.failedRequests++;
+
+                if (this.debugMode) {
+                    console.error(`Records API Error: ${resourceId}`, error.message);
+                }
+
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Iterate over all record pages of a resource using offset pagination
+     * @param {string} resourceId - Resource ID (index name)
+     * @param {object} options - Pagination options (pageSize, maxRecords, filters, sort)
+     * @returns {AsyncGenerator<object>} Records API page responses
+     */
+    async *iterateRecordPages(resourceId, options = {}) {
+        const pageSize = options.pageSize || 100;
+        const maxRecords = options.maxRecords || Infinity;
+        let offset = options.offset || 0;
+        let fetched = 0;
+
+        while (fetched < maxRecords) {
+            const limit = Math.min(pageSize, maxRecords - fetched);
+            const page = await this.fetchRecords(resourceId, {
+                offset,
+                limit,
+                filters: options.filters,
+                sort: options.sort
+            });
+
+            const records = page.records || [];
+            fetched += records.length;
+
+            yield page;
+
+            const total = parseInt(page.total, 10);
+            if (records.length < limit || (!isNaN(total) && offset + records.length >= total)) {
+                break;
+            }
+
+            offset += records.length;
+        }
+    }
+
+    /**
+     * Fetch all records of a resource (up to maxRecords)
+     * @param {string} resourceId - Resource ID (index name)
+     * @param {object} options - Pagination options (pageSize, maxRecords, filters, sort)
+     * @returns {Promise<object>} Resource info, field definitions and records
+     */
+    async fetchAllRecords(resourceId, options = {}) {
+        const records = [];
+        let firstPage = null;
+
+        for await (const page of this.iterateRecordPages(resourceId, options)) {
+            if (!firstPage) firstPage = page;
+            records.push(...(page.records || []));
+        }
+
+        const total = parseInt(firstPage?.total, 10);
+
+        return {
+            resourceId,
+            title: firstPage?.title,
+            description: firstPage?.desc,
+            fields: firstPage?.field || [],
+            total: isNaN(total) ? records.length : total,
+            records
+        };
+    }
+
     /**
      * Get API statistics
      * @returns {object} Request statistics
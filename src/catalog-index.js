@@ -0,0 +1,715 @@
+/**
+ * Catalog Index Module
+ * Harvests catalog metadata into the key-value store and serves search, facets and discovery from it with BM25 ranking
+ */
+
+const zlib = require('zlib');
+const moment = require('moment');
+const { Actor } = require('apify');
+const { parseQuery, extractText, isPlainText, FIELDS } = require('./query-language');
+const { classifyJurisdiction } = require('./reference/geography');
+const { formatDatasetMetadata, truncateText, toArray } = require('./utils');
+
+// package_search returns at most 1000 rows per page
+const HARVEST_PAGE_SIZE = 1000;
+
+// Term weights per field (BM25F-style: title and tags count more than descriptions)
+const FIELD_WEIGHTS = { title: 3, tags: 2, organization: 1.5, groups: 1.5, notes: 1 };
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'how', 'in', 'is', 'it',
+    'many', 'much', 'of', 'on', 'or', 'the', 'to', 'was', 'were', 'what', 'which', 'with'
+]);
+
+class CatalogIndex {
+    constructor(apiClient, config = {}) {
+        this.client = apiClient;
+        this.indexKey = config.indexKey || 'CATALOG_INDEX';
+        this.maxAgeHours = config.maxAgeHours || 24;
+        this.shardSize = config.shardSize || 5000;
+        this.maxDatasets = config.maxDatasets || 0;
+        this.k1 = config.k1 || 1.2;
+        this.b = config.b !== undefined ? config.b : 0.75;
+        this.debugMode = config.debugMode || false;
+
+        this.manifest = null;
+        this.documents = [];
+        this.postings = null;
+    }
+
+    /**
+     * Harvest the catalog and persist the index
+     * Incremental syncs fetch only datasets modified since the last sync; a full sync also drops deleted datasets
+     * @param {object} options - Sync options ({full})
+     * @returns {Promise<object>} Sync summary
+     */
+    async sync(options = {}) {
+        const startedAt = Date.now();
+        const previous = options.full ? null : await this.load();
+        const incremental = Boolean(previous && this.manifest.lastModified);
+
+        const filterQuery = incremental
+            ? `metadata_modified:[${moment.utc(this.manifest.lastModified).format('YYYY-MM-DDTHH:mm:ss[Z]')} TO *]`
+            : undefined;
+
+        const byId = new Map(incremental ? this.documents.map(doc => [doc.id, doc]) : []);
+        let added = 0;
+        let updated = 0;
+        let harvested = 0;
+
+        for await (const dataset of this.harvest(filterQuery)) {
+            const doc = this.compactDataset(dataset);
+            if (byId.has(doc.id)) {
+                updated++;
+            } else {
+                added++;
+            }
+            byId.set(doc.id, doc);
+            harvested++;
+        }
+
+        const documents = [...byId.values()];
+        const entities = {
+            organizations: await this.harvestEntities(this.client.iterateOrganizations({ allFields: true, includeGroups: true })),
+            groups: await this.harvestEntities(this.client.iterateGroups({ allFields: true, includeGroups: true }))
+        };
+        await this.save(documents, entities);
+
+        const summary = {
+            type: 'catalog_sync',
+            indexKey: this.indexKey,
+            syncType: incremental ? 'incremental' : 'full',
+            harvested,
+            added,
+            updated,
+            datasetCount: documents.length,
+            organizationCount: this.getOrganizations().length,
+            sectorCount: this.getSectors().length,
+            tagCount: this.getPopularTags(Infinity).length,
+            shards: this.manifest.shards.length,
+            lastModified: this.manifest.lastModified,
+            syncedAt: this.manifest.syncedAt,
+            durationMs: Date.now() - startedAt
+        };
+
+        console.log(`📚 Catalog ${summary.syncType} sync: ${harvested} harvested (${added} new, ${updated} updated), ` +
+            `${documents.length} datasets indexed`);
+
+        return summary;
+    }
+
+    /**
+     * Page through package_search
+     * @param {string} filterQuery - Solr filter query (optional)
+     * @returns {AsyncGenerator<object>} Raw datasets
+     */
+    async *harvest(filterQuery) {
+        let start = 0;
+        let total = null;
+
+        while (total === null || start < total) {
+            const rows = this.maxDatasets > 0 ? Math.min(HARVEST_PAGE_SIZE, this.maxDatasets - start) : HARVEST_PAGE_SIZE;
+            if (rows <= 0) break;
+
+            const page = await this.client.packageSearch('*:*', {
+                rows,
+                start,
+                fq: filterQuery,
+                sort: 'metadata_modified asc'
+            });
+
+            total = page.count || 0;
+            const results = page.results || [];
+
+            if (this.debugMode) {
+                console.log(`Catalog harvest: ${start + results.length}/${total}`);
+            }
+
+            yield* results;
+
+            if (results.length < rows) break;
+            start += results.length;
+        }
+    }
+
+    /**
+     * Collect organizations or groups with their parents (for hierarchies and entities without datasets)
+     * @param {AsyncIterable} iterator - Client list iterator
+     * @returns {Promise<array>} Entities ({name, title, description, parents}), empty when the listing fails
+     */
+    async harvestEntities(iterator) {
+        const entities = [];
+
+        try {
+            for await (const entity of iterator) {
+                entities.push({
+                    name: entity.name,
+                    title: entity.title,
+                    description: truncateText(entity.description, 300),
+                    parents: (entity.groups || []).map(group => group.name).filter(Boolean)
+                });
+            }
+        } catch (error) {
+            console.error('Catalog entity harvest error:', error.message);
+            return [];
+        }
+
+        return entities;
+    }
+
+    /**
+     * Reduce a package to the fields used for search, facets and output
+     * @param {object} dataset - Raw CKAN package
+     * @returns {object} Compact package (still readable by formatDatasetMetadata)
+     */
+    compactDataset(dataset) {
+        return {
+            id: dataset.id,
+            name: dataset.name,
+            title: dataset.title,
+            title_hi: dataset.title_hi || dataset.title_translated?.hi || undefined,
+            notes: truncateText(dataset.notes, 1000),
+            notes_hi: truncateText(dataset.notes_hi || dataset.notes_translated?.hi, 1000) || undefined,
+            organization: dataset.organization
+                ? { name: dataset.organization.name, title: dataset.organization.title, description: truncateText(dataset.organization.description, 300) }
+                : null,
+            groups: (dataset.groups || []).map(group => ({ name: group.name, title: group.title })),
+            tags: (dataset.tags || []).map(tag => typeof tag === 'string' ? tag : tag.name).filter(Boolean),
+            sector: dataset.sector,
+            license_id: dataset.license_id,
+            license_title: dataset.license_title,
+            frequency: dataset.frequency || (dataset.extras || []).find(extra => extra.key === 'frequency')?.value,
+            author: dataset.author,
+            maintainer: dataset.maintainer,
+            metadata_created: dataset.metadata_created,
+            metadata_modified: dataset.metadata_modified,
+            num_resources: dataset.num_resources,
+            url: dataset.url,
+            resources: (dataset.resources || []).map(resource => ({
+                id: resource.id,
+                name: resource.name,
+                description: truncateText(resource.description, 300),
+                format: resource.format,
+                url: resource.url,
+                size: resource.size,
+                created: resource.created,
+                last_modified: resource.last_modified,
+                mimetype: resource.mimetype,
+                hash: resource.hash
+            }))
+        };
+    }
+
+    /**
+     * Persist documents as gzipped JSON shards plus a manifest
+     * @param {array} documents - Compact packages
+     * @param {object} entities - Harvested organizations and groups ({organizations, groups})
+     */
+    async save(documents, entities = {}) {
+        const oldShards = this.manifest?.shards || [];
+        const shards = [];
+
+        for (let i = 0; i < documents.length; i += this.shardSize) {
+            const key = `${this.indexKey}-${shards.length + 1}`;
+            const data = zlib.gzipSync(JSON.stringify(documents.slice(i, i + this.shardSize)));
+            await Actor.setValue(key, data, { contentType: 'application/gzip' });
+            shards.push(key);
+        }
+
+        // Remove shards left over from a larger previous index
+        for (const key of oldShards.filter(key => !shards.includes(key))) {
+            await Actor.setValue(key, null);
+        }
+
+        this.manifest = {
+            version: 1,
+            syncedAt: new Date().toISOString(),
+            lastModified: documents.reduce((latest, doc) =>
+                doc.metadata_modified && (!latest || doc.metadata_modified > latest) ? doc.metadata_modified : latest, null),
+            datasetCount: documents.length,
+            shardSize: this.shardSize,
+            shards,
+            organizations: entities.organizations || [],
+            groups: entities.groups || []
+        };
+
+        await Actor.setValue(this.indexKey, this.manifest);
+        this.setDocuments(documents);
+    }
+
+    /**
+     * Load the persisted index
+     * @returns {Promise<boolean>} True when an index was found
+     */
+    async load() {
+        if (this.postings) return true;
+
+        const manifest = await Actor.getValue(this.indexKey);
+        if (!manifest || !Array.isArray(manifest.shards)) {
+            return false;
+        }
+
+        const documents = [];
+        for (const key of manifest.shards) {
+            const data = await Actor.getValue(key);
+            if (!data) {
+                console.error(`Catalog index shard ${key} missing; run a full catalog sync`);
+                return false;
+            }
+            documents.push(...JSON.parse(zlib.gunzipSync(data).toString('utf8')));
+        }
+
+        this.manifest = manifest;
+        this.setDocuments(documents);
+
+        if (this.debugMode) {
+            console.log(`Catalog index loaded: ${documents.length} datasets, synced ${manifest.syncedAt}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether the loaded index is recent enough to serve requests
+     * @returns {boolean} True when loaded and younger than maxAgeHours
+     */
+    isFresh() {
+        return Boolean(this.manifest) && moment().diff(moment(this.manifest.syncedAt), 'hours', true) <= this.maxAgeHours;
+    }
+
+    /**
+     * Replace the indexed documents and rebuild the BM25 postings
+     * @param {array} documents - Compact packages
+     */
+    setDocuments(documents) {
+        this.documents = documents;
+        this.postings = new Map();
+        this.documentLengths = new Float64Array(documents.length);
+        this.documentTerms = new Array(documents.length);
+
+        documents.forEach((doc, index) => {
+            const frequencies = new Map();
+            const fields = {
+                title: [doc.title, doc.title_hi],
+                tags: doc.tags,
+                organization: [doc.organization?.title, doc.organization?.name],
+                groups: doc.groups.map(group => group.title || group.name),
+                notes: [doc.notes, doc.notes_hi]
+            };
+
+            Object.entries(fields).forEach(([field, values]) => {
+                tokenize((values || []).filter(Boolean).join(' ')).forEach(term => {
+                    frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+                    this.documentLengths[index] += FIELD_WEIGHTS[field];
+                });
+            });
+
+            this.documentTerms[index] = new Set(frequencies.keys());
+
+            frequencies.forEach((frequency, term) => {
+                if (!this.postings.has(term)) this.postings.set(term, []);
+                this.postings.get(term).push([index, frequency]);
+            });
+        });
+
+        this.averageLength = documents.length > 0
+            ? this.documentLengths.reduce((sum, length) => sum + length, 0) / documents.length
+            : 0;
+    }
+
+    /**
+     * Search the index (same result shape as SearchDiscovery.search)
+     * Plain keywords rank every dataset matching any of them; operators, phrases and fields must match (see query-language)
+     * @param {string} query - Search query
+     * @param {object} filters - Filters (organization, sector, tags, format, license, updateFrequency, jurisdiction, minResources, dateFrom, dateTo)
+     * @param {number} maxResults - Maximum number of results
+     * @returns {object} Search results with BM25 relevance scores and facets
+     */
+    search(query, filters = {}, maxResults = 50) {
+        const ast = parseQuery(query);
+        const terms = [...new Set(tokenize(extractText(ast)))];
+        const allowed = this.filterDocuments(filters);
+        const structured = ast && !isPlainText(ast);
+        let matches;
+
+        if (structured) {
+            allowed.forEach(index => {
+                if (!this.matches(ast, index)) allowed.delete(index);
+            });
+        }
+
+        if (terms.length > 0) {
+            const scores = this.score(terms, allowed);
+
+            // A structured query matches through any branch (rice OR tag:health), so every matching dataset is ranked,
+            // at 0 when none of the free-text terms occur in it
+            matches = (structured ? [...allowed] : [...scores.keys()])
+                .map(index => ({ index, score: scores.get(index) || 0 }))
+                .sort((a, b) => b.score - a.score);
+        } else {
+            // No query: filtered datasets, most recently modified first
+            matches = [...allowed]
+                .map(index => ({ index, score: 1 }))
+                .sort((a, b) => String(this.documents[b.index].metadata_modified || '')
+                    .localeCompare(String(this.documents[a.index].metadata_modified || '')));
+        }
+
+        const results = matches.slice(0, maxResults).map(({ index, score }) => this.formatDocument(this.documents[index], score));
+
+        return {
+            success: true,
+            source: 'catalog_index',
+            indexSyncedAt: this.manifest?.syncedAt || null,
+            query: {
+                original: query,
+                processed: terms.join(' '),
+                filters
+            },
+            results,
+            count: results.length,
+            totalAvailable: matches.length,
+            facets: this.buildFacets(matches.map(match => this.documents[match.index])),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Score documents against query terms with BM25
+     * @param {array} terms - Query terms
+     * @param {Set} allowed - Document indexes passing the filters
+     * @returns {Map} Document index to score
+     */
+    score(terms, allowed) {
+        const scores = new Map();
+        const total = this.documents.length;
+
+        terms.forEach(term => {
+            const postings = this.postings.get(term);
+            if (!postings) return;
+
+            const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+
+            postings.forEach(([index, frequency]) => {
+                if (!allowed.has(index)) return;
+
+                const lengthNorm = 1 - this.b + this.b * (this.documentLengths[index] / this.averageLength);
+                const termScore = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+                scores.set(index, (scores.get(index) || 0) + termScore);
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Evaluate a query AST against a document
+     * @param {object} node - AST node
+     * @param {number} index - Document index
+     * @returns {boolean} True when the document matches
+     */
+    matches(node, index) {
+        const doc = this.documents[index];
+
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => this.matches(child, index));
+            case 'or':
+                return node.children.some(child => this.matches(child, index));
+            case 'not':
+                return !this.matches(node.child, index);
+            case 'range':
+                return fieldValues(doc, node.field).some(value => inRange(value, node));
+            default: {
+                if (node.field && FIELDS[node.field].type === 'keyword') {
+                    const value = String(node.value).toLowerCase();
+                    return fieldValues(doc, node.field).some(candidate => String(candidate).toLowerCase() === value);
+                }
+
+                const queryTerms = tokenize(node.value);
+                if (queryTerms.length === 0) return true;
+
+                const values = node.field
+                    ? fieldValues(doc, node.field)
+                    : ['title', 'description', 'tag', 'organization', 'group'].flatMap(field => fieldValues(doc, field));
+
+                if (node.type === 'phrase') {
+                    const phrase = ` ${queryTerms.join(' ')} `;
+                    return values.some(value => ` ${tokenize(value).join(' ')} `.includes(phrase));
+                }
+
+                const terms = node.field ? new Set(values.flatMap(value => tokenize(value))) : this.documentTerms[index];
+                return queryTerms.every(term => terms.has(term));
+            }
+        }
+    }
+
+    /**
+     * Apply search filters
+     * @param {object} filters - Filters (organization, sector, tags, format, license, updateFrequency, jurisdiction, minResources, dateFrom, dateTo)
+     * @returns {Set} Indexes of matching documents
+     */
+    filterDocuments(filters = {}) {
+        const lower = value => String(value || '').toLowerCase();
+        const organization = lower(filters.organization);
+        const sector = lower(filters.sector);
+        const formats = toArray(filters.format).map(lower);
+        const frequencies = toArray(filters.updateFrequency).map(lower);
+        const licenses = toArray(filters.license).map(lower);
+        const minResources = parseInt(filters.minResources, 10) || 0;
+        const tags = Array.isArray(filters.tags) ? filters.tags.map(lower) : [];
+        const from = filters.dateFrom ? moment(filters.dateFrom, 'YYYY-MM-DD') : null;
+        const to = filters.dateTo ? moment(filters.dateTo, 'YYYY-MM-DD').endOf('day') : null;
+
+        const allowed = new Set();
+
+        this.documents.forEach((doc, index) => {
+            if (organization && ![doc.organization?.name, doc.organization?.title].some(value => lower(value) === organization)) return;
+            if (sector && ![doc.sector, ...doc.groups.flatMap(group => [group.name, group.title])].some(value => lower(value) === sector)) return;
+            if (formats.length > 0 && !doc.resources.some(resource => formats.includes(lower(resource.format)))) return;
+            if (frequencies.length > 0 && !frequencies.includes(lower(doc.frequency))) return;
+            if (licenses.length > 0 && ![doc.license_id, doc.license_title].some(value => licenses.includes(lower(value)))) return;
+            if (minResources > 0 && (doc.num_resources ?? doc.resources.length) < minResources) return;
+            if (filters.jurisdiction && jurisdictionOf(doc) !== filters.jurisdiction) return;
+            if (tags.length > 0 && !doc.tags.some(tag => tags.includes(lower(tag)))) return;
+
+            if (from || to) {
+                const modified = moment(doc.metadata_modified);
+                if (!modified.isValid() || (from && modified.isBefore(from)) || (to && modified.isAfter(to))) return;
+            }
+
+            allowed.add(index);
+        });
+
+        return allowed;
+    }
+
+    /**
+     * Format an indexed document like a live search result
+     * @param {object} doc - Compact package
+     * @param {number} score - Relevance score
+     * @returns {object} Formatted dataset
+     */
+    formatDocument(doc, score) {
+        return {
+            ...formatDatasetMetadata(doc),
+            relevanceScore: Math.round(score * 10000) / 10000,
+            resources: doc.resources.map(resource => ({
+                id: resource.id,
+                name: resource.name,
+                description: resource.description,
+                format: resource.format,
+                url: resource.url,
+                size: resource.size,
+                created: resource.created,
+                modified: resource.last_modified,
+                mimetype: resource.mimetype,
+                hash: resource.hash || null
+            }))
+        };
+    }
+
+    /**
+     * Count facet values over documents (same shape as SearchDiscovery.processFacets)
+     * @param {array} documents - Matching documents
+     * @returns {object} Facets (organizations, sectors, tags, formats)
+     */
+    buildFacets(documents) {
+        const count = (getValues) => {
+            const counts = new Map();
+            documents.forEach(doc => {
+                new Set(getValues(doc).filter(Boolean)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+            return [...counts.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 20)
+                .map(([name, total]) => ({ name, count: total }));
+        };
+
+        const resourceCounts = count(doc => [String(doc.num_resources ?? doc.resources.length)]);
+
+        return {
+            organizations: count(doc => [doc.organization?.name]),
+            jurisdictions: ['central', 'state'].map(name => ({
+                name,
+                count: documents.filter(doc => jurisdictionOf(doc) === name).length
+            })),
+            sectors: count(doc => doc.groups.map(group => group.name)),
+            tags: count(doc => doc.tags),
+            formats: count(doc => doc.resources.map(resource => String(resource.format || '').toUpperCase())),
+            licenses: count(doc => [doc.license_id]),
+            updateFrequencies: count(doc => [doc.frequency]),
+            resourceCounts: resourceCounts.sort((a, b) => Number(a.name) - Number(b.name))
+        };
+    }
+
+    /**
+     * Datasets of an organization, most recently modified first
+     * @param {string} organizationName - Organization name or title
+     * @param {number} limit - Number of datasets to return
+     * @returns {array} Formatted datasets
+     */
+    discoverByOrganization(organizationName, limit = 50) {
+        return this.search('', { organization: organizationName }, limit).results;
+    }
+
+    /**
+     * Datasets of a sector/group, most recently modified first
+     * @param {string} sector - Sector/group name or title
+     * @param {number} limit - Number of datasets to return
+     * @returns {array} Formatted datasets
+     */
+    discoverBySector(sector, limit = 50) {
+        return this.search('', { sector }, limit).results;
+    }
+
+    /**
+     * Most recently modified datasets
+     * @param {number} limit - Number of datasets to return
+     * @returns {array} Formatted datasets (without resources)
+     */
+    discoverRecent(limit = 20) {
+        return this.search('', {}, limit).results.map(({ resources, relevanceScore, ...dataset }) => dataset);
+    }
+
+    /**
+     * Organizations with their dataset counts
+     * @returns {array} Organizations
+     */
+    getOrganizations() {
+        return this.aggregateEntities(this.manifest?.organizations, doc => doc.organization ? [doc.organization] : []);
+    }
+
+    /**
+     * Sectors/groups with their dataset counts
+     * @returns {array} Sectors
+     */
+    getSectors() {
+        return this.aggregateEntities(this.manifest?.groups, doc => doc.groups);
+    }
+
+    /**
+     * Most used tags
+     * @param {number} limit - Number of tags to return
+     * @returns {array} Tags with dataset counts
+     */
+    getPopularTags(limit = 50) {
+        const counts = new Map();
+        this.documents.forEach(doc => doc.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([name, datasetCount]) => ({ name, datasetCount }));
+    }
+
+    /**
+     * Count datasets per organization or group
+     * @param {array} harvested - Entities listed during sync (may be empty)
+     * @param {function} getEntities - Entities of a document
+     * @returns {array} Entities ({name, title, description, datasetCount, parents}) by dataset count
+     */
+    aggregateEntities(harvested, getEntities) {
+        const entities = new Map((harvested || []).map(entity => [entity.name, { ...entity, datasetCount: 0 }]));
+
+        this.documents.forEach(doc => {
+            getEntities(doc).forEach(entity => {
+                if (!entity?.name) return;
+                const existing = entities.get(entity.name) || {
+                    name: entity.name,
+                    title: entity.title,
+                    description: entity.description,
+                    datasetCount: 0,
+                    parents: []
+                };
+                existing.datasetCount++;
+                entities.set(entity.name, existing);
+            });
+        });
+
+        return [...entities.values()].sort((a, b) => b.datasetCount - a.datasetCount);
+    }
+}
+
+/**
+ * Jurisdiction of a package's organization
+ * @param {object} doc - Compact package
+ * @returns {string} 'central' or 'state'
+ */
+function jurisdictionOf(doc) {
+    return classifyJurisdiction(doc.organization?.name, doc.organization?.title).jurisdiction;
+}
+
+/**
+ * Values of a query-language field in a compact package
+ * @param {object} doc - Compact package
+ * @param {string} field - Canonical field name
+ * @returns {array} Non-empty values
+ */
+function fieldValues(doc, field) {
+    const values = {
+        title: () => [doc.title, doc.title_hi],
+        description: () => [doc.notes, doc.notes_hi],
+        organization: () => [doc.organization?.name, doc.organization?.title],
+        group: () => [doc.sector, ...doc.groups.flatMap(group => [group.name, group.title])],
+        tag: () => doc.tags,
+        format: () => doc.resources.map(resource => resource.format),
+        license: () => [doc.license_id, doc.license_title],
+        name: () => [doc.name],
+        modified: () => [doc.metadata_modified],
+        created: () => [doc.metadata_created],
+        resources: () => [doc.num_resources ?? doc.resources.length]
+    }[field];
+
+    return (values ? values() : []).filter(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Check a value against a range node
+ * @param {string|number} value - Date string or count
+ * @param {object} range - Range node ({field, from, to, includeFrom, includeTo})
+ * @returns {boolean} True when within the range
+ */
+function inRange(value, range) {
+    const toNumber = FIELDS[range.field].type === 'date'
+        ? (date) => moment.utc(date).valueOf()
+        : Number;
+    const number = toNumber(value);
+
+    if (isNaN(number)) return false;
+    if (range.from !== null) {
+        const from = toNumber(range.from);
+        if (range.includeFrom ? number < from : number <= from) return false;
+    }
+    if (range.to !== null) {
+        const to = toNumber(range.to);
+        if (range.includeTo ? number > to : number >= to) return false;
+    }
+    return true;
+}
+
+/**
+ * Split text into lowercase search terms (stopwords dropped, simple plural stemming)
+ * @param {string} text - Text
+ * @returns {array} Terms
+ */
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(term => term && !STOPWORDS.has(term))
+        .map(stem);
+}
+
+/**
+ * Reduce English plurals to their singular form
+ * @param {string} term - Term
+ * @returns {string} Stemmed term
+ */
+function stem(term) {
+    if (term.length > 4 && term.endsWith('ies')) return term.slice(0, -3) + 'y';
+    if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') && !term.endsWith('us')) return term.slice(0, -1);
+    return term;
+}
+
+module.exports = CatalogIndex;
@@ -0,0 +1,277 @@
+/**
+ * Change Monitor Module
+ * Persists per-dataset checkpoints in the key-value store and detects changes between runs
+ */
+
+const { Actor } = require('apify');
+const { hashContent } = require('./utils');
+
+class ChangeMonitor {
+    constructor(dataAcquisition, config = {}) {
+        this.acquisition = dataAcquisition;
+        this.stateKey = config.stateKey || 'MONITOR_STATE';
+        this.trackResourceContent = config.trackResourceContent || false;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Load the checkpoint saved by the previous run
+     * @returns {Promise<object>} Monitor state
+     */
+    async loadState() {
+        const state = await Actor.getValue(this.stateKey);
+
+        if (!state || !state.datasets) {
+            return { version: 1, updatedAt: null, datasets: {} };
+        }
+
+        return state;
+    }
+
+    /**
+     * Persist the checkpoint for the next run
+     * @param {object} state - Monitor state
+     */
+    async saveState(state) {
+        await Actor.setValue(this.stateKey, {
+            ...state,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Compare watched datasets against the checkpoint and update it
+     * @param {array} datasets - Formatted datasets (with resources) to watch
+     * @returns {Promise<object>} Detected changes and run summary
+     */
+    async detectChanges(datasets) {
+        const state = await this.loadState();
+        const isFirstRun = !state.updatedAt;
+        const changes = [];
+        let unchangedCount = 0;
+
+        for (const dataset of datasets) {
+            if (!dataset || dataset.success === false || !dataset.id) continue;
+
+            const previous = state.datasets[dataset.id] || null;
+            const snapshot = await this.buildSnapshot(dataset, previous);
+            const change = this.diffSnapshots(previous, snapshot);
+
+            if (change) {
+                changes.push({
+                    ...change,
+                    organization: dataset.organization,
+                    sector: dataset.sector,
+                    url: dataset.url
+                });
+            } else {
+                unchangedCount++;
+            }
+
+            state.datasets[dataset.id] = snapshot;
+        }
+
+        await this.saveState(state);
+
+        if (this.debugMode) {
+            console.log(`Monitor: ${changes.length} changed, ${unchangedCount} unchanged (state key: ${this.stateKey})`);
+        }
+
+        return {
+            changes,
+            summary: {
+                stateKey: this.stateKey,
+                isFirstRun,
+                previousCheckpoint: state.updatedAt,
+                watchedDatasets: datasets.length,
+                trackedDatasets: Object.keys(state.datasets).length,
+                changedDatasets: changes.length,
+                unchangedDatasets: unchangedCount,
+                newDatasets: changes.filter(c => c.changeType === 'new_dataset').length,
+                updatedDatasets: changes.filter(c => c.changeType === 'updated_dataset').length
+            }
+        };
+    }
+
+    /**
+     * Build a checkpoint snapshot for a dataset
+     * @param {object} dataset - Formatted dataset with resources
+     * @param {object} previous - Previous snapshot (if any)
+     * @returns {Promise<object>} Dataset snapshot
+     */
+    async buildSnapshot(dataset, previous) {
+        const modifiedChanged = !previous || previous.modified !== dataset.modifiedDate;
+        const resources = {};
+
+        for (const resource of dataset.resources || []) {
+            if (!resource.id) continue;
+
+            const previousResource = previous?.resources?.[resource.id];
+            const metadataHash = resource.hash || hashContent(JSON.stringify([
+                resource.url,
+                resource.size,
+                resource.modified
+            ]));
+
+            const entry = {
+                name: resource.name,
+                format: resource.format,
+                hash: metadataHash,
+                rowCount: previousResource?.rowCount ?? null,
+                columns: previousResource?.columns ?? null
+            };
+
+            // Only download content when the dataset is new or its metadata changed
+            if (this.trackResourceContent && (modifiedChanged || !previousResource)) {
+                const content = await this.summarizeResourceContent(resource);
+                if (content) {
+                    entry.hash = content.hash || previousResource?.hash || entry.hash;
+                    entry.rowCount = content.rowCount;
+                    entry.columns = content.columns;
+                } else if (previousResource) {
+                    // A failed check must not turn the stored content hash into a metadata hash (a false change)
+                    entry.hash = previousResource.hash;
+                }
+            } else if (previousResource && previousResource.metadataHash === metadataHash) {
+                entry.hash = previousResource.hash;
+            }
+
+            entry.metadataHash = metadataHash;
+            resources[resource.id] = entry;
+        }
+
+        return {
+            id: dataset.id,
+            title: dataset.title,
+            modified: dataset.modifiedDate || null,
+            resources,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Download a resource and summarise its content for the checkpoint
+     * @param {object} resource - Formatted resource
+     * @returns {Promise<object|null>} Content hash, row count and columns
+     */
+    async summarizeResourceContent(resource) {
+        try {
+            // Only the hash, row count and columns are needed, so no table processing runs
+            const acquired = await this.acquisition.inspectResource(resource);
+
+            if (!acquired || !acquired.data || acquired.data.parsed === false) {
+                return null;
+            }
+
+            const data = acquired.data;
+            let rowCount = data.rowCount ?? data.itemCount ?? null;
+            let columns = data.columns || data.structure?.keys || null;
+
+            if (data.sheets) {
+                rowCount = Object.values(data.sheets).reduce((sum, sheet) => sum + sheet.rowCount, 0);
+                columns = Object.entries(data.sheets).flatMap(([sheetName, sheet]) =>
+                    sheet.columns.map(column => `${sheetName}:${column}`)
+                );
+            }
+
+            return {
+                hash: acquired.contentHash || null,
+                rowCount,
+                columns
+            };
+
+        } catch (error) {
+            console.error(`Monitor content check failed for resource ${resource.id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Diff two snapshots of the same dataset
+     * @param {object} previous - Previous snapshot (null if unseen)
+     * @param {object} current - Current snapshot
+     * @returns {object|null} Change record, or null when unchanged
+     */
+    diffSnapshots(previous, current) {
+        const detectedAt = new Date().toISOString();
+
+        if (!previous) {
+            return {
+                type: 'dataset_change',
+                changeType: 'new_dataset',
+                datasetId: current.id,
+                title: current.title,
+                modified: current.modified,
+                resourcesAdded: Object.entries(current.resources).map(([id, r]) => ({ id, name: r.name, format: r.format })),
+                resourcesRemoved: [],
+                resourcesChanged: [],
+                schemaChanges: [],
+                detectedAt
+            };
+        }
+
+        const previousIds = Object.keys(previous.resources || {});
+        const currentIds = Object.keys(current.resources);
+
+        const resourcesAdded = currentIds
+            .filter(id => !previousIds.includes(id))
+            .map(id => ({ id, name: current.resources[id].name, format: current.resources[id].format }));
+
+        const resourcesRemoved = previousIds
+            .filter(id => !currentIds.includes(id))
+            .map(id => ({ id, name: previous.resources[id].name, format: previous.resources[id].format }));
+
+        const resourcesChanged = [];
+        const schemaChanges = [];
+
+        currentIds.filter(id => previousIds.includes(id)).forEach(id => {
+            const before = previous.resources[id];
+            const after = current.resources[id];
+
+            const hashChanged = before.hash !== after.hash;
+            const rowCountChanged = before.rowCount != null && after.rowCount != null && before.rowCount !== after.rowCount;
+
+            if (hashChanged || rowCountChanged) {
+                resourcesChanged.push({
+                    id,
+                    name: after.name,
+                    hashChanged,
+                    previousRowCount: before.rowCount,
+                    rowCount: after.rowCount
+                });
+            }
+
+            if (Array.isArray(before.columns) && Array.isArray(after.columns)) {
+                const addedColumns = after.columns.filter(c => !before.columns.includes(c));
+                const removedColumns = before.columns.filter(c => !after.columns.includes(c));
+
+                if (addedColumns.length > 0 || removedColumns.length > 0) {
+                    schemaChanges.push({ resourceId: id, name: after.name, addedColumns, removedColumns });
+                }
+            }
+        });
+
+        const modifiedChanged = previous.modified !== current.modified;
+
+        if (!modifiedChanged && resourcesAdded.length === 0 && resourcesRemoved.length === 0 &&
+            resourcesChanged.length === 0 && schemaChanges.length === 0) {
+            return null;
+        }
+
+        return {
+            type: 'dataset_change',
+            changeType: 'updated_dataset',
+            datasetId: current.id,
+            title: current.title,
+            previousModified: previous.modified,
+            modified: current.modified,
+            resourcesAdded,
+            resourcesRemoved,
+            resourcesChanged,
+            schemaChanges,
+            detectedAt
+        };
+    }
+}
+
+module.exports = ChangeMonitor;
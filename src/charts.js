@@ -0,0 +1,510 @@
+/**
+ * Chart Generator
+ * Renders SVG charts (rasterised to PNG with resvg) for analyzed resources and stores them in the key-value store
+ */
+
+const { Actor } = require('apify');
+const moment = require('moment');
+const { sanitizeStorageKey, truncateText } = require('./utils');
+
+const PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b'];
+const FONT_FAMILY = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+const MARGIN = { top: 56, right: 40, bottom: 56, left: 72 };
+
+const CONTENT_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png'
+};
+
+// resvg's native binary ships in optional packages, so it is loaded on first PNG render (null when unavailable)
+let resvg;
+
+/**
+ * Load @resvg/resvg-js once
+ * @returns {object|null} resvg module, or null when its native binary is not installed
+ */
+function loadResvg() {
+    if (resvg === undefined) {
+        try {
+            resvg = require('@resvg/resvg-js');
+        } catch (error) {
+            console.log(`⚠️  PNG charts unavailable (${error.message}). Charts are stored as SVG only.`);
+            resvg = null;
+        }
+    }
+
+    return resvg;
+}
+
+class ChartGenerator {
+    constructor(config = {}) {
+        this.enabled = config.enabled || false;
+        this.formats = (config.formats || ['svg', 'png']).filter(format => CONTENT_TYPES[format]);
+        this.width = config.width || 720;
+        this.height = config.height || 400;
+        this.maxChartsPerResource = config.maxChartsPerResource || 6;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Render and store charts for an analyzed dataset result
+     * @param {object} result - Dataset result with acquired resources
+     * @param {object} analysis - Dataset analysis (quality score, trends)
+     * @returns {Promise<array>} Stored chart references
+     */
+    async generateForResult(result, analysis) {
+        if (!this.enabled || this.formats.length === 0) {
+            return [];
+        }
+
+        const datasetId = result.dataset?.id || analysis?.datasetId || 'dataset';
+        const charts = [];
+
+        try {
+            if (analysis?.qualityScore) {
+                charts.push(await this.store(`${datasetId}-quality`, {
+                    chart: 'gauge',
+                    title: 'Data quality score',
+                    resourceId: null
+                }, this.renderGauge('Data quality score', analysis.qualityScore.overallScore, analysis.qualityScore.rating)));
+            }
+
+            for (const resource of result.resources || []) {
+                if (!resource.data) continue;
+
+                const specs = this.planResourceCharts(resource, analysis).slice(0, this.maxChartsPerResource);
+
+                for (let index = 0; index < specs.length; index++) {
+                    const { svg, ...reference } = specs[index];
+                    charts.push(await this.store(`${resource.id}-${reference.chart}-${index + 1}`, reference, svg));
+                }
+            }
+
+        } catch (error) {
+            console.error('Chart generation error:', error.message);
+        }
+
+        if (this.debugMode) {
+            console.log(`Charts for ${datasetId}:`, charts.map(chart => chart.keys));
+        }
+
+        return charts;
+    }
+
+    /**
+     * Choose charts for a resource: time series lines, categorical bars, numeric histograms
+     * @param {object} resource - Acquired resource (data.timeSeries, data.profiles)
+     * @param {object} analysis - Dataset analysis (trend results)
+     * @returns {array} Chart specs ({chart, title, resourceId, table, column, svg})
+     */
+    planResourceCharts(resource, analysis) {
+        const specs = [];
+        const resourceName = truncateText(resource.name || resource.id, 60);
+
+        (resource.data.timeSeries || []).forEach(seriesSet => {
+            const trendSet = (analysis?.trends || []).find(item =>
+                item.resourceId === resource.id && item.table === seriesSet.table
+            );
+
+            // One chart per series for long tables, one multi-line chart for year-wise tables
+            const groups = seriesSet.layout === 'wide'
+                ? [seriesSet.series.slice(0, PALETTE.length)]
+                : seriesSet.series.map(series => [series]);
+
+            groups.forEach(group => {
+                const trend = group.length === 1
+                    ? trendSet?.series.find(item => item.label === group[0].label)?.trend
+                    : null;
+                const title = group.length === 1 ? `${group[0].label} over time` : `${resourceName} over time`;
+
+                specs.push({
+                    chart: 'line',
+                    title,
+                    resourceId: resource.id,
+                    table: seriesSet.table,
+                    column: group.length === 1 ? group[0].column : null,
+                    svg: this.renderLineChart(title, group, seriesSet.granularity, trend)
+                });
+            });
+        });
+
+        (resource.data.profiles || []).forEach(profile => {
+            Object.values(profile.columns).forEach(column => {
+                if (['categorical', 'indian_state'].includes(column.type) && column.topValues.length > 1) {
+                    const title = `${column.name}: top values`;
+                    specs.push({
+                        chart: 'bar',
+                        title,
+                        resourceId: resource.id,
+                        table: profile.table,
+                        column: column.name,
+                        svg: this.renderBarChart(title, column.topValues.map(item => ({ label: item.value, value: item.count })))
+                    });
+                }
+
+                if (['integer', 'decimal'].includes(column.type) && column.nonNullCount >= 10 && column.histogram?.length > 1) {
+                    const title = `${column.name}: distribution`;
+                    specs.push({
+                        chart: 'histogram',
+                        title,
+                        resourceId: resource.id,
+                        table: profile.table,
+                        column: column.name,
+                        svg: this.renderHistogram(title, column.histogram)
+                    });
+                }
+            });
+        });
+
+        // Interleave kinds so the per-resource cap keeps a mix
+        const order = { line: 0, bar: 1, histogram: 2 };
+        return specs
+            .map((spec, index) => ({ spec, rank: specs.slice(0, index).filter(s => s.chart === spec.chart).length }))
+            .sort((a, b) => a.rank - b.rank || order[a.spec.chart] - order[b.spec.chart])
+            .map(item => item.spec);
+    }
+
+    /**
+     * Store a chart in each configured format
+     * @param {string} name - Key name (sanitized and prefixed with CHART-)
+     * @param {object} reference - Chart reference fields
+     * @param {string} svg - SVG markup
+     * @returns {Promise<object>} Chart reference with stored keys
+     */
+    async store(name, reference, svg) {
+        const baseKey = `CHART-${sanitizeStorageKey(name)}`;
+        const keys = {};
+        const formats = this.formats.includes('png') && !loadResvg()
+            ? ['svg']
+            : this.formats;
+
+        for (const format of formats) {
+            const key = `${baseKey}.${format}`;
+
+            if (format === 'png') {
+                try {
+                    await Actor.setValue(key, this.toPNG(svg), { contentType: CONTENT_TYPES.png });
+                    keys.png = key;
+                } catch (error) {
+                    console.error(`PNG rendering failed for ${baseKey}:`, error.message);
+                }
+            } else {
+                await Actor.setValue(key, svg, { contentType: CONTENT_TYPES.svg });
+                keys.svg = key;
+            }
+        }
+
+        return { ...reference, keys };
+    }
+
+    /**
+     * Rasterise SVG markup to PNG
+     * @param {string} svg - SVG markup
+     * @returns {Buffer} PNG bytes
+     */
+    toPNG(svg) {
+        const { Resvg } = loadResvg();
+        const renderer = new Resvg(svg, {
+            fitTo: { mode: 'width', value: this.width * 2 },
+            font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+        });
+
+        return renderer.render().asPng();
+    }
+
+    /**
+     * Render a line chart of one or more time series
+     * @param {string} title - Chart title
+     * @param {array} seriesList - Series ({label, points: [{date, value}]})
+     * @param {string} granularity - Time granularity (year, financial_year, month, day)
+     * @param {object} trend - Trend result for a single series (draws the regression line)
+     * @returns {string} SVG markup
+     */
+    renderLineChart(title, seriesList, granularity, trend = null) {
+        const plot = this.getPlotArea();
+        const allPoints = seriesList.flatMap(series => series.points.map(point => ({
+            time: moment(point.date).valueOf(),
+            value: point.value
+        })));
+
+        const minTime = Math.min(...allPoints.map(point => point.time));
+        const maxTime = Math.max(...allPoints.map(point => point.time));
+        const ticks = niceTicks(Math.min(0, ...allPoints.map(p => p.value)), Math.max(...allPoints.map(p => p.value)));
+
+        const x = time => plot.x + (maxTime === minTime ? plot.width / 2 : ((time - minTime) / (maxTime - minTime)) * plot.width);
+        const y = value => plot.y + plot.height - ((value - ticks[0]) / (ticks[ticks.length - 1] - ticks[0])) * plot.height;
+
+        const parts = [this.renderYAxis(ticks, y, plot)];
+
+        // X axis labels at up to six evenly spaced observations
+        const dates = [...new Set(seriesList.flatMap(series => series.points.map(point => point.date)))].sort();
+        const step = Math.max(1, Math.ceil(dates.length / 6));
+        dates.filter((_, index) => index % step === 0).forEach(date => {
+            parts.push(text(x(moment(date).valueOf()), plot.y + plot.height + 20, formatDateLabel(date, granularity), { anchor: 'middle' }));
+        });
+
+        seriesList.forEach((series, index) => {
+            const color = PALETTE[index % PALETTE.length];
+            const coordinates = series.points.map(point => `${round(x(moment(point.date).valueOf()))},${round(y(point.value))}`);
+
+            parts.push(`<polyline fill="none" stroke="${color}" stroke-width="2" points="${coordinates.join(' ')}"/>`);
+
+            if (series.points.length <= 40) {
+                coordinates.forEach(coordinate => {
+                    const [cx, cy] = coordinate.split(',');
+                    parts.push(`<circle cx="${cx}" cy="${cy}" r="3" fill="${color}"/>`);
+                });
+            }
+        });
+
+        if (trend && trend.slopeUnit === 'per_year' && seriesList.length === 1) {
+            const spanYears = (maxTime - minTime) / (365.25 * 24 * 3600 * 1000);
+            parts.push(`<line x1="${round(x(minTime))}" y1="${round(y(trend.intercept))}" ` +
+                `x2="${round(x(maxTime))}" y2="${round(y(trend.intercept + trend.slope * spanYears))}" ` +
+                `stroke="#555" stroke-width="1.5" stroke-dasharray="6 4"/>`);
+            parts.push(text(plot.x + plot.width, plot.y - 8,
+                `Trend: ${trend.direction}` + (trend.cagr !== null ? ` (CAGR ${trend.cagr.toFixed(1)}%)` : ''),
+                { anchor: 'end', size: 11, color: '#555' }));
+        }
+
+        if (seriesList.length > 1) {
+            seriesList.forEach((series, index) => {
+                const legendY = plot.y + 4 + index * 16;
+                parts.push(`<rect x="${plot.x + plot.width - 150}" y="${legendY - 9}" width="10" height="10" fill="${PALETTE[index % PALETTE.length]}"/>`);
+                parts.push(text(plot.x + plot.width - 136, legendY, truncateText(series.label, 20), { size: 11 }));
+            });
+        }
+
+        return this.wrap(title, parts.join(''));
+    }
+
+    /**
+     * Render a horizontal bar chart
+     * @param {string} title - Chart title
+     * @param {array} items - Bars ({label, value})
+     * @returns {string} SVG markup
+     */
+    renderBarChart(title, items) {
+        const plot = { ...this.getPlotArea(), x: 180 };
+        plot.width = this.width - plot.x - MARGIN.right;
+
+        const ticks = niceTicks(0, Math.max(...items.map(item => item.value)));
+        const x = value => plot.x + (value / ticks[ticks.length - 1]) * plot.width;
+        const band = plot.height / items.length;
+        const parts = [];
+
+        ticks.forEach(tick => {
+            parts.push(`<line x1="${round(x(tick))}" y1="${plot.y}" x2="${round(x(tick))}" y2="${plot.y + plot.height}" stroke="#e5e5e5"/>`);
+            parts.push(text(x(tick), plot.y + plot.height + 18, formatNumber(tick), { anchor: 'middle', size: 11 }));
+        });
+
+        items.forEach((item, index) => {
+            const barY = plot.y + index * band + band * 0.15;
+            parts.push(`<rect x="${plot.x}" y="${round(barY)}" width="${round(x(item.value) - plot.x)}" height="${round(band * 0.7)}" fill="${PALETTE[0]}"/>`);
+            parts.push(text(plot.x - 8, barY + band * 0.35 + 4, truncateText(String(item.label), 24), { anchor: 'end', size: 11 }));
+        });
+
+        return this.wrap(title, parts.join(''));
+    }
+
+    /**
+     * Render a histogram from profile bins
+     * @param {string} title - Chart title
+     * @param {array} bins - Bins ({start, end, count})
+     * @returns {string} SVG markup
+     */
+    renderHistogram(title, bins) {
+        const plot = this.getPlotArea();
+        const ticks = niceTicks(0, Math.max(...bins.map(bin => bin.count)));
+        const y = value => plot.y + plot.height - (value / ticks[ticks.length - 1]) * plot.height;
+        const barWidth = plot.width / bins.length;
+        const parts = [this.renderYAxis(ticks, y, plot)];
+
+        bins.forEach((bin, index) => {
+            const barX = plot.x + index * barWidth;
+            parts.push(`<rect x="${round(barX + 1)}" y="${round(y(bin.count))}" width="${round(barWidth - 2)}" ` +
+                `height="${round(plot.y + plot.height - y(bin.count))}" fill="${PALETTE[2]}"/>`);
+        });
+
+        [0, Math.floor(bins.length / 2), bins.length].forEach(index => {
+            const value = index === bins.length ? bins[bins.length - 1].end : bins[index].start;
+            parts.push(text(plot.x + index * barWidth, plot.y + plot.height + 20, formatNumber(value), { anchor: 'middle', size: 11 }));
+        });
+
+        return this.wrap(title, parts.join(''));
+    }
+
+    /**
+     * Render a semicircular gauge for a 0-100 score
+     * @param {string} title - Chart title
+     * @param {number} score - Score (0-100)
+     * @param {string} rating - Rating label
+     * @returns {string} SVG markup
+     */
+    renderGauge(title, score, rating) {
+        const value = Math.max(0, Math.min(100, Number(score) || 0));
+        const cx = this.width / 2;
+        const cy = this.height - 90;
+        const radius = Math.min(this.width / 2 - 40, this.height - 160);
+        const color = value >= 75 ? '#2ca02c' : value >= 60 ? '#bcbd22' : value >= 40 ? '#ff7f0e' : '#d62728';
+
+        const point = fraction => {
+            const angle = Math.PI - Math.PI * fraction;
+            return `${round(cx + radius * Math.cos(angle))} ${round(cy - radius * Math.sin(angle))}`;
+        };
+
+        const arc = (fraction, stroke) => fraction > 0
+            ? `<path d="M ${point(0)} A ${radius} ${radius} 0 0 1 ${point(fraction)}" fill="none" stroke="${stroke}" stroke-width="28"/>`
+            : '';
+
+        return this.wrap(title, [
+            arc(1, '#e5e5e5'),
+            arc(value / 100, color),
+            text(cx, cy - 10, formatNumber(value), { anchor: 'middle', size: 40, weight: 'bold' }),
+            text(cx, cy + 24, rating || '', { anchor: 'middle', size: 16, color: '#555' }),
+            text(cx - radius, cy + 40, '0', { anchor: 'middle', size: 11 }),
+            text(cx + radius, cy + 40, '100', { anchor: 'middle', size: 11 })
+        ].join(''));
+    }
+
+    /**
+     * Render horizontal grid lines with value labels
+     * @param {array} ticks - Tick values
+     * @param {function} y - Value to y coordinate
+     * @param {object} plot - Plot area
+     * @returns {string} SVG markup
+     */
+    renderYAxis(ticks, y, plot) {
+        return ticks.map(tick =>
+            `<line x1="${plot.x}" y1="${round(y(tick))}" x2="${plot.x + plot.width}" y2="${round(y(tick))}" stroke="#e5e5e5"/>` +
+            text(plot.x - 8, y(tick) + 4, formatNumber(tick), { anchor: 'end', size: 11 })
+        ).join('');
+    }
+
+    /**
+     * Get the plot area inside the chart margins
+     * @returns {object} Plot area ({x, y, width, height})
+     */
+    getPlotArea() {
+        return {
+            x: MARGIN.left,
+            y: MARGIN.top,
+            width: this.width - MARGIN.left - MARGIN.right,
+            height: this.height - MARGIN.top - MARGIN.bottom
+        };
+    }
+
+    /**
+     * Wrap chart content in an SVG document with background and title
+     * @param {string} title - Chart title
+     * @param {string} body - Chart content
+     * @returns {string} SVG markup
+     */
+    wrap(title, body) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+            `viewBox="0 0 ${this.width} ${this.height}" font-family="${FONT_FAMILY}">` +
+            `<rect width="100%" height="100%" fill="#ffffff"/>` +
+            text(this.width / 2, 28, truncateText(title, 80), { anchor: 'middle', size: 16, weight: 'bold' }) +
+            body +
+            '</svg>';
+    }
+}
+
+/**
+ * Escape text for SVG markup
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an SVG text element
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate (baseline)
+ * @param {string} content - Text
+ * @param {object} options - anchor, size, weight and color
+ * @returns {string} SVG markup
+ */
+function text(x, y, content, options = {}) {
+    return `<text x="${round(x)}" y="${round(y)}" text-anchor="${options.anchor || 'start'}" ` +
+        `font-size="${options.size || 12}" font-weight="${options.weight || 'normal'}" fill="${options.color || '#333'}">` +
+        `${escapeXml(content)}</text>`;
+}
+
+/**
+ * Round a coordinate to one decimal
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Format a number compactly using Indian units (K, L = lakh, Cr = crore)
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+    const absolute = Math.abs(value);
+    const compact = (divisor, suffix) => `${parseFloat((value / divisor).toFixed(1))}${suffix}`;
+
+    if (absolute >= 1e7) return compact(1e7, ' Cr');
+    if (absolute >= 1e5) return compact(1e5, ' L');
+    if (absolute >= 1e3) return compact(1e3, 'K');
+    return String(parseFloat(value.toFixed(2)));
+}
+
+/**
+ * Format a time axis label for the series granularity
+ * @param {string} date - ISO date
+ * @param {string} granularity - Time granularity
+ * @returns {string} Label
+ */
+function formatDateLabel(date, granularity) {
+    const value = moment(date);
+
+    switch (granularity) {
+        case 'year':
+            return value.format('YYYY');
+        case 'financial_year':
+            return `${value.format('YYYY')}-${value.clone().add(1, 'year').format('YY')}`;
+        case 'month':
+            return value.format('MMM YYYY');
+        default:
+            return value.format('DD MMM YYYY');
+    }
+}
+
+/**
+ * Evenly spaced "nice" axis ticks covering a range
+ * @param {number} min - Range minimum
+ * @param {number} max - Range maximum
+ * @param {number} count - Approximate number of ticks
+ * @returns {array} Tick values
+ */
+function niceTicks(min, max, count = 5) {
+    if (min === max) {
+        max = min === 0 ? 1 : min + Math.abs(min);
+    }
+
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= max + step * 0.999; tick += step) {
+        ticks.push(parseFloat(tick.toPrecision(12)));
+        if (tick >= max) break;
+    }
+
+    return ticks;
+}
+
+module.exports = ChartGenerator;
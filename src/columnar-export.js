@@ -0,0 +1,181 @@
+/**
+ * Columnar Export Module
+ * Writes parsed tabular records to the key-value store as Parquet and Arrow IPC files
+ */
+
+const { Actor } = require('apify');
+const arrow = require('apache-arrow');
+const parquet = require('parquet-wasm/node');
+const { sanitizeStorageKey } = require('./utils');
+
+const PARQUET_COMPRESSION = {
+    none: parquet.Compression.UNCOMPRESSED,
+    snappy: parquet.Compression.SNAPPY,
+    gzip: parquet.Compression.GZIP,
+    zstd: parquet.Compression.ZSTD
+};
+
+class ColumnarExporter {
+    constructor(config = {}) {
+        this.formats = (config.formats || []).filter(format => format === 'parquet' || format === 'arrow');
+        this.compression = PARQUET_COMPRESSION[config.compression] !== undefined ? config.compression : 'snappy';
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Whether any columnar format is enabled
+     * @returns {boolean} True if exports are configured
+     */
+    isEnabled() {
+        return this.formats.length > 0;
+    }
+
+    /**
+     * Export a parsed table in all configured formats
+     * @param {object} resource - Resource object
+     * @param {object} table - Parsed table ({name, records, statistics})
+     * @returns {Promise<array>} Written files
+     */
+    async exportTable(resource, table) {
+        if (!table.records || table.records.length === 0) {
+            return [];
+        }
+
+        const { arrowTable, schema } = this.buildArrowTable(table.records, table.statistics);
+        const baseKey = `COLUMNAR-${sanitizeStorageKey(resource.id)}` +
+            (table.name ? `-${sanitizeStorageKey(table.name)}` : '');
+
+        const ipcFile = arrow.tableToIPC(arrowTable, 'file');
+        const files = [];
+
+        for (const format of this.formats) {
+            const key = `${baseKey}.${format}`;
+
+            if (format === 'arrow') {
+                await Actor.setValue(key, Buffer.from(ipcFile), { contentType: 'application/vnd.apache.arrow.file' });
+            } else {
+                await Actor.setValue(key, Buffer.from(this.toParquet(arrowTable)), { contentType: 'application/vnd.apache.parquet' });
+            }
+
+            files.push({
+                table: table.name || null,
+                format,
+                key,
+                rowCount: arrowTable.numRows,
+                schema
+            });
+        }
+
+        if (this.debugMode) {
+            console.log(`Columnar export for resource ${resource.id}${table.name ? ` (${table.name})` : ''}:`, files.map(f => f.key));
+        }
+
+        return files;
+    }
+
+    /**
+     * Build an Arrow table using column types inferred during statistics, with a column for every key in any record
+     * @param {array} records - Tabular records
+     * @param {object} statistics - Basic statistics ({fields})
+     * @returns {object} Arrow table and column schema
+     */
+    buildArrowTable(records, statistics) {
+        // Columns missing from the first rows still belong in the schema
+        const columns = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+        const vectors = {};
+        const schema = [];
+
+        columns.forEach(column => {
+            let type = this.resolveColumnType(statistics?.fields?.[column]);
+            let values = records.map(record => this.convertValue(record?.[column], type));
+
+            // Integer columns with stray fractions or out-of-range values are written as decimals rather than truncated
+            if (type === 'integer' && values.some(value => value !== null && !Number.isSafeInteger(value))) {
+                type = 'decimal';
+                values = records.map(record => this.convertValue(record?.[column], type));
+            }
+
+            vectors[column] = arrow.vectorFromArray(
+                type === 'integer' ? values.map(value => value === null ? null : BigInt(value)) : values,
+                this.toArrowType(type)
+            );
+            schema.push({ name: column, type });
+        });
+
+        return {
+            arrowTable: new arrow.Table(vectors),
+            schema
+        };
+    }
+
+    /**
+     * Map field statistics to an export column type
+     * @param {object} field - Field statistics
+     * @returns {string} Column type (integer, decimal, boolean or string)
+     */
+    resolveColumnType(field) {
+        if (!field) return 'string';
+        if (['integer', 'decimal', 'boolean'].includes(field.type)) return field.type;
+        return field.isNumeric ? 'decimal' : 'string';
+    }
+
+    /**
+     * Get Arrow data type for an export column type
+     * @param {string} type - Column type
+     * @returns {object} Arrow data type
+     */
+    toArrowType(type) {
+        switch (type) {
+            case 'integer':
+                return new arrow.Int64();
+            case 'decimal':
+                return new arrow.Float64();
+            case 'boolean':
+                return new arrow.Bool();
+            default:
+                return new arrow.Utf8();
+        }
+    }
+
+    /**
+     * Convert a raw cell value to the column type (null when not convertible)
+     * @param {*} value - Raw value
+     * @param {string} type - Column type
+     * @returns {*} Converted value
+     */
+    convertValue(value, type) {
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (type) {
+            case 'integer':
+            case 'decimal': {
+                const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+                return isFinite(number) ? number : null;
+            }
+            case 'boolean': {
+                const normalized = String(value).trim().toLowerCase();
+                if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+                if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+                return null;
+            }
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    /**
+     * Encode an Arrow table as Parquet
+     * @param {object} arrowTable - Arrow table
+     * @returns {Uint8Array} Parquet file bytes
+     */
+    toParquet(arrowTable) {
+        const wasmTable = parquet.Table.fromIPCStream(arrow.tableToIPC(arrowTable, 'stream'));
+        const properties = new parquet.WriterPropertiesBuilder()
+            .setCompression(PARQUET_COMPRESSION[this.compression])
+            .build();
+
+        return parquet.writeParquet(wasmTable, properties);
+    }
+}
+
+module.exports = ColumnarExporter;
@@ -3,9 +3,188 @@
  * Handles secure retrieval, processing, and parsing of dataset resources
  */
 
+const crypto = require('crypto');
 const { parse } = require('csv-parse/sync');
+const { parse: parseStream } = require('csv-parse');
 const XLSX = require('xlsx');
-const { formatBytes, getFileExtension, isDownloadableFormat, safeJsonParse } = require('./utils');
+const ColumnarExporter = require('./columnar-export');
+const RecordExtractor = require('./record-extraction');
+const DataProfiler = require('./profiler');
+const GeographyNormalizer = require('./geography-normalizer');
+const PIIScanner = require('./pii-scanner');
+const Redactor = require('./redaction');
+const { translateColumnNames } = require('./language');
+const { TimeSeriesBuilder } = require('./time-series');
+const { XmlRecordParser, detectRecordPath } = require('./xml-parser');
+const { formatBytes, getFileExtension, isDownloadableFormat, safeJsonParse, hashContent, getHindiField } = require('./utils');
+
+/**
+ * Incremental accumulator for basic per-column statistics
+ * Lets statistics be computed row by row without holding the whole table in memory
+ */
+class BasicStatsAccumulator {
+    constructor(maxUniqueValues = 10000) {
+        this.maxUniqueValues = maxUniqueValues;
+        this.recordCount = 0;
+        this.columns = null;
+        this.fields = {};
+    }
+
+    /**
+     * Add a record to the running statistics
+     * @param {object} record - Tabular record
+     */
+    add(record) {
+        if (!this.columns) {
+            this.columns = [];
+        }
+
+        // Register columns as they appear (records such as XML rows may be heterogeneous)
+        Object.keys(record || {}).forEach(column => {
+            if (!this.fields[column]) {
+                this.columns.push(column);
+                this.fields[column] = { nonNullCount: 0, numericCount: 0, uniqueValues: new Set(), capped: false };
+            }
+        });
+
+        this.recordCount++;
+
+        this.columns.forEach(column => {
+            const value = record[column];
+            if (value === null || value === undefined || value === '') return;
+
+            const field = this.fields[column];
+            field.nonNullCount++;
+
+            if (!isNaN(parseFloat(value))) {
+                field.numericCount++;
+            }
+
+            if (!field.capped) {
+                field.uniqueValues.add(value);
+                if (field.uniqueValues.size >= this.maxUniqueValues) {
+                    field.capped = true;
+                }
+            }
+        });
+    }
+
+    /**
+     * Get accumulated statistics
+     * @param {number} totalRecords - Total record count to report (defaults to records seen)
+     * @returns {object} Basic statistics
+     */
+    getStats(totalRecords = this.recordCount) {
+        if (this.recordCount === 0) return null;
+
+        const stats = {
+            recordCount: totalRecords,
+            fields: {}
+        };
+
+        this.columns.forEach(column => {
+            const field = this.fields[column];
+
+            stats.fields[column] = {
+                nonNullCount: field.nonNullCount,
+                nullCount: this.recordCount - field.nonNullCount,
+                completeness: ((field.nonNullCount / this.recordCount) * 100).toFixed(2) + '%',
+                isNumeric: field.numericCount > field.nonNullCount * 0.8,
+                uniqueValues: field.uniqueValues.size
+            };
+
+            if (field.capped) {
+                stats.fields[column].uniqueValuesCapped = true;
+            }
+        });
+
+        return stats;
+    }
+}
+
+/**
+ * PII scan (and redaction, when enabled) of streamed records
+ * The leading rows are sampled for the scan; with redaction on they are held back until the scan has planned it,
+ * and every later record is redacted before it is written
+ */
+class StreamPIIGuard {
+    constructor(scanner, redactor, writer) {
+        this.scanner = scanner;
+        this.redactor = redactor;
+        this.writer = writer;
+        this.sample = [];
+        this.held = [];
+        this.planned = false;
+        this.plan = null;
+        this.report = null;
+    }
+
+    /**
+     * Write records through the guard
+     * @param {array} records - Streamed records
+     */
+    async write(records) {
+        if (!this.scanner.enabled) {
+            await this.writer.write(records);
+            return;
+        }
+
+        for (const record of records) {
+            if (this.sample.length >= this.scanner.sampleSize) break;
+            this.sample.push(record);
+        }
+
+        if (!this.redactor.enabled) {
+            await this.writer.write(records);
+        } else if (this.planned) {
+            this.redactor.applyPlan(this.plan, records);
+            await this.writer.write(records);
+        } else {
+            this.held.push(...records);
+            if (this.sample.length >= this.scanner.sampleSize) await this.release();
+        }
+    }
+
+    /**
+     * Scan the sample, plan the redaction and write the held-back records
+     */
+    async release() {
+        this.report = this.scanner.scanTable(this.sample, { name: null });
+        this.plan = this.redactor.planTable(this.report);
+        this.planned = true;
+
+        this.redactor.applyPlan(this.plan, this.held);
+        await this.writer.write(this.held);
+        this.held = [];
+    }
+
+    /**
+     * Finish the scan and write any held-back records
+     * @returns {Promise<object>} Fields to merge into the stream summary ({pii}, {redaction} or {piiError})
+     */
+    async close() {
+        if (!this.scanner.enabled || this.sample.length === 0) {
+            return {};
+        }
+
+        // Redaction fails closed: scan errors propagate rather than letting unredacted records through
+        if (this.redactor.enabled) {
+            if (!this.planned) await this.release();
+        } else {
+            try {
+                this.report = this.scanner.scanTable(this.sample, { name: null });
+            } catch (error) {
+                console.error('PII scan error:', error.message);
+                return { piiError: error.message };
+            }
+        }
+
+        return {
+            ...(this.report ? { pii: [this.report] } : {}),
+            ...(this.plan ? { redaction: [this.redactor.summarize(this.plan)] } : {})
+        };
+    }
+}
 
 class DataAcquisition {
     constructor(apiClient, config = {}) {
@@ -14,6 +193,60 @@ class DataAcquisition {
         this.resourceLimit = config.resourceLimit || 3;
         this.debugMode = config.debugMode || false;
         this.supportedFormats = ['csv', 'json', 'xml', 'xls', 'xlsx', 'txt', 'tsv'];
+
+        // api.data.gov.in records API options
+        const recordsApi = config.recordsApi || {};
+        this.recordsApi = {
+            enabled: recordsApi.enabled || false,
+            filters: recordsApi.filters || {},
+            sort: recordsApi.sort || {},
+            pageSize: recordsApi.pageSize || 100,
+            maxRecords: recordsApi.maxRecords || 1000
+        };
+
+        // Streaming CSV/TSV/XML ingestion options
+        const streaming = config.streaming || {};
+        this.streaming = {
+            enabled: streaming.enabled || false,
+            batchSize: streaming.batchSize || 500
+        };
+
+        // XML record element path (auto-detected when not set)
+        this.xmlRecordPath = config.xmlRecordPath || null;
+
+        // Raw downloads kept for compressed archives
+        this.retainRawFiles = config.retainRawFiles || false;
+        this.rawFiles = [];
+
+        // Parquet/Arrow export of parsed tables
+        this.columnarExporter = new ColumnarExporter({ ...config.columnarExport, debugMode: this.debugMode });
+
+        // Full-record extraction (streamed rows always go through the extractor)
+        this.recordExtractor = new RecordExtractor({ ...config.extraction, debugMode: this.debugMode });
+
+        // Whole-table type inference and column profiling
+        this.profiler = new DataProfiler({ ...config.profiling, debugMode: this.debugMode });
+
+        // State/district normalisation to canonical names and LGD codes
+        this.geographyNormalizer = new GeographyNormalizer({ ...config.geography, debugMode: this.debugMode });
+
+        // Redaction of flagged columns before records are pushed
+        this.redactor = new Redactor({ ...config.redaction, debugMode: this.debugMode });
+
+        // Governance layer assessing re-identification risk of output tables (optional)
+        this.governanceLayer = config.governanceLayer || null;
+
+        // Column-level PII scan of parsed records (DPDP Act 2023 review); redaction relies on it
+        this.piiScanner = new PIIScanner({
+            ...config.piiScan,
+            enabled: this.redactor.enabled || config.piiScan?.enabled !== false,
+            debugMode: this.debugMode
+        });
+
+        // Time series extraction for trend analysis
+        const trends = config.trends || {};
+        this.trendsEnabled = trends.enabled || false;
+        this.timeSeriesBuilder = new TimeSeriesBuilder({ ...trends, debugMode: this.debugMode });
     }
 
     /**
@@ -50,7 +283,12 @@ class DataAcquisition {
                 try {
                     const resourceData = await this.acquireResource(resource, {
                         includeData: options.includeData !== false,
-                        maxFileSize: options.maxFileSize || this.maxFileSize
+                        maxFileSize: options.maxFileSize || this.maxFileSize,
+                        useRecordsApi: options.useRecordsApi,
+                        streaming: options.streaming,
+                        includeTables: options.includeTables,
+                        extract: options.extract,
+                        datasetId: dataset.id || dataset.name
                     });
 
                     processedResources.push(resourceData);
@@ -71,6 +309,8 @@ class DataAcquisition {
                     id: dataset.id || dataset.name,
                     title: dataset.title,
                     description: dataset.notes,
+                    titleHi: getHindiField(dataset, 'title'),
+                    descriptionHi: getHindiField(dataset, 'notes'),
                     organization: dataset.organization?.title || 'Unknown',
                     license: dataset.license_title || 'Not specified',
                     tags: dataset.tags?.map(t => t.name) || [],
@@ -94,6 +334,42 @@ class DataAcquisition {
         }
     }
 
+    /**
+     * Look up a resource's metadata by ID (nothing is downloaded)
+     * @param {string} resourceId - Resource ID
+     * @returns {Promise<object>} Resource object (package_id names its dataset)
+     */
+    async lookupResource(resourceId) {
+        const resource = await this.client.resourceShow(resourceId);
+
+        if (!resource) {
+            throw new Error(`Resource ${resourceId} not found`);
+        }
+
+        return resource;
+    }
+
+    /**
+     * Download and parse a resource for a content check, without the table processing an acquisition runs
+     * @param {object} resource - Resource object
+     * @returns {Promise<object|null>} Content hash and parsed data ({contentHash, data}) or null when it cannot be downloaded
+     */
+    async inspectResource(resource) {
+        const format = (resource.format || '').toLowerCase();
+
+        if (!this.supportedFormats.includes(format) || !resource.url ||
+            (resource.size && parseInt(resource.size) > this.maxFileSize)) {
+            return null;
+        }
+
+        const data = await this.client.downloadResource(resource.url, this.maxFileSize);
+
+        return {
+            contentHash: hashContent(data),
+            data: await this.parseResourceData(data, format)
+        };
+    }
+
     /**
      * Acquire single resource with data
      * @param {object} resource - Resource object
@@ -102,9 +378,39 @@ class DataAcquisition {
      */
     async acquireResource(resource, options = {}) {
         const metadata = this.formatResourceMetadata(resource);
+        const format = (resource.format || '').toLowerCase();
+
+        // Pull records through the records API when enabled, falling back to file download
+        const useRecordsApi = options.useRecordsApi !== undefined ? options.useRecordsApi : this.recordsApi.enabled;
+        if (useRecordsApi && options.includeData && resource.id) {
+            try {
+                const collected = [];
+                const recordsData = await this.acquireRecords(resource.id, { ...options, collect: collected });
+
+                return {
+                    ...metadata,
+                    acquired: true,
+                    source: 'records-api',
+                    data: recordsData,
+                    ...(options.includeTables ? { tables: collected } : {})
+                };
+
+            } catch (error) {
+                if (!this.supportedFormats.includes(format) || !resource.url) {
+                    return {
+                        ...metadata,
+                        acquired: false,
+                        error: error.message
+                    };
+                }
+
+                if (this.debugMode) {
+                    console.log(`Records API unavailable for ${resource.id} (${error.message}). Falling back to file download.`);
+                }
+            }
+        }
 
         // Check if format is supported
-        const format = (resource.format || '').toLowerCase();
         if (!this.supportedFormats.includes(format)) {
             return {
                 ...metadata,
@@ -113,6 +419,38 @@ class DataAcquisition {
             };
         }
 
+        // Stream CSV/TSV/XML resources straight into the dataset (no size limit applies)
+        const streaming = options.streaming !== undefined ? options.streaming : this.streaming.enabled;
+        if (streaming && options.includeData && resource.url && ['csv', 'tsv', 'xml'].includes(format)) {
+            try {
+                const streamedData = format === 'xml'
+                    ? await this.streamXML(resource, { datasetId: options.datasetId })
+                    : await this.streamCSV(resource, {
+                        delimiter: format === 'tsv' ? '\t' : ',',
+                        datasetId: options.datasetId
+                    });
+
+                return {
+                    ...metadata,
+                    acquired: true,
+                    source: 'stream',
+                    dataSize: formatBytes(streamedData.bytesRead),
+                    contentHash: streamedData.contentHash,
+                    data: streamedData
+                };
+
+            } catch (error) {
+                // A stream that fails part-way has already pushed its leading rows
+                return {
+                    ...metadata,
+                    acquired: false,
+                    error: error.message,
+                    partial: error.pushedRows > 0,
+                    pushedRows: error.pushedRows || 0
+                };
+            }
+        }
+
         // Check file size
         if (resource.size && parseInt(resource.size) > this.maxFileSize) {
             return {
@@ -130,13 +468,49 @@ class DataAcquisition {
                     options.maxFileSize || this.maxFileSize
                 );
 
-                const parsedData = await this.parseResourceData(data, format);
+                const tables = [];
+                const parsedData = await this.parseResourceData(data, format, {
+                    onTable: table => tables.push(table)
+                });
+
+                await this.processTables(resource, tables, parsedData, {
+                    datasetId: options.datasetId || resource.package_id,
+                    extract: options.extract
+                });
+
+                // Full tables are only handed back to callers that join them (never output)
+                const fullTables = options.includeTables
+                    ? tables.filter(t => !t.textual && !t.withheld).map(({ name, records }) => ({ name, records }))
+                    : null;
+
+                // Content the scan cannot read as records is withheld rather than output unredacted
+                if (this.redactor.enabled && parsedData.format === 'json' && tables.length === 0) {
+                    parsedData.preview = null;
+                    parsedData.withheld = 'Content could not be scanned for PII';
+                }
+
+                // Archives hold the source bytes, so redacted or withheld resources are left out of them
+                if (this.retainRawFiles && (parsedData.redaction || parsedData.withheld || tables.some(t => t.withheld))) {
+                    if (this.debugMode) {
+                        console.log(`Raw file of resource ${resource.id} not archived: its content was redacted or withheld`);
+                    }
+                } else if (this.retainRawFiles) {
+                    this.rawFiles.push({
+                        resourceId: resource.id,
+                        name: resource.name,
+                        format,
+                        data: Buffer.from(data)
+                    });
+                }
 
                 return {
                     ...metadata,
                     acquired: true,
+                    source: 'download',
                     dataSize: formatBytes(data.length),
-                    data: parsedData
+                    contentHash: hashContent(data),
+                    data: parsedData,
+                    ...(fullTables ? { tables: fullTables } : {})
                 };
 
             } catch (error) {
@@ -155,31 +529,368 @@ class DataAcquisition {
         };
     }
 
+    /**
+     * Acquire resource records through the api.data.gov.in records API
+     * @param {string} resourceId - Resource ID (index name)
+     * @param {object} options - Records options (filters, sort, pageSize, maxRecords) and optional collect array for full tables
+     * @returns {Promise<object>} Parsed records data with preview
+     */
+    async acquireRecords(resourceId, options = {}) {
+        const result = await this.client.fetchAllRecords(resourceId, {
+            filters: options.filters || this.recordsApi.filters,
+            sort: options.sort || this.recordsApi.sort,
+            pageSize: options.pageSize || this.recordsApi.pageSize,
+            maxRecords: options.maxRecords || this.recordsApi.maxRecords
+        });
+
+        const records = result.records;
+        const statistics = this.calculateBasicStats(records);
+
+        const recordsData = {
+            format: 'api',
+            parsed: true,
+            title: result.title,
+            rowCount: records.length,
+            totalAvailable: result.total,
+            fields: result.fields.map(field => ({
+                id: field.id,
+                name: field.name,
+                type: field.type
+            })),
+            columns: records.length > 0 ? Object.keys(records[0]) : result.fields.map(field => field.id),
+            preview: records.slice(0, 100),
+            hasMore: result.total > 100,
+            statistics
+        };
+
+        const table = { name: null, records, statistics };
+        await this.processTables({ id: resourceId }, [table], recordsData, {
+            datasetId: options.datasetId,
+            extract: options.extract
+        });
+
+        if (options.collect && !table.withheld) {
+            options.collect.push({ name: null, records });
+        }
+
+        return recordsData;
+    }
+
+    /**
+     * Run table-level processing (profiling, column name translation, geography normalisation, PII scan and redaction, time series, record extraction, columnar export) on fully parsed tables
+     * @param {object} resource - Resource object
+     * @param {array} tables - Parsed tables ({name, records, statistics})
+     * @param {object} parsedData - Parsed resource data (annotated in place)
+     * @param {object} context - Provenance context ({datasetId}) and extract override
+     */
+    async processTables(resource, tables, parsedData, context = {}) {
+        if (tables.length === 0) {
+            return;
+        }
+
+        if (this.profiler.enabled) {
+            try {
+                parsedData.profiles = [];
+
+                for (const table of tables.filter(t => !t.textual)) {
+                    const profile = this.profiler.profileTable(table.records, { name: table.name });
+                    parsedData.profiles.push(profile);
+                    table.profile = profile;
+                }
+
+            } catch (error) {
+                console.error(`Profiling failed for resource ${resource.id}:`, error.message);
+                parsedData.profileError = error.message;
+            }
+        }
+
+        try {
+            const columnNames = [];
+
+            for (const table of tables.filter(t => !t.textual)) {
+                const columns = [...new Set(table.records.flatMap(record => Object.keys(record || {})))];
+                const translations = translateColumnNames(columns);
+
+                if (Object.keys(translations).length > 0) {
+                    columnNames.push({ table: table.name, columns: translations });
+
+                    // English names double as Table Schema field titles
+                    (table.profile?.tableSchema?.fields || []).forEach(field => {
+                        if (translations[field.name]) field.title = translations[field.name].english;
+                    });
+                }
+            }
+
+            if (columnNames.length > 0) {
+                parsedData.columnNames = columnNames;
+            }
+
+        } catch (error) {
+            console.error(`Column name translation failed for resource ${resource.id}:`, error.message);
+        }
+
+        if (this.geographyNormalizer.enabled) {
+            try {
+                const geography = [];
+
+                for (const table of tables.filter(t => !t.textual)) {
+                    const report = this.geographyNormalizer.normalizeTable(table.records, { name: table.name, profile: table.profile });
+                    if (report) {
+                        const { addedFields, ...summary } = report;
+                        geography.push(summary);
+                        table.geographyFields = addedFields;
+                        table.geographyColumns = summary.columns.map(column => column.column);
+                    }
+                }
+
+                if (geography.length > 0) {
+                    parsedData.geography = geography;
+                }
+
+            } catch (error) {
+                console.error(`Geography normalisation failed for resource ${resource.id}:`, error.message);
+                parsedData.geographyError = error.message;
+            }
+        }
+
+        if (this.piiScanner.enabled) {
+            try {
+                const pii = [];
+
+                for (const table of tables.filter(t => !t.textual)) {
+                    table.pii = this.piiScanner.scanTable(table.records, { name: table.name, profile: table.profile });
+                    if (table.pii) pii.push(table.pii);
+                }
+
+                if (pii.length > 0) {
+                    parsedData.pii = pii;
+                }
+
+            } catch (error) {
+                // Without a scan there is nothing to plan redaction from, so redacting runs fail closed
+                if (this.redactor.enabled) throw error;
+                console.error(`PII scan failed for resource ${resource.id}:`, error.message);
+                parsedData.piiError = error.message;
+            }
+        }
+
+        // Redaction errors propagate (failing the resource) rather than letting unredacted records through
+        if (this.redactor.enabled) {
+            const redaction = [];
+
+            for (const table of tables.filter(t => !t.textual && t.pii)) {
+                const plan = this.redactor.planTable(table.pii);
+                if (!plan) continue;
+
+                this.redactor.applyPlan(plan, table.records);
+                const summary = this.redactor.summarize(plan);
+                redaction.push(summary);
+                this.dropColumns(parsedData, table.name, summary.droppedColumns);
+
+                // Profiles (top values, categories) describe the output, so redacted tables are profiled again
+                if (table.profile) {
+                    const profile = this.profiler.profileTable(table.records, { name: table.name });
+                    parsedData.profiles[parsedData.profiles.indexOf(table.profile)] = profile;
+                    table.profile = profile;
+                }
+            }
+
+            // Text resources are redacted line by line, and their preview rebuilt from the redacted lines
+            for (const table of tables.filter(t => t.textual)) {
+                const plan = this.redactor.planText(table.name, 'line');
+                if (!plan) continue;
+
+                this.redactor.applyPlan(plan, table.records);
+                const summary = this.redactor.summarize(plan);
+                if (summary.valuesRedacted === 0) continue;
+
+                redaction.push(summary);
+                parsedData.preview = table.records.slice(0, 100).map(record => record.line).join('\n');
+            }
+
+            // Fields around a JSON record array are free text too
+            if (parsedData.recordPath && this.redactor.textTypes.length > 0) {
+                const summary = this.redactJSONWrapper(parsedData, parsedData.recordPath.split('.'));
+                if (summary) redaction.push(summary);
+            }
+
+            if (redaction.length > 0) {
+                parsedData.redaction = redaction;
+            }
+        }
+
+        // Re-identification risk is measured on the output, after redaction has generalised it
+        if (this.governanceLayer?.privacyRisk.enabled) {
+            try {
+                const privacyRisk = [];
+
+                for (const table of tables.filter(t => !t.textual)) {
+                    const assessment = this.governanceLayer.assessPrivacyRisk(table.records, {
+                        name: table.name,
+                        scan: table.pii,
+                        profile: table.profile,
+                        geographyColumns: table.geographyColumns
+                    });
+
+                    if (assessment) {
+                        privacyRisk.push(assessment);
+                        if (assessment.blocked) this.withholdTable(parsedData, table);
+                    }
+                }
+
+                if (privacyRisk.length > 0) {
+                    parsedData.privacyRisk = privacyRisk;
+                }
+
+            } catch (error) {
+                // A blocking policy fails closed
+                if (this.governanceLayer.privacyRisk.onViolation === 'block') throw error;
+                console.error(`Privacy risk assessment failed for resource ${resource.id}:`, error.message);
+                parsedData.privacyRiskError = error.message;
+            }
+        }
+
+        if (this.trendsEnabled) {
+            try {
+                parsedData.timeSeries = [];
+
+                for (const table of tables.filter(t => !t.textual && !t.withheld)) {
+                    const seriesSet = this.timeSeriesBuilder.build(table.records, table.profile);
+                    if (seriesSet) {
+                        parsedData.timeSeries.push({ table: table.name, ...seriesSet });
+                    }
+                }
+
+            } catch (error) {
+                console.error(`Time series extraction failed for resource ${resource.id}:`, error.message);
+                parsedData.timeSeriesError = error.message;
+            }
+        }
+
+        const extract = context.extract !== undefined ? context.extract : this.recordExtractor.enabled;
+        if (extract) {
+            try {
+                parsedData.extracted = [];
+
+                for (const table of tables.filter(t => !t.withheld)) {
+                    const writer = await this.recordExtractor.open({
+                        datasetId: context.datasetId,
+                        resourceId: resource.id,
+                        table: table.name
+                    });
+
+                    await writer.write(table.records);
+                    parsedData.extracted.push(await writer.close());
+                }
+
+            } catch (error) {
+                console.error(`Record extraction failed for resource ${resource.id}:`, error.message);
+                parsedData.extractionError = error.message;
+            }
+        }
+
+        if (!this.columnarExporter.isEnabled()) {
+            return;
+        }
+
+        try {
+            parsedData.exports = [];
+
+            for (const table of tables.filter(t => !t.textual && !t.withheld)) {
+                const statistics = this.applyProfileTypes(
+                    table.statistics || this.calculateBasicStats(table.records),
+                    table.profile
+                );
+                const fields = { ...statistics.fields, ...table.geographyFields };
+                parsedData.exports.push(...await this.columnarExporter.exportTable(resource, { ...table, statistics: { ...statistics, fields } }));
+            }
+
+        } catch (error) {
+            console.error(`Columnar export failed for resource ${resource.id}:`, error.message);
+            parsedData.exportError = error.message;
+        }
+    }
+
+    /**
+     * Redact the identifier spans in the preview of a JSON wrapper object, outside its (already redacted) record array
+     * @param {object} parsedData - Parsed JSON data
+     * @param {array} path - Key path of the record array
+     * @returns {object|null} Redaction summary or null when nothing was redacted
+     */
+    redactJSONWrapper(parsedData, path) {
+        const counter = { valuesRedacted: 0 };
+        const redactLevel = (wrapper, [key, ...rest]) => Object.fromEntries(Object.entries(wrapper).map(([name, value]) => {
+            if (name !== key) return [name, this.redactor.redactTree(value, counter, name)];
+            return [name, rest.length > 0 ? redactLevel(value, rest) : value];
+        }));
+
+        parsedData.preview = redactLevel(parsedData.preview, path);
+
+        if (counter.valuesRedacted === 0) {
+            return null;
+        }
+
+        return {
+            table: null,
+            columns: [{ column: `(outside ${path.join('.')})`, reason: 'free_text', action: 'span', valuesRedacted: counter.valuesRedacted }],
+            droppedColumns: [],
+            valuesRedacted: counter.valuesRedacted,
+            ...(this.redactor.textTypes.some(type => this.redactor.policies[type] === 'hash') ? { saltSource: this.redactor.saltSource } : {})
+        };
+    }
+
+    /**
+     * Carry profiled column types over to field statistics (used for typed columnar export)
+     * @param {object} statistics - Basic statistics
+     * @param {object} profile - Table profile (optional)
+     * @returns {object} Statistics with field types
+     */
+    applyProfileTypes(statistics, profile) {
+        if (!profile) {
+            return statistics;
+        }
+
+        const typeMap = { integer: 'integer', district_code: 'integer', decimal: 'decimal', boolean: 'boolean' };
+        const fields = { ...statistics.fields };
+
+        Object.entries(profile.columns).forEach(([column, columnProfile]) => {
+            const isCalendarYear = columnProfile.type === 'year' && columnProfile.format === 'YYYY';
+
+            fields[column] = {
+                ...fields[column],
+                type: isCalendarYear ? 'integer' : (typeMap[columnProfile.type] || 'string')
+            };
+        });
+
+        return { ...statistics, fields };
+    }
+
     /**
      * Parse resource data based on format
      * @param {Buffer} data - Raw data buffer
      * @param {string} format - File format
+     * @param {object} options - Parse options (onTable callback receiving full parsed tables)
      * @returns {Promise<object>} Parsed data with preview
      */
-    async parseResourceData(data, format) {
+    async parseResourceData(data, format, options = {}) {
         try {
             switch (format.toLowerCase()) {
                 case 'csv':
                 case 'tsv':
-                    return this.parseCSV(data, format === 'tsv' ? '\t' : ',');
+                    return this.parseCSV(data, format === 'tsv' ? '\t' : ',', options.onTable);
 
                 case 'json':
-                    return this.parseJSON(data);
+                    return this.parseJSON(data, options.onTable);
 
                 case 'xls':
                 case 'xlsx':
-                    return this.parseExcel(data);
+                    return this.parseExcel(data, options.onTable);
 
                 case 'xml':
-                    return this.parseXML(data);
+                    return this.parseXML(data, options.onTable);
 
                 case 'txt':
-                    return this.parseText(data);
+                    return this.parseText(data, options.onTable);
 
                 default:
                     return {
@@ -203,9 +914,10 @@ class DataAcquisition {
      * Parse CSV/TSV data
      * @param {Buffer} data - CSV data
      * @param {string} delimiter - Field delimiter
+     * @param {function} onTable - Optional callback receiving the full parsed table
      * @returns {object} Parsed CSV data
      */
-    parseCSV(data, delimiter = ',') {
+    parseCSV(data, delimiter = ',', onTable = null) {
         const text = data.toString('utf-8');
 
         const records = parse(text, {
@@ -217,6 +929,12 @@ class DataAcquisition {
             bom: true
         });
 
+        const statistics = this.calculateBasicStats(records);
+
+        if (onTable) {
+            onTable({ name: null, records, statistics });
+        }
+
         return {
             format: 'csv',
             parsed: true,
@@ -224,16 +942,102 @@ class DataAcquisition {
             columns: records.length > 0 ? Object.keys(records[0]) : [],
             preview: records.slice(0, 100), // First 100 rows
             hasMore: records.length > 100,
-            statistics: this.calculateBasicStats(records)
+            statistics
+        };
+    }
+
+    /**
+     * Stream a CSV/TSV resource, pushing rows to the Apify dataset in batches
+     * @param {object} resource - Resource object
+     * @param {object} options - Stream options (delimiter, datasetId)
+     * @returns {Promise<object>} Streamed CSV summary with preview and statistics
+     */
+    async streamCSV(resource, options = {}) {
+        const writer = await this.recordExtractor.open({
+            datasetId: options.datasetId || resource.package_id,
+            resourceId: resource.id,
+            batchSize: this.streaming.batchSize
+        });
+        const stream = await this.client.downloadResourceStream(resource.url);
+
+        const parser = parseStream({
+            delimiter: options.delimiter || ',',
+            columns: true,
+            skip_empty_lines: true,
+            relax_column_count: true,
+            trim: true,
+            bom: true
+        });
+
+        let bytesRead = 0;
+        const hash = crypto.createHash('sha256');
+        stream.on('data', chunk => {
+            bytesRead += chunk.length;
+            hash.update(chunk);
+        });
+        stream.on('error', error => parser.destroy(error));
+        stream.pipe(parser);
+
+        const accumulator = new BasicStatsAccumulator();
+        const preview = [];
+        const guard = new StreamPIIGuard(this.piiScanner, this.redactor, writer);
+        let rowCount = 0;
+        let piiFields = null;
+        let extraction = null;
+
+        try {
+            for await (const record of parser) {
+                rowCount++;
+                accumulator.add(record);
+
+                if (preview.length < 100) {
+                    preview.push(record);
+                }
+
+                await guard.write([record]);
+            }
+
+            piiFields = await guard.close();
+        } catch (error) {
+            // Rows pushed before the failure stay in the dataset
+            error.pushedRows = writer.rowNumber;
+            throw error;
+        } finally {
+            extraction = await writer.close();
+        }
+
+        if (this.debugMode) {
+            console.log(`Streamed ${rowCount} rows (${formatBytes(bytesRead)}) from resource ${resource.id}`);
+        }
+
+        const streamedData = {
+            format: 'csv',
+            parsed: true,
+            streamed: true,
+            rowCount,
+            pushedRows: extraction.itemCount,
+            extracted: [extraction],
+            bytesRead,
+            contentHash: hash.digest('hex'),
+            columns: preview.length > 0 ? Object.keys(preview[0]) : [],
+            preview,
+            hasMore: rowCount > 100,
+            statistics: accumulator.getStats(),
+            ...piiFields,
+            ...this.assessStreamPrivacy(guard.sample, piiFields)
         };
+
+        this.dropColumns(streamedData, null, piiFields.redaction?.[0].droppedColumns || []);
+        return streamedData;
     }
 
     /**
      * Parse JSON data
      * @param {Buffer} data - JSON data
+     * @param {function} onTable - Optional callback receiving the full parsed table
      * @returns {object} Parsed JSON data
      */
-    parseJSON(data) {
+    parseJSON(data, onTable = null) {
         const text = data.toString('utf-8');
         const json = safeJsonParse(text);
 
@@ -243,23 +1047,85 @@ class DataAcquisition {
 
         const isArray = Array.isArray(json);
 
+        // Arrays of flat objects are tabular, at the top level or wrapped (e.g. data.gov.in's {fields, records})
+        const found = this.findJSONRecords(json);
+        if (onTable && found) {
+            onTable({ name: null, records: found.records, statistics: null });
+        }
+
+        const wrapped = found && found.path.length > 0;
+
         return {
             format: 'json',
             parsed: true,
             type: isArray ? 'array' : 'object',
             itemCount: isArray ? json.length : 1,
-            preview: isArray ? json.slice(0, 100) : json,
-            hasMore: isArray && json.length > 100,
+            ...(wrapped ? { recordPath: found.path.join('.'), rowCount: found.records.length } : {}),
+            preview: isArray ? json.slice(0, 100) : wrapped ? this.previewJSONRecords(json, found.path) : json,
+            hasMore: found ? found.records.length > 100 : false,
             structure: this.analyzeJSONStructure(json)
         };
     }
 
+    /**
+     * Find the record array in parsed JSON: the top-level array, or an array of objects inside a wrapper object
+     * (common record keys such as records or data first, then the first array of objects, up to three levels deep)
+     * @param {*} json - Parsed JSON
+     * @param {number} depth - Levels left to search
+     * @returns {object|null} Records and their key path ({records, path}) or null when there is no record array
+     */
+    findJSONRecords(json, depth = 3) {
+        const isRecordArray = value => Array.isArray(value) && value.length > 0 &&
+            value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+        if (isRecordArray(json)) {
+            return { records: json, path: [] };
+        }
+
+        if (!json || typeof json !== 'object' || Array.isArray(json) || depth === 0) {
+            return null;
+        }
+
+        const preferred = ['records', 'data', 'rows', 'items', 'results', 'result'];
+        const keys = [...preferred.filter(key => key in json), ...Object.keys(json).filter(key => !preferred.includes(key))];
+
+        for (const key of keys) {
+            if (isRecordArray(json[key])) {
+                return { records: json[key], path: [key] };
+            }
+        }
+
+        for (const key of keys) {
+            const nested = this.findJSONRecords(json[key], depth - 1);
+            if (nested && nested.path.length > 0) {
+                return { records: nested.records, path: [key, ...nested.path] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Copy a wrapper object with its record array cut to the first 100 records
+     * @param {object} json - Wrapper object
+     * @param {array} path - Key path of the record array
+     * @returns {object} Preview
+     */
+    previewJSONRecords(json, path) {
+        const [key, ...rest] = path;
+        return {
+            ...json,
+            [key]: rest.length > 0 ? this.previewJSONRecords(json[key], rest) : json[key].slice(0, 100)
+        };
+    }
+
     /**
      * Parse Excel data
      * @param {Buffer} data - Excel data
+     * @param {function} onTable - Optional callback receiving each full parsed sheet
      * @returns {object} Parsed Excel data
      */
-    parseExcel(data) {
+    parseExcel(data, onTable = null) {
         const workbook = XLSX.read(data, { type: 'buffer' });
         const sheets = {};
 
@@ -267,6 +1133,10 @@ class DataAcquisition {
             const sheet = workbook.Sheets[sheetName];
             const jsonData = XLSX.utils.sheet_to_json(sheet, { defval: null });
 
+            if (onTable && jsonData.length > 0) {
+                onTable({ name: sheetName, records: jsonData, statistics: null });
+            }
+
             sheets[sheetName] = {
                 rowCount: jsonData.length,
                 columns: jsonData.length > 0 ? Object.keys(jsonData[0]) : [],
@@ -285,37 +1155,233 @@ class DataAcquisition {
     }
 
     /**
-     * Parse XML data
+     * Parse XML data into tabular rows from the repeating record element
      * @param {Buffer} data - XML data
+     * @param {function} onTable - Optional callback receiving the full parsed table
      * @returns {object} Parsed XML data
      */
-    parseXML(data) {
-        const text = data.toString('utf-8');
+    parseXML(data, onTable = null) {
+        const recordPath = this.xmlRecordPath || detectRecordPath(data);
+
+        if (!recordPath) {
+            throw new Error('No repeating record element found in XML. Set xmlRecordPath to choose one.');
+        }
 
-        // Basic XML structure detection
-        const tagMatches = text.match(/<(\w+)[^>]*>/g) || [];
-        const uniqueTags = [...new Set(tagMatches.map(tag => tag.match(/<(\w+)/)[1]))];
+        const rows = [];
+        const parser = new XmlRecordParser(recordPath, record => rows.push(record));
+        parser.write(data);
+        parser.close();
+
+        // Align heterogeneous records on the union of their columns
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const records = rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+
+        const statistics = this.calculateBasicStats(records);
+
+        if (onTable && records.length > 0) {
+            onTable({ name: null, records, statistics });
+        }
 
         return {
             format: 'xml',
             parsed: true,
-            elementCount: tagMatches.length,
-            uniqueTags: uniqueTags.slice(0, 50),
-            preview: text.substring(0, 2000),
-            hasMore: text.length > 2000,
-            note: 'XML parsing is basic. Consider using specialized XML parser for full analysis.'
+            recordPath,
+            recordPathDetected: !this.xmlRecordPath,
+            elementCount: parser.elementCount,
+            rowCount: records.length,
+            columns,
+            preview: records.slice(0, 100),
+            hasMore: records.length > 100,
+            statistics
+        };
+    }
+
+    /**
+     * Stream an XML resource, pushing flattened records to the Apify dataset in batches
+     * @param {object} resource - Resource object
+     * @param {object} options - Stream options (datasetId)
+     * @returns {Promise<object>} Streamed XML summary with preview and statistics
+     */
+    async streamXML(resource, options = {}) {
+        const sampleLimit = 1024 * 1024; // Record path is detected from the first 1 MB
+        const writer = await this.recordExtractor.open({
+            datasetId: options.datasetId || resource.package_id,
+            resourceId: resource.id,
+            batchSize: this.streaming.batchSize
+        });
+        const stream = await this.client.downloadResourceStream(resource.url);
+
+        const accumulator = new BasicStatsAccumulator();
+        const hash = crypto.createHash('sha256');
+        const preview = [];
+        const guard = new StreamPIIGuard(this.piiScanner, this.redactor, writer);
+        let pending = [];
+        let sample = [];
+        let sampleSize = 0;
+        let bytesRead = 0;
+        let parser = null;
+        let recordPath = this.xmlRecordPath;
+
+        const startParser = () => {
+            const buffered = Buffer.concat(sample);
+            recordPath = recordPath || detectRecordPath(buffered);
+
+            if (!recordPath) {
+                throw new Error('No repeating record element found in XML. Set xmlRecordPath to choose one.');
+            }
+
+            parser = new XmlRecordParser(recordPath, record => pending.push(record));
+            parser.write(buffered);
+            sample = [];
+        };
+
+        const drain = async () => {
+            for (const record of pending) {
+                accumulator.add(record);
+                if (preview.length < 100) preview.push(record);
+            }
+            await guard.write(pending);
+            pending = [];
+        };
+
+        let piiFields = null;
+        let extraction = null;
+
+        try {
+            for await (const chunk of stream) {
+                bytesRead += chunk.length;
+                hash.update(chunk);
+
+                if (parser) {
+                    parser.write(chunk);
+                } else {
+                    sample.push(chunk);
+                    sampleSize += chunk.length;
+                    if (sampleSize >= sampleLimit) startParser();
+                }
+
+                await drain();
+            }
+
+            if (!parser) startParser();
+            parser.close();
+            await drain();
+
+            piiFields = await guard.close();
+        } catch (error) {
+            // Rows pushed before the failure stay in the dataset
+            error.pushedRows = writer.rowNumber;
+            throw error;
+        } finally {
+            extraction = await writer.close();
+        }
+
+        if (this.debugMode) {
+            console.log(`Streamed ${extraction.itemCount} XML records (${formatBytes(bytesRead)}) from resource ${resource.id}`);
+        }
+
+        const streamedData = {
+            format: 'xml',
+            parsed: true,
+            streamed: true,
+            recordPath,
+            recordPathDetected: !this.xmlRecordPath,
+            rowCount: extraction.itemCount,
+            pushedRows: extraction.itemCount,
+            extracted: [extraction],
+            bytesRead,
+            contentHash: hash.digest('hex'),
+            columns: accumulator.columns || [],
+            preview,
+            hasMore: extraction.itemCount > 100,
+            statistics: accumulator.getStats(),
+            ...piiFields,
+            ...this.assessStreamPrivacy(guard.sample, piiFields)
         };
+
+        this.dropColumns(streamedData, null, piiFields.redaction?.[0].droppedColumns || []);
+        return streamedData;
+    }
+
+    /**
+     * Re-identification risk of a streamed resource, assessed on the rows sampled for the PII scan
+     * @param {array} sample - Leading streamed records (redacted in place when redaction is on)
+     * @param {object} piiFields - Stream PII fields ({pii})
+     * @returns {object} Fields to merge into the stream summary ({privacyRisk}), empty when not assessed
+     */
+    assessStreamPrivacy(sample, piiFields) {
+        if (!this.governanceLayer?.privacyRisk.enabled || sample.length === 0) {
+            return {};
+        }
+
+        try {
+            const assessment = this.governanceLayer.assessPrivacyRisk(sample, { name: null, scan: piiFields.pii?.[0], canBlock: false });
+            return assessment ? { privacyRisk: [{ ...assessment, sampled: sample.length }] } : {};
+
+        } catch (error) {
+            console.error('Privacy risk assessment error:', error.message);
+            return { privacyRiskError: error.message };
+        }
+    }
+
+    /**
+     * Withhold a table whose re-identification risk violates a blocking policy: no previews, profile, time series,
+     * extraction, export or raw file
+     * @param {object} parsedData - Parsed resource data
+     * @param {object} table - Parsed table
+     */
+    withholdTable(parsedData, table) {
+        table.withheld = true;
+
+        const target = table.name && parsedData.sheets?.[table.name] ? parsedData.sheets[table.name] : parsedData;
+        target.preview = [];
+        target.withheld = 'Re-identification risk exceeds governance thresholds';
+
+        // Profiles carry top values, which are as identifying as the rows
+        if (table.profile && parsedData.profiles) {
+            parsedData.profiles = parsedData.profiles.filter(profile => profile !== table.profile);
+            table.profile = null;
+        }
+    }
+
+    /**
+     * Remove redacted (dropped) columns from the column lists and statistics of parsed data
+     * @param {object} parsedData - Parsed resource data
+     * @param {string} tableName - Table (sheet) name or null
+     * @param {array} columns - Dropped column names
+     */
+    dropColumns(parsedData, tableName, columns) {
+        if (columns.length === 0) return;
+
+        const target = tableName && parsedData.sheets?.[tableName] ? parsedData.sheets[tableName] : parsedData;
+
+        if (Array.isArray(target.columns)) {
+            target.columns = target.columns.filter(column => !columns.includes(column));
+        }
+
+        if (Array.isArray(parsedData.fields)) {
+            parsedData.fields = parsedData.fields.filter(field => !columns.includes(field.id));
+        }
+
+        columns.forEach(column => {
+            if (parsedData.statistics?.fields) delete parsedData.statistics.fields[column];
+        });
     }
 
     /**
      * Parse text data
      * @param {Buffer} data - Text data
+     * @param {function} onTable - Optional callback receiving the lines as records
      * @returns {object} Parsed text data
      */
-    parseText(data) {
+    parseText(data, onTable = null) {
         const text = data.toString('utf-8');
         const lines = text.split('\n');
 
+        if (onTable && lines.length > 0) {
+            onTable({ name: null, records: lines.map(line => ({ line })), statistics: null, textual: true });
+        }
+
         return {
             format: 'text',
             parsed: true,
@@ -334,29 +1400,11 @@ class DataAcquisition {
     calculateBasicStats(records) {
         if (!records || records.length === 0) return null;
 
-        const stats = {
-            recordCount: records.length,
-            fields: {}
-        };
-
         // Analyze first 1000 records for performance
-        const sample = records.slice(0, 1000);
-        const columns = Object.keys(sample[0] || {});
+        const accumulator = new BasicStatsAccumulator();
+        records.slice(0, 1000).forEach(record => accumulator.add(record));
 
-        columns.forEach(column => {
-            const values = sample.map(r => r[column]).filter(v => v !== null && v !== undefined && v !== '');
-            const numericValues = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
-
-            stats.fields[column] = {
-                nonNullCount: values.length,
-                nullCount: sample.length - values.length,
-                completeness: ((values.length / sample.length) * 100).toFixed(2) + '%',
-                isNumeric: numericValues.length > values.length * 0.8,
-                uniqueValues: [...new Set(values)].length
-            };
-        });
-
-        return stats;
+        return accumulator.getStats(records.length);
     }
 
     /**
@@ -0,0 +1,346 @@
+/**
+ * Dataset Join Module
+ * Aligns tables from different resources on shared keys (state, district, year or named columns)
+ */
+
+const {
+    STATE_COLUMN_PATTERN,
+    DISTRICT_COLUMN_PATTERN,
+    findState,
+    findDistrictCandidates,
+    normalizeDistrictName
+} = require('./reference/geography');
+const { parseTimeKey } = require('./time-series');
+const { parseNumber, isIdentifierColumn } = require('./utils');
+
+// Key roles detected automatically, with value normalisation so spellings and formats line up
+const KEY_ROLES = {
+    state: {
+        pattern: STATE_COLUMN_PATTERN,
+        normalize: value => findState(value)?.name || null
+    },
+    district: {
+        pattern: DISTRICT_COLUMN_PATTERN,
+        // Districts join on name and state, so Aurangabad (Bihar) and Aurangabad (Maharashtra) stay apart; the row's
+        // state value (when the table has a state column) picks between districts of the same name
+        normalize: (value, stateValue = null) => {
+            const state = findState(stateValue);
+            const candidates = findDistrictCandidates(value, state);
+
+            // Known districts join on their canonical name (Gurgaon = Gurugram)
+            if (candidates.length === 1) {
+                return `${candidates[0].name}, ${findState(candidates[0].state).name}`;
+            }
+
+            // A name shared by districts of several states cannot be placed without a state
+            if (candidates.length > 1) return null;
+
+            const name = normalizeDistrictName(value);
+            if (!name || /^\d+$/.test(name)) return null;
+            return state ? `${name}, ${state.name}` : name;
+        }
+    },
+    year: {
+        pattern: /year|(^|[^a-z])(yr|fy)([^a-z]|$)|period|वर्ष/i,
+        normalize: value => {
+            const key = parseTimeKey(value);
+            return key && ['year', 'financial_year'].includes(key.granularity) ? parseInt(key.date.substring(0, 4), 10) : null;
+        }
+    }
+};
+
+// Share of values that must normalise for a column to serve as a key
+const KEY_THRESHOLD = 0.8;
+
+class DatasetJoiner {
+    constructor(config = {}) {
+        this.joinKeys = Array.isArray(config.joinKeys) ? config.joinKeys.filter(Boolean) : [];
+        this.aggregation = config.aggregation === 'mean' ? 'mean' : 'sum';
+        this.maxMeasures = config.maxMeasures || 20;
+        this.maxExamples = config.maxExamples || 20;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Join source tables on shared keys
+     * @param {array} sources - Sources ({id, label, datasetId, resourceId, tables: [{name, records}]})
+     * @returns {object} Join result (keys, per-source key columns and measures, joined rows, match report)
+     */
+    join(sources) {
+        const prepared = sources.map(source => this.selectTable(source));
+        const joinKeys = this.resolveJoinKeys(prepared);
+
+        if (joinKeys.length === 0) {
+            throw new Error('No common join keys found. Specify correlation.joinKeys (e.g., ["state", "year"]).');
+        }
+
+        const missing = prepared.filter(source => joinKeys.some(key => !source.keyColumns[key]));
+        if (missing.length > 0) {
+            throw new Error(`Join key(s) ${joinKeys.join(', ')} not found in: ${missing.map(source => source.label).join(', ')}`);
+        }
+
+        const indexed = prepared.map(source => this.indexSource(source, joinKeys));
+        const allKeys = new Map();
+
+        indexed.forEach(source => {
+            source.groups.forEach((group, serialized) => {
+                if (!allKeys.has(serialized)) allKeys.set(serialized, group.key);
+            });
+        });
+
+        const rows = [...allKeys.entries()].map(([serialized, key]) => ({
+            key,
+            values: Object.fromEntries(indexed
+                .filter(source => source.groups.has(serialized))
+                .map(source => [source.id, source.groups.get(serialized).values]))
+        }));
+
+        return {
+            joinKeys,
+            joinKeySource: this.joinKeys.length > 0 ? 'input' : 'auto',
+            aggregation: this.aggregation,
+            sources: indexed.map(source => ({
+                id: source.id,
+                label: source.label,
+                datasetId: source.datasetId,
+                resourceId: source.resourceId,
+                table: source.table,
+                rowCount: source.rowCount,
+                keyColumns: Object.fromEntries(joinKeys.map(key => [key, source.keyColumns[key]])),
+                measures: source.measures,
+                duplicateKeys: source.duplicateKeys
+            })),
+            rows,
+            matching: this.buildMatchReport(indexed, allKeys)
+        };
+    }
+
+    /**
+     * Pick the table of a source best suited for joining (most key roles, then most rows)
+     * @param {object} source - Source with tables
+     * @returns {object} Source with the chosen table, key columns and measures
+     */
+    selectTable(source) {
+        const candidates = (source.tables || [])
+            .filter(table => table.records && table.records.length > 0)
+            .map(table => {
+                const columns = [...new Set(table.records.flatMap(record => Object.keys(record || {})))];
+                const keyColumns = this.detectKeyColumns(table.records, columns);
+                return { table, columns, keyColumns };
+            })
+            .sort((a, b) =>
+                Object.keys(b.keyColumns).length - Object.keys(a.keyColumns).length ||
+                b.table.records.length - a.table.records.length
+            );
+
+        if (candidates.length === 0) {
+            throw new Error(`No tabular data parsed for ${source.label}`);
+        }
+
+        const { table, columns, keyColumns } = candidates[0];
+        const keyColumnNames = Object.values(keyColumns);
+        const measures = columns
+            .filter(column =>
+                !keyColumnNames.includes(column) &&
+                !isIdentifierColumn(column) &&
+                !KEY_ROLES.year.pattern.test(column) &&
+                numericShare(table.records, column) >= 0.95
+            )
+            .slice(0, this.maxMeasures);
+
+        return {
+            ...source,
+            table: table.name || null,
+            records: table.records,
+            rowCount: table.records.length,
+            keyColumns,
+            measures
+        };
+    }
+
+    /**
+     * Find key columns in a table: auto-detected roles plus explicitly named join columns
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @returns {object} Key name to column name
+     */
+    detectKeyColumns(records, columns) {
+        const keyColumns = {};
+
+        Object.entries(KEY_ROLES).forEach(([role, definition]) => {
+            // States are detected first, so district names are read within the row's state
+            const normalize = (value, record) => definition.normalize(value, keyColumns.state ? record[keyColumns.state] : null);
+            const best = columns
+                .filter(column => definition.pattern.test(column))
+                .map(column => ({ column, share: normalizedShare(records, column, normalize) }))
+                .filter(candidate => candidate.share >= KEY_THRESHOLD)
+                .sort((a, b) => b.share - a.share || Number(isIdentifierColumn(a.column)) - Number(isIdentifierColumn(b.column)))[0];
+
+            if (best) keyColumns[role] = best.column;
+        });
+
+        // Explicit join keys that are column names rather than roles
+        this.joinKeys.filter(key => !KEY_ROLES[key]).forEach(key => {
+            const column = columns.find(candidate => normalizeColumnName(candidate) === normalizeColumnName(key));
+            if (column) keyColumns[key] = column;
+        });
+
+        return keyColumns;
+    }
+
+    /**
+     * Decide the join keys: explicit input, or roles found in every source
+     * @param {array} sources - Prepared sources
+     * @returns {array} Join key names
+     */
+    resolveJoinKeys(sources) {
+        if (this.joinKeys.length > 0) {
+            return this.joinKeys;
+        }
+
+        return Object.keys(KEY_ROLES).filter(role => sources.every(source => source.keyColumns[role]));
+    }
+
+    /**
+     * Group a source's measures by normalised join key
+     * @param {object} source - Prepared source
+     * @param {array} joinKeys - Join key names
+     * @returns {object} Source with key groups and unresolved key values
+     */
+    indexSource(source, joinKeys) {
+        const groups = new Map();
+        const unresolved = new Map();
+        let duplicateKeys = 0;
+
+        source.records.forEach(record => {
+            const key = {};
+
+            for (const name of joinKeys) {
+                const raw = record[source.keyColumns[name]];
+                const value = normalizeKeyValue(name, raw, source.keyColumns.state ? record[source.keyColumns.state] : null);
+
+                if (value === null) {
+                    const label = `${name}=${raw ?? ''}`;
+                    unresolved.set(label, (unresolved.get(label) || 0) + 1);
+                    return;
+                }
+
+                key[name] = value;
+            }
+
+            const serialized = JSON.stringify(joinKeys.map(name => key[name]));
+            if (!groups.has(serialized)) {
+                groups.set(serialized, { key, rows: [] });
+            } else if (groups.get(serialized).rows.length === 1) {
+                duplicateKeys++;
+            }
+
+            groups.get(serialized).rows.push(record);
+        });
+
+        groups.forEach(group => {
+            group.values = Object.fromEntries(source.measures.map(measure => {
+                const values = group.rows.map(row => parseNumber(row[measure])).filter(value => value !== null);
+                return [measure, values.length > 0 ? this.aggregate(values) : null];
+            }));
+            delete group.rows;
+        });
+
+        return {
+            ...source,
+            groups,
+            duplicateKeys,
+            unresolved: [...unresolved.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .map(([value, count]) => ({ value, count }))
+        };
+    }
+
+    /**
+     * Report matched and unmatched keys per source
+     * @param {array} sources - Indexed sources
+     * @param {Map} allKeys - Every key seen in any source
+     * @returns {object} Match report
+     */
+    buildMatchReport(sources, allKeys) {
+        const matched = new Set([...allKeys.keys()].filter(serialized => sources.every(source => source.groups.has(serialized))));
+
+        return {
+            totalKeys: allKeys.size,
+            matchedKeys: matched.size,
+            matchRate: allKeys.size > 0 ? ((matched.size / allKeys.size) * 100).toFixed(2) + '%' : '0%',
+            perSource: sources.map(source => {
+                const unmatched = [...source.groups.keys()].filter(serialized => !matched.has(serialized));
+
+                return {
+                    source: source.label,
+                    keys: source.groups.size,
+                    matched: source.groups.size - unmatched.length,
+                    unmatched: unmatched.length,
+                    unmatchedExamples: unmatched.slice(0, this.maxExamples).map(serialized => ({
+                        key: allKeys.get(serialized),
+                        missingFrom: sources.filter(other => !other.groups.has(serialized)).map(other => other.label)
+                    })),
+                    unresolvedValues: source.unresolved.slice(0, this.maxExamples)
+                };
+            })
+        };
+    }
+
+    /**
+     * Aggregate values sharing a key
+     * @param {array} values - Values
+     * @returns {number} Aggregated value
+     */
+    aggregate(values) {
+        const total = values.reduce((sum, value) => sum + value, 0);
+        return this.aggregation === 'mean' ? total / values.length : total;
+    }
+}
+
+/**
+ * Normalise a key value for its key name (roles use their normaliser, other keys compare as trimmed lowercase text)
+ * @param {string} name - Key name
+ * @param {*} value - Raw value
+ * @param {*} stateValue - State value of the same row, used to place districts (optional)
+ * @returns {*} Normalised value or null
+ */
+function normalizeKeyValue(name, value, stateValue = null) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    if (KEY_ROLES[name]) return KEY_ROLES[name].normalize(value, stateValue);
+    return String(value).trim().toLowerCase();
+}
+
+/**
+ * Normalise a column name for matching
+ * @param {string} name - Column name
+ * @returns {string} Lowercase alphanumeric name
+ */
+function normalizeColumnName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Share of non-empty values in a column that normalise
+ * @param {array} records - Records
+ * @param {string} column - Column name
+ * @param {function} normalize - Normaliser, called with the value and its record
+ * @returns {number} Share (0-1)
+ */
+function normalizedShare(records, column, normalize) {
+    const present = records.filter(record => record[column] !== null && record[column] !== undefined && String(record[column]).trim() !== '');
+    if (present.length === 0) return 0;
+    return present.filter(record => normalize(record[column], record) !== null).length / present.length;
+}
+
+/**
+ * Share of non-empty values in a column that are numbers
+ * @param {array} records - Records
+ * @param {string} column - Column name
+ * @returns {number} Share (0-1)
+ */
+function numericShare(records, column) {
+    return normalizedShare(records, column, value => parseNumber(value));
+}
+
+module.exports = DatasetJoiner;
@@ -0,0 +1,317 @@
+/**
+ * Geography Normalizer
+ * Maps state and district columns in parsed tables to canonical names and LGD codes, reporting values that do not match
+ */
+
+const { Actor } = require('apify');
+const { parse } = require('csv-parse/sync');
+const {
+    STATE_COLUMN_PATTERN,
+    DISTRICT_COLUMN_PATTERN,
+    findState,
+    findDistrictCandidates,
+    findDistrictByCode,
+    loadDistrictCodes,
+    isAggregateLabel
+} = require('./reference/geography');
+
+// Share of values that must resolve for a matching column name to be treated as geographic
+const MATCH_THRESHOLD = 0.5;
+
+class GeographyNormalizer {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.addColumns = config.addColumns !== false;
+        this.maxUnmatched = config.maxUnmatched || 20;
+        this.districtCodesKey = config.districtCodesKey || null;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Load LGD district codes from a key-value store record holding the LGD directory's district export (CSV or JSON rows)
+     * @returns {Promise<object|null>} Load summary ({rows, matched, added, skipped}) or null when no record is configured
+     */
+    async loadDistrictCodes() {
+        if (!this.enabled || !this.districtCodesKey) {
+            return null;
+        }
+
+        const stored = await Actor.getValue(this.districtCodesKey);
+        if (!stored) {
+            throw new Error(`District code record '${this.districtCodesKey}' not found`);
+        }
+
+        const rows = Array.isArray(stored)
+            ? stored
+            : parse(Buffer.isBuffer(stored) ? stored.toString('utf-8') : String(stored), { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        const summary = loadDistrictCodes(rows);
+
+        if (this.debugMode) {
+            console.log(`🗺️  LGD district codes: ${summary.matched} matched, ${summary.added} added, ${summary.skipped} skipped`);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Normalize the state and district columns of a table
+     * Canonical columns are added to the records in place: <column>_canonical and <column>_lgd_code for states,
+     * <column>_canonical, <column>_lgd_code and <column>_state_lgd_code for districts (district columns may hold
+     * names or LGD codes)
+     * @param {array} records - Table records
+     * @param {object} options - Table name and profile ({name, profile})
+     * @returns {object|null} Normalization report ({table, columns, addedColumns}) or null when no geographic columns
+     */
+    normalizeTable(records, options = {}) {
+        if (!Array.isArray(records) || records.length === 0) {
+            return null;
+        }
+
+        const columns = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+        const stateColumn = this.findStateColumn(records, columns, options.profile);
+        const districtColumn = this.findDistrictColumn(records, columns, stateColumn, options.profile);
+        const districtByCode = districtColumn !== null && this.isDistrictCodeColumn(records, districtColumn, options.profile);
+
+        if (!stateColumn && !districtColumn) {
+            return null;
+        }
+
+        const reports = [];
+        const addedColumns = [];
+        const stateByRow = new Map();
+
+        if (stateColumn) {
+            const report = this.createReport(stateColumn, 'state');
+
+            records.forEach((record, index) => {
+                const value = record[stateColumn];
+                const state = this.resolve(report, value, () => findState(value));
+
+                if (state) stateByRow.set(index, state);
+
+                if (this.addColumns) {
+                    record[`${stateColumn}_canonical`] = state ? state.name : null;
+                    record[`${stateColumn}_lgd_code`] = state ? state.code : null;
+                }
+            });
+
+            reports.push(this.finishReport(report));
+            if (this.addColumns) {
+                addedColumns.push(
+                    { name: `${stateColumn}_canonical`, type: 'string' },
+                    { name: `${stateColumn}_lgd_code`, type: 'integer' }
+                );
+            }
+        }
+
+        if (districtColumn) {
+            const report = this.createReport(districtColumn, 'district');
+
+            records.forEach((record, index) => {
+                const value = record[districtColumn];
+                const state = stateByRow.get(index) || null;
+                const district = this.resolve(report, value, () => {
+                    if (districtByCode) return findDistrictByCode(value, state);
+
+                    const candidates = findDistrictCandidates(value, state);
+                    if (candidates.length > 1) return { ambiguous: candidates };
+                    return candidates[0] || null;
+                });
+
+                if (this.addColumns) {
+                    record[`${districtColumn}_canonical`] = district ? district.name : null;
+                    record[`${districtColumn}_lgd_code`] = district?.code || null;
+                    record[`${districtColumn}_state_lgd_code`] = district ? district.state : null;
+                }
+            });
+
+            reports.push(this.finishReport(report));
+            if (this.addColumns) {
+                addedColumns.push(
+                    { name: `${districtColumn}_canonical`, type: 'string' },
+                    { name: `${districtColumn}_lgd_code`, type: 'integer' },
+                    { name: `${districtColumn}_state_lgd_code`, type: 'integer' }
+                );
+            }
+        }
+
+        return {
+            table: options.name || null,
+            columns: reports,
+            addedColumns: addedColumns.map(column => column.name),
+            addedFields: Object.fromEntries(addedColumns.map(column => [column.name, { type: column.type }]))
+        };
+    }
+
+    /**
+     * Pick the state column: profiled as indian_state, or named like one with enough values resolving
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @param {object} profile - Table profile (optional)
+     * @returns {string|null} Column name or null
+     */
+    findStateColumn(records, columns, profile) {
+        const profiled = columns.find(column => profile?.columns?.[column]?.type === 'indian_state');
+        if (profiled) return profiled;
+
+        return this.bestColumn(
+            columns.filter(column => STATE_COLUMN_PATTERN.test(column) && !DISTRICT_COLUMN_PATTERN.test(column)),
+            records,
+            value => findState(value) !== null
+        );
+    }
+
+    /**
+     * Pick the district column: named like one with enough values resolving to a district, or else a column of
+     * LGD district codes
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @param {string} stateColumn - State column, excluded from candidates
+     * @param {object} profile - Table profile (optional)
+     * @returns {string|null} Column name or null
+     */
+    findDistrictColumn(records, columns, stateColumn, profile) {
+        const candidates = columns.filter(column => column !== stateColumn && DISTRICT_COLUMN_PATTERN.test(column));
+        const byName = this.bestColumn(
+            candidates.filter(column => !this.isDistrictCodeColumn(records, column, profile)),
+            records,
+            value => findDistrictCandidates(value).length > 0
+        );
+
+        return byName || this.bestColumn(
+            candidates.filter(column => this.isDistrictCodeColumn(records, column, profile)),
+            records,
+            value => findDistrictByCode(value) !== null
+        );
+    }
+
+    /**
+     * Check whether a district column holds LGD codes rather than names
+     * @param {array} records - Table records
+     * @param {string} column - Column name
+     * @param {object} profile - Table profile (optional)
+     * @returns {boolean} True when profiled as district_code, or named as a code with only whole numbers in it
+     */
+    isDistrictCodeColumn(records, column, profile) {
+        if (profile?.columns?.[column]?.type === 'district_code') return true;
+
+        return /code|lgd|(^|[^a-z])id([^a-z]|$)/i.test(column) && records.every(record => {
+            const value = record[column];
+            return value === null || value === undefined || /^\s*\d*\s*$/.test(String(value));
+        });
+    }
+
+    /**
+     * Choose the candidate column with the highest share of resolving values (summary rows ignored)
+     * @param {array} candidates - Candidate column names
+     * @param {array} records - Table records
+     * @param {function} resolves - Value test
+     * @returns {string|null} Column name or null
+     */
+    bestColumn(candidates, records, resolves) {
+        const scored = candidates.map(column => {
+            const values = records
+                .map(record => record[column])
+                .filter(value => value !== null && value !== undefined && String(value).trim() !== '' && !isAggregateLabel(value));
+            const share = values.length > 0 ? values.filter(resolves).length / values.length : 0;
+            return { column, share };
+        }).filter(candidate => candidate.share >= MATCH_THRESHOLD);
+
+        scored.sort((a, b) => b.share - a.share);
+        return scored[0]?.column || null;
+    }
+
+    /**
+     * Start a column report
+     * @param {string} column - Column name
+     * @param {string} role - 'state' or 'district'
+     * @returns {object} Report accumulator
+     */
+    createReport(column, role) {
+        return {
+            column,
+            role,
+            values: 0,
+            matched: 0,
+            aggregates: 0,
+            empty: 0,
+            unmatched: new Map(),
+            ambiguous: new Map()
+        };
+    }
+
+    /**
+     * Resolve one value, recording the outcome in the report
+     * @param {object} report - Report accumulator
+     * @param {*} value - Raw value
+     * @param {function} lookup - Returns the match, {ambiguous: [...]} or null
+     * @returns {object|null} Match or null
+     */
+    resolve(report, value, lookup) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            report.empty++;
+            return null;
+        }
+
+        report.values++;
+
+        if (isAggregateLabel(value)) {
+            report.aggregates++;
+            return null;
+        }
+
+        const match = lookup();
+        const label = String(value).trim();
+
+        if (match && match.ambiguous) {
+            const entry = report.ambiguous.get(label) || { count: 0, states: match.ambiguous.map(district => district.state) };
+            entry.count++;
+            report.ambiguous.set(label, entry);
+            return null;
+        }
+
+        if (!match) {
+            report.unmatched.set(label, (report.unmatched.get(label) || 0) + 1);
+            return null;
+        }
+
+        report.matched++;
+        return match;
+    }
+
+    /**
+     * Turn a report accumulator into its output form
+     * @param {object} report - Report accumulator
+     * @returns {object} Column report
+     */
+    finishReport(report) {
+        const places = report.values - report.aggregates;
+        const unmatchedCount = [...report.unmatched.values()].reduce((sum, count) => sum + count, 0);
+        const ambiguousCount = [...report.ambiguous.values()].reduce((sum, entry) => sum + entry.count, 0);
+
+        if (this.debugMode && (unmatchedCount > 0 || ambiguousCount > 0)) {
+            console.log(`🗺️  ${report.column}: ${unmatchedCount} unmatched, ${ambiguousCount} ambiguous ${report.role} values`);
+        }
+
+        return {
+            column: report.column,
+            role: report.role,
+            values: report.values,
+            matched: report.matched,
+            matchRate: places > 0 ? ((report.matched / places) * 100).toFixed(2) + '%' : '0%',
+            aggregateRows: report.aggregates,
+            unmatched: unmatchedCount,
+            unmatchedValues: [...report.unmatched.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, this.maxUnmatched)
+                .map(([value, count]) => ({ value, count })),
+            ambiguous: ambiguousCount,
+            ambiguousValues: [...report.ambiguous.entries()]
+                .sort((a, b) => b[1].count - a[1].count)
+                .slice(0, this.maxUnmatched)
+                .map(([value, entry]) => ({ value, count: entry.count, stateCodes: entry.states }))
+        };
+    }
+}
+
+module.exports = GeographyNormalizer;
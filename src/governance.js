@@ -3,7 +3,9 @@
  * Ensures ethical data handling, license compliance, and DPDP Act 2023 adherence
  */
 
-const { detectPII, redactPII, createError } = require('./utils');
+const { createError } = require('./utils');
+const { detectPII, redactPII, meetsConfidence } = require('./pii-detectors');
+const PolicyEngine = require('./policy-engine');
 
 class GovernanceLayer {
     constructor(config = {}) {
@@ -11,11 +13,39 @@ class GovernanceLayer {
         this.blockRestrictedData = config.blockRestrictedData !== false;
         this.enableAuditLog = config.enableAuditLog !== false;
         this.piiDetection = config.piiDetection !== false;
+        this.redactionEnabled = config.redaction?.enabled || false;
         this.debugMode = config.debugMode || false;
 
+        // Re-identification risk (k-anonymity, l-diversity) of acquired tables
+        const privacyRisk = config.privacyRisk || {};
+        this.privacyRisk = {
+            enabled: privacyRisk.enabled !== false,
+            quasiIdentifiers: privacyRisk.quasiIdentifiers || [],
+            sensitiveColumns: privacyRisk.sensitiveColumns || [],
+            minK: privacyRisk.minK || 5,
+            minL: privacyRisk.minL || 2,
+            onViolation: privacyRisk.onViolation === 'block' ? 'block' : 'warn'
+        };
+
+        // Declarative allow/deny rules for dataset access
+        this.policyEngine = new PolicyEngine({ ...config.policy, debugMode: this.debugMode });
+        this.policySources = null;
+
         this.auditLog = [];
         this.blockedDatasets = new Set();
+        this.policyHits = new Map();
         this.licenseWarnings = new Set();
+        this.contentScans = new Map();
+    }
+
+    /**
+     * Load the governance policy record from the key-value store (when configured)
+     * @returns {Promise<object>} Loaded policy summary ({sources, ruleCount, allowlistCount})
+     */
+    async loadPolicy() {
+        const loaded = await this.policyEngine.load();
+        this.policySources = loaded.sources;
+        return loaded;
     }
 
     /**
@@ -35,14 +65,16 @@ class GovernanceLayer {
             }
         };
 
-        // Check for restricted data
-        if (this.blockRestrictedData) {
-            const restrictionCheck = this.checkRestrictions(dataset);
-            if (!restrictionCheck.allowed) {
-                validationResult.allowed = false;
-                validationResult.errors.push(restrictionCheck.reason);
-                validationResult.compliance.restrictionCheck = false;
-            }
+        // Check the governance policy (blocking rules only block with blockRestrictedData on)
+        const restrictionCheck = this.checkRestrictions(dataset);
+        validationResult.policy = restrictionCheck.policy;
+
+        if (!restrictionCheck.allowed) {
+            validationResult.allowed = false;
+            validationResult.errors.push(restrictionCheck.reason);
+            validationResult.compliance.restrictionCheck = false;
+        } else if (restrictionCheck.severity === 'warn') {
+            validationResult.warnings.push(restrictionCheck.reason);
         }
 
         // Check license compliance
@@ -63,44 +95,71 @@ class GovernanceLayer {
     }
 
     /**
-     * Check for restricted or internal-use datasets
+     * Check a dataset against the governance policy
      * @param {object} dataset - Dataset to check
-     * @returns {object} Restriction check result
+     * @returns {object} Restriction check result ({allowed, severity, rule, reason, keyword?, policy})
      */
     checkRestrictions(dataset) {
-        const restrictedKeywords = [
-            'internal-use',
-            'restricted',
-            'confidential',
-            'classified',
-            'private',
-            'sensitive',
-            'secret'
-        ];
-
-        const datasetText = [
-            dataset.title || '',
-            dataset.description || dataset.notes || '',
-            dataset.tags?.map(t => t.name || t).join(' ') || ''
-        ].join(' ').toLowerCase();
+        const decision = this.policyEngine.evaluate(dataset);
+        this.recordPolicyHits(decision);
 
-        const foundRestriction = restrictedKeywords.find(keyword =>
-            datasetText.includes(keyword)
-        );
+        // With blockRestrictedData off, blocking rules are reported as warnings
+        const severity = decision.severity === 'block' && !this.blockRestrictedData ? 'warn' : decision.severity;
+        const decisive = decision.firedRules.find(fired => fired.id === decision.rule);
+        const policy = { rule: decision.rule, severity, firedRules: decision.firedRules };
+        const keyword = decisive?.matched.keyword;
 
-        if (foundRestriction) {
+        if (severity === 'block') {
             this.blockedDatasets.add(dataset.id || dataset.name);
 
             return {
                 allowed: false,
-                reason: `Dataset contains restricted content (keyword: '${foundRestriction}'). Access blocked per governance policy.`,
-                keyword: foundRestriction
+                severity,
+                rule: decision.rule,
+                reason: `${decision.reason}. Access blocked per governance policy.`,
+                ...(keyword ? { keyword } : {}),
+                policy
             };
         }
 
         return {
             allowed: true,
-            reason: 'No restrictions found'
+            severity,
+            rule: decision.rule,
+            reason: severity ? `${decision.reason}. Flagged by governance policy.` : decision.reason,
+            ...(keyword ? { keyword } : {}),
+            policy
+        };
+    }
+
+    /**
+     * Count how often each policy rule fired and decided
+     * @param {object} decision - Policy decision
+     */
+    recordPolicyHits(decision) {
+        decision.firedRules.forEach(fired => {
+            const hits = this.policyHits.get(fired.id) || { rule: fired.id, effect: fired.effect, severity: fired.severity, matches: 0, decisions: 0 };
+            hits.matches++;
+            if (fired.id === decision.rule) hits.decisions++;
+            this.policyHits.set(fired.id, hits);
+        });
+    }
+
+    /**
+     * Governance policy rules and how often they fired
+     * @returns {object} Policy report ({sources, rules, allowlisted, hits})
+     */
+    getPolicyReport() {
+        return {
+            sources: this.policySources || (this.policyEngine.includeDefaults ? ['default'] : []),
+            rules: this.policyEngine.rules.map(rule => ({
+                id: rule.id,
+                description: rule.description,
+                effect: rule.effect,
+                severity: rule.severity
+            })),
+            allowlisted: this.policyEngine.allowlist.size,
+            hits: [...this.policyHits.values()].sort((a, b) => b.matches - a.matches)
         };
     }
 
@@ -161,9 +220,10 @@ class GovernanceLayer {
     /**
      * Scan for PII in dataset (DPDP Act 2023 compliance)
      * @param {object} dataset - Dataset to scan
+     * @param {array} resources - Acquired resources whose column-level scans are folded in (optional)
      * @returns {object} PII detection result
      */
-    scanForPII(dataset) {
+    scanForPII(dataset, resources = null) {
         if (!this.piiDetection) {
             return {
                 scanned: false,
@@ -171,17 +231,25 @@ class GovernanceLayer {
             };
         }
 
-        const textToScan = [
-            dataset.title || '',
-            dataset.description || dataset.notes || '',
-            JSON.stringify(dataset.resources || [])
-        ].join(' ');
+        const fields = {
+            title: dataset.title || '',
+            description: dataset.description || dataset.notes || '',
+            resources: JSON.stringify(dataset.resources || [])
+        };
 
-        const hasPII = detectPII(textToScan);
+        // Low-confidence findings (bare digit runs) are listed but do not count as detected PII
+        const findings = Object.entries(fields).flatMap(([field, text]) =>
+            detectPII(text).map(({ value, ...finding }) => ({ field, ...finding })));
+        const metadataPII = findings.some(finding => meetsConfidence(finding.confidence, 'medium'));
+        const contentScan = resources ? this.summarizeContentScan(dataset, resources) : null;
+        const hasPII = metadataPII || Boolean(contentScan?.piiDetected);
 
         return {
             scanned: true,
             piiDetected: hasPII,
+            metadataPIIDetected: metadataPII,
+            findings,
+            ...(contentScan ? { contentScan } : {}),
             warning: hasPII
                 ? 'Potential PII detected. Review data carefully before processing per DPDP Act 2023.'
                 : 'No obvious PII patterns detected',
@@ -191,6 +259,242 @@ class GovernanceLayer {
         };
     }
 
+    /**
+     * Summarize the column-level PII scans, redactions and re-identification risk of a dataset's acquired resources and record them for the compliance report
+     * @param {object} dataset - Dataset the resources belong to
+     * @param {array} resources - Acquired resources (scan reports under data.pii, redaction summaries under data.redaction, assessments under data.privacyRisk)
+     * @returns {object|null} Content scan summary or null when no resource data was scanned
+     */
+    summarizeContentScan(dataset, resources = []) {
+        if (!this.piiDetection && !this.redactionEnabled && !this.privacyRisk.enabled) {
+            return null;
+        }
+
+        const riskOrder = ['none', 'low', 'medium', 'high'];
+        const tables = [];
+
+        resources.forEach(resource => {
+            (resource.data?.pii || []).forEach(report => {
+                const redaction = (resource.data.redaction || []).find(entry => entry.table === report.table);
+
+                tables.push({
+                    resourceId: resource.id,
+                    resourceName: resource.name,
+                    table: report.table,
+                    rowsScanned: report.rowsScanned,
+                    risk: report.risk,
+                    identifiers: report.columns
+                        .filter(column => column.primaryType)
+                        .map(column => {
+                            const detection = column.detections.find(candidate => candidate.type === column.primaryType);
+                            return {
+                                column: column.column,
+                                type: column.primaryType,
+                                hitRate: detection.hitRate,
+                                confidence: detection.confidence
+                            };
+                        }),
+                    quasiIdentifiers: report.columns
+                        .filter(column => column.quasiIdentifier)
+                        .map(column => ({ column: column.column, kind: column.quasiIdentifier.kind })),
+                    ...(redaction ? { redaction } : {})
+                });
+            });
+        });
+
+        const assessments = resources.flatMap(resource => (resource.data?.privacyRisk || []).map(assessment => ({
+            resourceId: resource.id,
+            resourceName: resource.name,
+            table: assessment.table,
+            quasiIdentifiers: assessment.quasiIdentifiers,
+            k: assessment.k,
+            l: assessment.l,
+            violations: assessment.violations,
+            action: assessment.action,
+            blocked: assessment.blocked,
+            ...(assessment.sampled ? { sampled: assessment.sampled } : {})
+        })));
+
+        if (tables.length === 0 && assessments.length === 0) {
+            return null;
+        }
+
+        const risk = tables.reduce((highest, table) =>
+            riskOrder.indexOf(table.risk) > riskOrder.indexOf(highest) ? table.risk : highest, 'none');
+
+        const summary = {
+            scanned: true,
+            tablesScanned: tables.length,
+            piiDetected: tables.some(table => table.identifiers.length > 0),
+            identifierTypes: [...new Set(tables.flatMap(table => table.identifiers.map(identifier => identifier.type)))],
+            quasiIdentifierKinds: [...new Set(tables.flatMap(table => table.quasiIdentifiers.map(column => column.kind)))],
+            risk,
+            ...(this.redactionEnabled ? { redaction: this.totalRedaction(tables.map(table => table.redaction).filter(Boolean)) } : {}),
+            ...(assessments.length > 0 ? { privacyRisk: assessments } : {}),
+            tables
+        };
+
+        const datasetId = dataset.id || dataset.name;
+        if (!this.contentScans.has(datasetId)) {
+            this.logActivity('CONTENT_PII_SCAN', {
+                datasetId,
+                risk,
+                identifierTypes: summary.identifierTypes,
+                quasiIdentifierKinds: summary.quasiIdentifierKinds
+            });
+        }
+
+        this.contentScans.set(datasetId, {
+            datasetId,
+            datasetTitle: dataset.title,
+            risk,
+            piiDetected: summary.piiDetected,
+            identifierTypes: summary.identifierTypes,
+            quasiIdentifierKinds: summary.quasiIdentifierKinds,
+            ...(summary.redaction ? { redaction: summary.redaction } : {}),
+            ...(assessments.length > 0 ? {
+                privacyRisk: {
+                    tablesAssessed: assessments.length,
+                    tablesViolating: assessments.filter(assessment => assessment.violations.length > 0).length,
+                    tablesWithheld: assessments.filter(assessment => assessment.blocked).length,
+                    minK: Math.min(...assessments.map(assessment => assessment.k))
+                }
+            } : {})
+        });
+
+        return summary;
+    }
+
+    /**
+     * Total redaction summaries
+     * @param {array} redactions - Redaction summaries ({columns, droppedColumns, valuesRedacted})
+     * @returns {object} Totals ({tablesRedacted, columnsRedacted, droppedColumns, valuesRedacted, byAction})
+     */
+    totalRedaction(redactions) {
+        const byAction = {};
+        redactions.forEach(redaction => redaction.columns.forEach(column => {
+            byAction[column.action] = (byAction[column.action] || 0) + 1;
+        }));
+
+        return {
+            tablesRedacted: redactions.length,
+            columnsRedacted: redactions.reduce((sum, redaction) => sum + redaction.columns.length, 0),
+            droppedColumns: redactions.reduce((sum, redaction) => sum + redaction.droppedColumns.length, 0),
+            valuesRedacted: redactions.reduce((sum, redaction) => sum + redaction.valuesRedacted, 0),
+            byAction
+        };
+    }
+
+    /**
+     * Assess the re-identification risk of a table: group records into equivalence classes on their quasi-identifiers
+     * and measure k-anonymity (smallest class size) and l-diversity (fewest distinct sensitive values in a class)
+     * @param {array} records - Table records (as they will be output, i.e. after redaction)
+     * @param {object} options - Table context ({name, scan: PII scan report, profile, geographyColumns, canBlock})
+     * @returns {object|null} Assessment ({table, quasiIdentifiers, k, smallestClass, l, violations, action, blocked}) or null when the table has no quasi-identifiers to assess
+     */
+    assessPrivacyRisk(records, options = {}) {
+        if (!this.privacyRisk.enabled || !Array.isArray(records) || records.length === 0) {
+            return null;
+        }
+
+        const columns = new Set(records.flatMap(record => Object.keys(record || {})));
+        const selection = this.selectQuasiIdentifiers(columns, options);
+        if (!selection) return null;
+
+        const { quasiIdentifiers, source } = selection;
+        const sensitiveColumns = this.privacyRisk.sensitiveColumns.filter(column => columns.has(column) && !quasiIdentifiers.includes(column));
+        const normalize = value => value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+
+        const classes = new Map();
+        records.forEach(record => {
+            const key = JSON.stringify(quasiIdentifiers.map(column => normalize(record?.[column])));
+            let equivalenceClass = classes.get(key);
+
+            if (!equivalenceClass) {
+                equivalenceClass = { size: 0, sensitive: sensitiveColumns.map(() => new Set()) };
+                classes.set(key, equivalenceClass);
+            }
+
+            equivalenceClass.size++;
+            sensitiveColumns.forEach((column, i) => equivalenceClass.sensitive[i].add(normalize(record?.[column])));
+        });
+
+        const classList = [...classes.values()];
+        const smallest = classList.reduce((min, equivalenceClass) => equivalenceClass.size < min.size ? equivalenceClass : min);
+        const atRisk = classList.filter(equivalenceClass => equivalenceClass.size < this.privacyRisk.minK);
+
+        const lByColumn = Object.fromEntries(sensitiveColumns.map((column, i) =>
+            [column, Math.min(...classList.map(equivalenceClass => equivalenceClass.sensitive[i].size))]));
+        const l = sensitiveColumns.length > 0 ? Math.min(...Object.values(lByColumn)) : null;
+
+        const violations = [];
+        if (smallest.size < this.privacyRisk.minK) {
+            violations.push({ metric: 'k-anonymity', value: smallest.size, threshold: this.privacyRisk.minK });
+        }
+        if (l !== null && l < this.privacyRisk.minL) {
+            violations.push({ metric: 'l-diversity', value: l, threshold: this.privacyRisk.minL });
+        }
+
+        // Streamed records are pushed as they arrive, so there a blocking policy can only warn
+        const action = violations.length > 0
+            ? (options.canBlock === false ? 'warn' : this.privacyRisk.onViolation)
+            : null;
+
+        if (action) {
+            console.log(`⚠️  Re-identification risk in ${options.name || 'table'}: ${violations.map(v => `${v.metric} ${v.value} < ${v.threshold}`).join(', ')} on ${quasiIdentifiers.join(' × ')}${action === 'block' ? ' (output withheld)' : ''}`);
+        }
+
+        return {
+            table: options.name || null,
+            quasiIdentifiers,
+            quasiIdentifierSource: source,
+            sensitiveColumns,
+            recordCount: records.length,
+            equivalenceClasses: classList.length,
+            k: smallest.size,
+            // Only the size: the values of the smallest class would point at the people in it
+            smallestClass: { size: smallest.size },
+            classesBelowK: atRisk.length,
+            recordsBelowK: atRisk.reduce((sum, equivalenceClass) => sum + equivalenceClass.size, 0),
+            l,
+            ...(sensitiveColumns.length > 0 ? { lByColumn } : {}),
+            thresholds: { minK: this.privacyRisk.minK, minL: this.privacyRisk.minL },
+            violations,
+            action,
+            blocked: action === 'block'
+        };
+    }
+
+    /**
+     * Pick the quasi-identifier columns of a table: the configured ones, or else the columns the PII scan flagged
+     * (plus state/district columns), provided at least one person-level attribute such as age or gender is among them
+     * @param {Set} columns - Table columns
+     * @param {object} options - Table context ({scan, profile, geographyColumns})
+     * @returns {object|null} Selection ({quasiIdentifiers, source}) or null when none apply
+     */
+    selectQuasiIdentifiers(columns, options = {}) {
+        if (this.privacyRisk.quasiIdentifiers.length > 0) {
+            const configured = this.privacyRisk.quasiIdentifiers.filter(column => columns.has(column));
+            return configured.length > 0 ? { quasiIdentifiers: configured, source: 'configured' } : null;
+        }
+
+        // Aggregate tables keyed by place alone are not microdata, so geography only counts alongside a person attribute
+        const flagged = (options.scan?.columns || [])
+            .filter(column => column.quasiIdentifier && columns.has(column.column))
+            .map(column => column.column);
+        if (flagged.length === 0) return null;
+
+        // Normalised geography columns, or else profiled state/district code columns
+        const geographyColumns = options.geographyColumns?.length > 0
+            ? options.geographyColumns
+            : Object.entries(options.profile?.columns || {})
+                .filter(([, profile]) => ['indian_state', 'district_code'].includes(profile.type))
+                .map(([column]) => column);
+        const geography = geographyColumns.filter(column => columns.has(column) && !flagged.includes(column));
+
+        return { quasiIdentifiers: [...geography, ...flagged], source: 'auto' };
+    }
+
     /**
      * Redact PII from text content
      * @param {string} text - Text to redact
@@ -315,7 +619,8 @@ class GovernanceLayer {
             allowed: validationResult.allowed,
             warnings: validationResult.warnings,
             errors: validationResult.errors,
-            compliance: validationResult.compliance
+            compliance: validationResult.compliance,
+            policy: validationResult.policy
         };
 
         this.auditLog.push(logEntry);
@@ -370,16 +675,64 @@ class GovernanceLayer {
             blockedDatasets: this.blockedDatasets.size,
             licenseWarnings: this.licenseWarnings.size,
             piiDetectionEnabled: this.piiDetection,
+            contentScannedDatasets: this.contentScans.size,
+            contentPIIDatasets: [...this.contentScans.values()].filter(scan => scan.piiDetected).length,
             auditLogEnabled: this.enableAuditLog,
             policies: {
                 respectLicenses: this.respectLicenses,
                 blockRestrictedData: this.blockRestrictedData,
                 enableAuditLog: this.enableAuditLog,
-                piiDetection: this.piiDetection
+                piiDetection: this.piiDetection,
+                redaction: this.redactionEnabled,
+                privacyRisk: this.privacyRisk.enabled
             }
         };
     }
 
+    /**
+     * Redaction totals across scanned datasets
+     * @returns {object} Redaction report ({enabled, datasetsRedacted, tablesRedacted, columnsRedacted, droppedColumns, valuesRedacted, byAction})
+     */
+    getRedactionReport() {
+        const redactions = [...this.contentScans.values()].map(scan => scan.redaction).filter(Boolean);
+        const byAction = {};
+        redactions.forEach(redaction => Object.entries(redaction.byAction).forEach(([action, count]) => {
+            byAction[action] = (byAction[action] || 0) + count;
+        }));
+
+        const total = key => redactions.reduce((sum, redaction) => sum + redaction[key], 0);
+
+        return {
+            enabled: this.redactionEnabled,
+            datasetsRedacted: redactions.filter(redaction => redaction.tablesRedacted > 0).length,
+            tablesRedacted: total('tablesRedacted'),
+            columnsRedacted: total('columnsRedacted'),
+            droppedColumns: total('droppedColumns'),
+            valuesRedacted: total('valuesRedacted'),
+            byAction
+        };
+    }
+
+    /**
+     * Re-identification risk totals across assessed datasets
+     * @returns {object} Privacy risk report ({thresholds, onViolation, tablesAssessed, tablesViolating, tablesWithheld, datasets})
+     */
+    getPrivacyRiskReport() {
+        const scans = [...this.contentScans.values()].filter(scan => scan.privacyRisk);
+        const total = key => scans.reduce((sum, scan) => sum + scan.privacyRisk[key], 0);
+
+        return {
+            thresholds: { minK: this.privacyRisk.minK, minL: this.privacyRisk.minL },
+            onViolation: this.privacyRisk.onViolation,
+            tablesAssessed: total('tablesAssessed'),
+            tablesViolating: total('tablesViolating'),
+            tablesWithheld: total('tablesWithheld'),
+            datasets: scans
+                .filter(scan => scan.privacyRisk.tablesViolating > 0)
+                .map(scan => ({ datasetId: scan.datasetId, datasetTitle: scan.datasetTitle, ...scan.privacyRisk }))
+        };
+    }
+
     /**
      * Generate compliance report
      * @returns {object} Detailed compliance report
@@ -403,6 +756,10 @@ class GovernanceLayer {
                     : '0%'
             },
             recentActivity: recentLogs.slice(-10),
+            contentPII: [...this.contentScans.values()].filter(scan => scan.risk !== 'none'),
+            policy: this.getPolicyReport(),
+            ...(this.redactionEnabled ? { redaction: this.getRedactionReport() } : {}),
+            ...(this.privacyRisk.enabled ? { privacyRisk: this.getPrivacyRiskReport() } : {}),
             compliance: {
                 ogdPolicy2025: this.respectLicenses && this.enableAuditLog,
                 dpdpAct2023: this.piiDetection,
@@ -419,6 +776,8 @@ class GovernanceLayer {
         this.auditLog = [];
         this.blockedDatasets.clear();
         this.licenseWarnings.clear();
+        this.contentScans.clear();
+        this.policyHits.clear();
     }
 }
 
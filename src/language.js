@@ -0,0 +1,268 @@
+/**
+ * Language Support
+ * Hindi/Devanagari helpers: script detection, column name translation via a bundled dictionary, and transliteration
+ */
+
+const COLUMN_NAMES_HI = require('./reference/column-names-hi.json');
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const DEVANAGARI_WORD = /[ऀ-ॣ०-ॿ]+/g;
+
+// Longest dictionary phrase, in words
+const MAX_PHRASE_WORDS = 4;
+
+// Hindi postpositions follow their noun phrase; in English they go before it (करोड़ रुपये में = in Crore Rupees)
+const POSTPOSITIONS = new Set(['in', 'from', 'to']);
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+
+const VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+// Consonants with a nukta (क़, ज़, ड़, फ़ ...)
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' };
+
+const NUKTA = '़';
+const VIRAMA = '्';
+const CODA_SIGNS = { 'ँ': 'n', 'ं': 'n', 'ः': 'h' };
+
+/**
+ * Normalize Hindi text for dictionary lookups (nukta and chandrabindu variants collapse)
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeHindi(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .replace(/[़‌‍]/g, '')
+        .replace(/ँ/g, 'ं')
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+const dictionary = new Map(Object.entries(COLUMN_NAMES_HI).map(([hindi, english]) => [normalizeHindi(hindi), english]));
+
+/**
+ * Check whether text contains Devanagari characters
+ * @param {string} text - Text
+ * @returns {boolean} True when Devanagari is present
+ */
+function containsDevanagari(text) {
+    return DEVANAGARI.test(String(text || ''));
+}
+
+/**
+ * Split a Devanagari word into syllables ({text, vowel, inherent, cluster, coda})
+ * @param {string} word - Devanagari word
+ * @returns {array} Syllables
+ */
+function syllabify(word) {
+    const chars = [...word.normalize('NFD')];
+    const syllables = [];
+    let onset = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+
+        if (CONSONANTS[char]) {
+            let sound = CONSONANTS[char];
+            if (chars[i + 1] === NUKTA) {
+                sound = NUKTA_CONSONANTS[char] || sound;
+                i++;
+            }
+
+            if (chars[i + 1] === VIRAMA) {
+                onset += sound;
+                i++;
+                continue;
+            }
+
+            const sign = VOWEL_SIGNS[chars[i + 1]];
+            if (sign !== undefined) i++;
+
+            syllables.push({
+                text: onset + sound,
+                vowel: sign !== undefined ? sign : 'a',
+                inherent: sign === undefined,
+                cluster: onset !== '',
+                coda: ''
+            });
+            onset = '';
+        } else if (VOWELS[char]) {
+            syllables.push({ text: onset, vowel: VOWELS[char], inherent: false, coda: '' });
+            onset = '';
+        } else if (CODA_SIGNS[char] && syllables.length > 0) {
+            syllables[syllables.length - 1].coda += CODA_SIGNS[char];
+        } else if (/[०-९]/.test(char)) {
+            syllables.push({ text: onset + String(char.charCodeAt(0) - 0x0966), vowel: '', inherent: false, coda: '' });
+            onset = '';
+        }
+    }
+
+    // A trailing half consonant (word ending in virama)
+    if (onset) {
+        syllables.push({ text: onset, vowel: '', inherent: false, coda: '' });
+    }
+
+    return syllables;
+}
+
+/**
+ * Transliterate Devanagari text to plain ASCII (Hunterian-style, with Hindi schwa deletion)
+ * @param {string} text - Text (non-Devanagari characters pass through)
+ * @returns {string} Transliterated text
+ */
+function transliterate(text) {
+    return String(text || '').normalize('NFC').replace(DEVANAGARI_WORD, word => {
+        const syllables = syllabify(word);
+        const deleted = syllables.map(() => false);
+        const last = syllables.length - 1;
+
+        // Word-final inherent vowel is silent (कमल = kamal), except in one-syllable words and after a conjunct (राज्य = rajya)
+        if (last > 0 && syllables[last].inherent && !syllables[last].coda && !syllables[last].cluster) {
+            deleted[last] = true;
+        }
+
+        // Medial inherent vowel before a pronounced syllable is silent (जनसंख्या = jansankhya), never twice in a row
+        for (let i = last - 1; i > 0; i--) {
+            const syllable = syllables[i];
+            if (syllable.inherent && !syllable.coda && syllables[i + 1].text && !deleted[i + 1]) {
+                deleted[i] = true;
+                i--;
+            }
+        }
+
+        return syllables.map((syllable, index) =>
+            syllable.text + (deleted[index] ? '' : syllable.vowel) + syllable.coda
+        ).join('');
+    }).replace(/[।॥]/g, '.');
+}
+
+/**
+ * Translate a run of Hindi words by longest dictionary phrase, transliterating unknown words
+ * @param {array} words - Normalized Devanagari words
+ * @returns {object} Translation ({text, known, unknown})
+ */
+function translateWords(words) {
+    const output = [];
+    let phraseStart = 0;
+    let known = 0;
+    let unknown = 0;
+
+    for (let i = 0; i < words.length;) {
+        let matched = false;
+
+        for (let length = Math.min(MAX_PHRASE_WORDS, words.length - i); length > 0; length--) {
+            const phrase = words.slice(i, i + length).join(' ');
+            if (dictionary.has(phrase)) {
+                const english = dictionary.get(phrase);
+                if (POSTPOSITIONS.has(english) && output.length > phraseStart) {
+                    output.splice(phraseStart, 0, english);
+                    phraseStart = output.length;
+                } else if (english) {
+                    output.push(english);
+                    if (english === 'and') phraseStart = output.length;
+                }
+                known++;
+                i += length;
+                matched = true;
+                break;
+            }
+        }
+
+        if (!matched) {
+            const word = transliterate(words[i]);
+            output.push(word.charAt(0).toUpperCase() + word.slice(1));
+            unknown++;
+            i++;
+        }
+    }
+
+    return { text: output.join(' '), known, unknown };
+}
+
+/**
+ * Translate a Devanagari column name to English using the bundled dictionary
+ * Bilingual headers ("State / राज्य") keep their English part
+ * @param {string} name - Column name
+ * @returns {object|null} Translation ({original, english, transliteration, method}) or null when there is no Devanagari
+ */
+function translateColumnName(name) {
+    if (!containsDevanagari(name)) {
+        return null;
+    }
+
+    const original = String(name);
+    const transliteration = transliterate(original).replace(/\s+/g, ' ').trim();
+
+    // Bilingual header: English words alongside the Hindi
+    const latin = original
+        .replace(/[ऀ-ॿ]+/g, ' ')
+        .replace(/\(\s*\)|\[\s*\]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^[\s\-–/|:,]+|[\s\-–/|:,(]+$/g, '');
+
+    if (/[A-Za-z]{2,}/.test(latin)) {
+        return { original, english: latin, transliteration, method: 'bilingual' };
+    }
+
+    let known = 0;
+    let unknown = 0;
+
+    // Translate each run of Hindi words; punctuation, digits and units between runs are kept
+    const english = normalizeHindi(original)
+        .replace(/[.]/g, ' ')
+        .replace(/[ऀ-ॣ०-ॿ]+(?:\s+[ऀ-ॣ०-ॿ]+)*/g, run => {
+            const result = translateWords(run.split(' '));
+            known += result.known;
+            unknown += result.unknown;
+            return result.text;
+        })
+        .replace(/[।॥]/g, '.')
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([)\],])/g, '$1')
+        .replace(/([([])\s+/g, '$1')
+        .trim();
+
+    return {
+        original,
+        english,
+        transliteration,
+        method: unknown === 0 ? 'dictionary' : known > 0 ? 'partial' : 'transliteration'
+    };
+}
+
+/**
+ * Translate the Devanagari column names of a table
+ * @param {array} columns - Column names
+ * @returns {object} Column name to translation (columns without Devanagari are left out)
+ */
+function translateColumnNames(columns) {
+    return Object.fromEntries(columns
+        .map(column => [column, translateColumnName(column)])
+        .filter(([, translation]) => translation));
+}
+
+module.exports = {
+    containsDevanagari,
+    normalizeHindi,
+    transliterate,
+    translateColumnName,
+    translateColumnNames
+};
@@ -10,6 +10,13 @@ const SearchDiscovery = require('./search-discovery');
 const DataAcquisition = require('./data-acquisition');
 const AnalyticsEngine = require('./analytics');
 const GovernanceLayer = require('./governance');
+const ChangeMonitor = require('./change-monitor');
+const NotificationDispatcher = require('./notifications');
+const OutputManager = require('./output');
+const ChartGenerator = require('./charts');
+const ReportGenerator = require('./report');
+const DatasetJoiner = require('./dataset-join');
+const CatalogIndex = require('./catalog-index');
 const { formatDatasetMetadata, createError } = require('./utils');
 
 // Main actor function
@@ -31,14 +38,24 @@ Actor.main(async () => {
         filters = {},
         datasetIds = [],
         maxResults = 50,
+        semanticSearch = {},
         includeResources = false,
         resourceLimit = 3,
         maxFileSize = 50,
+        recordsApi = {},
+        streaming = {},
+        columnarExport = {},
+        extraction = {},
+        xmlRecordPath,
+        geography = {},
         analytics = {},
         output = {},
         authentication = {},
         rateLimit = {},
         governance = {},
+        monitor = {},
+        correlation = {},
+        catalog = {},
         language = 'en',
         debugMode = false
     } = input;
@@ -67,18 +84,61 @@ Actor.main(async () => {
         console.log('✅ API connection successful');
 
         // Initialize modules
-        const searchDiscovery = new SearchDiscovery(apiClient, { debugMode });
-        const dataAcquisition = new DataAcquisition(apiClient, {
-            maxFileSize,
-            resourceLimit,
+        const outputManager = new OutputManager({ ...output, debugMode });
+        const catalogIndex = new CatalogIndex(apiClient, {
+            indexKey: catalog.indexKey,
+            maxAgeHours: catalog.maxAgeHours,
+            maxDatasets: catalog.maxDatasets,
+            debugMode
+        });
+        const searchDiscovery = new SearchDiscovery(apiClient, {
+            language,
+            semantic: semanticSearch,
+            // Monitor mode compares against the live catalog, never a cached copy
+            catalogIndex: catalog.useIndex && mode !== 'monitor' ? catalogIndex : null,
             debugMode
         });
-        const analyticsEngine = new AnalyticsEngine({ debugMode });
         const governanceLayer = new GovernanceLayer({
             respectLicenses: governance.respectLicenses !== false,
             blockRestrictedData: governance.blockRestrictedData !== false,
             enableAuditLog: governance.enableAuditLog !== false,
             piiDetection: governance.piiDetection !== false,
+            redaction: governance.redaction,
+            privacyRisk: governance.privacyRisk,
+            policy: governance.policy,
+            debugMode
+        });
+        await governanceLayer.loadPolicy();
+        const dataAcquisition = new DataAcquisition(apiClient, {
+            maxFileSize,
+            resourceLimit,
+            recordsApi,
+            streaming,
+            columnarExport,
+            extraction,
+            xmlRecordPath,
+            geography,
+            piiScan: { enabled: governance.piiDetection !== false },
+            redaction: governance.redaction,
+            governanceLayer,
+            profiling: { enabled: analytics.enableProfiling !== false },
+            trends: {
+                // On by default in analyze mode; an explicit enableTrends wins in every mode
+                enabled: analytics.enableTrends ?? mode === 'analyze',
+                aggregation: analytics.trendAggregation
+            },
+            retainRawFiles: outputManager.needsRawFiles(),
+            debugMode
+        });
+        await dataAcquisition.geographyNormalizer.loadDistrictCodes();
+        const analyticsEngine = new AnalyticsEngine({ debugMode });
+        const chartGenerator = new ChartGenerator({
+            enabled: analytics.generateVisualizations || false,
+            formats: analytics.visualizationFormats,
+            debugMode
+        });
+        const reportGenerator = new ReportGenerator({
+            enabled: output.htmlReport !== false,
             debugMode
         });
 
@@ -86,17 +146,18 @@ Actor.main(async () => {
 
         // Execute based on mode
         let results = [];
+        let facets = null;
 
         switch (mode) {
             case 'search':
-                results = await executeSearchMode(
+                ({ results, facets } = await executeSearchMode(
                     searchDiscovery,
                     governanceLayer,
                     query,
                     filters,
                     maxResults,
                     debugMode
-                );
+                ));
                 break;
 
             case 'retrieve':
@@ -121,6 +182,7 @@ Actor.main(async () => {
                     dataAcquisition,
                     analyticsEngine,
                     governanceLayer,
+                    chartGenerator,
                     query,
                     filters,
                     datasetIds,
@@ -132,16 +194,47 @@ Actor.main(async () => {
             case 'monitor':
                 results = await executeMonitorMode(
                     searchDiscovery,
+                    dataAcquisition,
+                    governanceLayer,
+                    query,
                     filters,
+                    datasetIds,
                     maxResults,
+                    monitor,
                     debugMode
                 );
                 break;
 
+            case 'correlate':
+                results = await executeCorrelateMode(
+                    searchDiscovery,
+                    dataAcquisition,
+                    analyticsEngine,
+                    governanceLayer,
+                    datasetIds,
+                    correlation,
+                    debugMode
+                );
+                break;
+
+            case 'discover':
+                results = await executeDiscoverMode(searchDiscovery, maxResults, debugMode);
+                break;
+
+            case 'sync':
+                results = await executeSyncMode(catalogIndex, catalog, debugMode);
+                break;
+
             default:
                 throw new Error(`Unknown mode: ${mode}`);
         }
 
+        // The HTML report is built from complete results, before output options strip anything
+        const modeResults = results;
+
+        // Apply output options (metadata, previews)
+        results = outputManager.prepareResults(results);
+
         // Generate compliance report
         const complianceReport = governanceLayer.generateComplianceReport();
 
@@ -175,17 +268,31 @@ Actor.main(async () => {
                 apiRequests: apiStats.totalRequests,
                 successRate: apiStats.successRate
             },
+            ...(facets ? { facets } : {}),
             compliance: complianceReport,
             attribution: results.length > 0 && results[0].dataset
                 ? governanceLayer.generateAttribution(results[0].dataset)
                 : 'Data sourced from Open Government Data Platform India (data.gov.in)'
         };
 
+        // Write CSV output and compressed archives to the key-value store
+        finalOutput.output = await outputManager.writeOutputs(results, dataAcquisition.rawFiles);
+
+        // Write the HTML run report
+        if (mode === 'analyze' && reportGenerator.enabled) {
+            finalOutput.report = await reportGenerator.generate(modeResults, {
+                metadata: finalOutput.metadata,
+                query: finalOutput.query,
+                statistics: finalOutput.statistics,
+                complianceReport
+            });
+        }
+
         // Save to dataset
         await Actor.pushData(finalOutput);
 
         // Also save individual results for easier processing
-        if (results.length > 0) {
+        if (results.length > 0 && outputManager.shouldPushItems()) {
             for (const result of results) {
                 await Actor.pushData(result);
             }
@@ -251,7 +358,7 @@ async function executeSearchMode(searchDiscovery, governanceLayer, query, filter
 
     console.log(`✅ ${validatedResults.length} datasets passed governance checks`);
 
-    return validatedResults;
+    return { results: validatedResults, facets: searchResults.facets || null };
 }
 
 /**
@@ -316,17 +423,20 @@ async function executeRetrieveMode(
 
         // Run analytics if requested
         let analysis = null;
-        if (analyticsConfig.enableStatistics || analyticsConfig.dataQualityScore) {
+        if (analyticsConfig.enableStatistics || analyticsConfig.dataQualityScore || analyticsConfig.enableTrends) {
             analysis = analyticsEngine.analyzeDataset(acquiredDataset);
         }
 
+        const contentScan = governanceLayer.summarizeContentScan(dataset, acquiredDataset.resources);
+
         results.push({
             ...acquiredDataset,
             analysis,
             governance: {
                 allowed: true,
                 warnings: validation.warnings,
-                attribution: governanceLayer.generateAttribution(dataset)
+                attribution: governanceLayer.generateAttribution(dataset),
+                ...(contentScan ? { contentScan } : {})
             }
         });
 
@@ -344,6 +454,7 @@ async function executeAnalyzeMode(
     dataAcquisition,
     analyticsEngine,
     governanceLayer,
+    chartGenerator,
     query,
     filters,
     datasetIds,
@@ -368,60 +479,322 @@ async function executeAnalyzeMode(
     );
 
     // Add comprehensive analytics
-    const analyzedResults = retrieveResults.map(result => {
+    const analyzedResults = [];
+
+    for (const result of retrieveResults) {
         const analysis = analyticsEngine.analyzeDataset(result);
-        const piiScan = governanceLayer.scanForPII(result.dataset || result);
+        const piiScan = governanceLayer.scanForPII(result.dataset || result, result.resources);
 
-        return {
+        const analyzed = {
             ...result,
             comprehensiveAnalysis: analysis,
             piiScan,
             insights: generateInsights(analysis)
         };
-    });
+
+        // Render charts into the key-value store
+        if (chartGenerator.enabled) {
+            analyzed.visualizations = await chartGenerator.generateForResult(result, analysis);
+        }
+
+        analyzedResults.push(analyzed);
+    }
 
     return analyzedResults;
 }
 
 /**
- * Execute monitor mode
+ * Execute correlate mode
  */
-async function executeMonitorMode(searchDiscovery, filters, maxResults, debugMode) {
-    console.log('👁️  Executing MONITOR mode...');
+async function executeCorrelateMode(
+    searchDiscovery,
+    dataAcquisition,
+    analyticsEngine,
+    governanceLayer,
+    datasetIds,
+    correlationConfig,
+    debugMode
+) {
+    console.log('🔗 Executing CORRELATE mode...');
+
+    const resourceIds = correlationConfig.resourceIds || [];
+    const acquireOptions = { includeData: true, includeTables: true, streaming: false, extract: false };
+    const sources = [];
+    const attributions = [];
+
+    /**
+     * Look up and validate the dataset a source belongs to
+     * @param {string} datasetId - Dataset ID
+     * @returns {Promise<object|null>} Dataset, or null when blocked or missing
+     */
+    const checkDataset = async (datasetId) => {
+        const [dataset] = datasetId ? await searchDiscovery.searchByIds([datasetId]) : [];
+        if (!dataset || dataset.success === false) return null;
 
-    // Get recent datasets
-    const recentDatasets = await searchDiscovery.discoverRecent(maxResults);
+        const validation = governanceLayer.validateDatasetAccess(dataset);
+        if (!validation.allowed) {
+            console.log(`⚠️  Skipped (blocked): ${dataset.title} - ${validation.errors.join(', ')}`);
+            return null;
+        }
+
+        attributions.push(governanceLayer.generateAttribution(dataset));
+        return dataset;
+    };
+
+    for (const resourceId of resourceIds) {
+        console.log(`📥 Acquiring resource ${resourceId}...`);
+
+        // The governance check runs before anything is downloaded
+        const metadata = await dataAcquisition.lookupResource(resourceId);
+        const dataset = await checkDataset(metadata.package_id);
+
+        if (!dataset) continue;
+
+        const resource = await dataAcquisition.acquireResource(metadata, { ...acquireOptions, datasetId: metadata.package_id });
+
+        governanceLayer.summarizeContentScan(dataset, [resource]);
+
+        if (!resource.tables || resource.tables.length === 0) {
+            console.log(`⚠️  No tabular data in resource ${resourceId}: ${resource.reason || resource.error || 'unsupported content'}`);
+            continue;
+        }
+
+        sources.push({
+            id: `source${sources.length + 1}`,
+            label: resource.name || resourceId,
+            datasetId: dataset.id,
+            resourceId,
+            tables: resource.tables
+        });
+    }
+
+    for (const datasetId of datasetIds) {
+        console.log(`📥 Acquiring dataset ${datasetId}...`);
+
+        const dataset = await checkDataset(datasetId);
+        if (!dataset) continue;
+
+        const acquired = await dataAcquisition.acquireDataset(datasetId, acquireOptions);
+        governanceLayer.summarizeContentScan(dataset, acquired.resources || []);
+
+        const tables = (acquired.resources || []).flatMap(resource =>
+            (resource.tables || []).map(table => ({
+                ...table,
+                name: table.name ? `${resource.name}: ${table.name}` : resource.name
+            }))
+        );
+
+        if (tables.length === 0) {
+            console.log(`⚠️  No tabular data in dataset ${datasetId}`);
+            continue;
+        }
+
+        sources.push({
+            id: `source${sources.length + 1}`,
+            label: dataset.title || datasetId,
+            datasetId,
+            resourceId: null,
+            tables
+        });
+    }
+
+    if (sources.length < 2) {
+        throw new Error('Correlate mode needs at least two datasets or resources with tabular data');
+    }
+
+    console.log(`🔗 Joining ${sources.length} sources...`);
+
+    const joiner = new DatasetJoiner({
+        joinKeys: correlationConfig.joinKeys,
+        aggregation: correlationConfig.aggregation,
+        debugMode
+    });
+    const joined = joiner.join(sources);
+    const correlations = analyticsEngine.correlateJoinedData(joined, {
+        minOverlap: correlationConfig.minOverlap || 3
+    });
 
-    // Get trending datasets
-    const trendingDatasets = await searchDiscovery.discoverTrending(maxResults);
+    console.log(`✅ ${joined.matching.matchedKeys}/${joined.matching.totalKeys} keys matched on ${joined.joinKeys.join(', ')}; ` +
+        `${correlations.length} measure pairs correlated`);
+
+    const labels = Object.fromEntries(joined.sources.map(source => [source.id, source.label]));
+
+    return [{
+        type: 'correlation_report',
+        joinKeys: joined.joinKeys,
+        joinKeySource: joined.joinKeySource,
+        aggregation: joined.aggregation,
+        sources: joined.sources,
+        matching: joined.matching,
+        correlations,
+        joinedPreview: joined.rows
+            .filter(row => Object.keys(row.values).length === joined.sources.length)
+            .slice(0, 50)
+            .map(row => ({
+                ...row.key,
+                ...Object.fromEntries(Object.entries(row.values).flatMap(([sourceId, values]) =>
+                    Object.entries(values).map(([measure, value]) => [`${labels[sourceId]}: ${measure}`, value])
+                ))
+            })),
+        attribution: attributions,
+        generatedAt: new Date().toISOString()
+    }];
+}
+
+/**
+ * Execute discover mode
+ */
+async function executeDiscoverMode(searchDiscovery, maxResults, debugMode) {
+    console.log('🧭 Executing DISCOVER mode...');
 
-    // Get organizations
     const organizations = await searchDiscovery.getOrganizations();
+    const sectors = await searchDiscovery.getSectors();
+    const popularTags = await searchDiscovery.getPopularTags(maxResults);
+    const recentDatasets = await searchDiscovery.discoverRecent(maxResults);
 
-    // Get popular tags
-    const popularTags = await searchDiscovery.getPopularTags(30);
+    const organizationHierarchy = searchDiscovery.buildHierarchy(organizations);
+    const sectorHierarchy = searchDiscovery.buildHierarchy(sectors);
 
-    return [
-        {
-            type: 'recent_datasets',
-            count: recentDatasets.length,
-            datasets: recentDatasets.slice(0, 20)
+    console.log(`🏛️  ${organizations.length} organizations (${organizationHierarchy.length} top-level), ${sectors.length} sectors`);
+
+    if (debugMode) {
+        console.log(`Discovered ${popularTags.length} tags and ${recentDatasets.length} recent datasets`);
+    }
+
+    return [{
+        type: 'catalog_overview',
+        organizations: {
+            count: organizations.length,
+            topLevelCount: organizationHierarchy.length,
+            hierarchy: organizationHierarchy
         },
-        {
-            type: 'trending_datasets',
-            count: trendingDatasets.length,
-            datasets: trendingDatasets.slice(0, 20)
+        sectors: {
+            count: sectors.length,
+            topLevelCount: sectorHierarchy.length,
+            hierarchy: sectorHierarchy
         },
+        popularTags,
+        recentDatasets,
+        generatedAt: new Date().toISOString()
+    }];
+}
+
+/**
+ * Execute sync mode
+ */
+async function executeSyncMode(catalogIndex, catalogConfig, debugMode) {
+    console.log('📚 Executing SYNC mode...');
+
+    const summary = await catalogIndex.sync({ full: catalogConfig.fullRefresh || false });
+
+    if (debugMode) {
+        console.log(`Catalog index stored under ${summary.indexKey} in ${summary.shards} shard(s)`);
+    }
+
+    return [summary];
+}
+
+/**
+ * Execute monitor mode
+ */
+async function executeMonitorMode(
+    searchDiscovery,
+    dataAcquisition,
+    governanceLayer,
+    query,
+    filters,
+    datasetIds,
+    maxResults,
+    monitorConfig,
+    debugMode
+) {
+    console.log('👁️  Executing MONITOR mode...');
+
+    // Resolve the watched datasets
+    let datasets = [];
+
+    let watchedOrganizations = monitorConfig.organizations || [];
+    const watchedSectors = monitorConfig.sectors || [];
+
+    if (datasetIds && datasetIds.length > 0) {
+        console.log(`📋 Watching ${datasetIds.length} specific datasets...`);
+        datasets = await searchDiscovery.searchByIds(datasetIds);
+    } else if (watchedOrganizations.length > 0 || watchedSectors.length > 0) {
+        if (watchedOrganizations.length > 0) {
+            // Match names or titles against every organization page; a watched ministry includes its departments
+            const { names, unresolved } = await searchDiscovery.resolveOrganizations(watchedOrganizations, {
+                includeChildren: monitorConfig.includeSubOrganizations !== false
+            });
+
+            if (unresolved.length > 0) {
+                console.log(`⚠️  Organizations not found in the catalog listing, watched by name: ${unresolved.join(', ')}`);
+            }
+
+            watchedOrganizations = [...names, ...unresolved];
+        }
+
+        console.log(`📋 Watching ${watchedOrganizations.length} organizations and ${watchedSectors.length} sectors...`);
+
+        const seen = new Set();
+        const collect = (items) => items.forEach(dataset => {
+            if (!seen.has(dataset.id)) {
+                seen.add(dataset.id);
+                datasets.push(dataset);
+            }
+        });
+
+        for (const organization of watchedOrganizations) {
+            collect(await searchDiscovery.discoverByOrganization(organization, maxResults));
+        }
+
+        for (const sector of watchedSectors) {
+            collect(await searchDiscovery.discoverBySector(sector, maxResults));
+        }
+    } else {
+        const searchResults = await searchDiscovery.search(query, filters, maxResults);
+
+        if (!searchResults.success) {
+            throw new Error(`Search failed: ${searchResults.error}`);
+        }
+
+        datasets = searchResults.results;
+    }
+
+    const changeMonitor = new ChangeMonitor(dataAcquisition, {
+        stateKey: monitorConfig.stateKey,
+        trackResourceContent: monitorConfig.trackResourceContent,
+        debugMode
+    });
+
+    const { changes, summary } = await changeMonitor.detectChanges(datasets);
+
+    if (summary.isFirstRun) {
+        console.log(`📌 No previous checkpoint found. Baseline recorded for ${summary.watchedDatasets} datasets.`);
+    }
+
+    console.log(`🔔 ${summary.changedDatasets} changed datasets (${summary.newDatasets} new, ${summary.updatedDatasets} updated)`);
+
+    // Notify webhooks about detected changes
+    const dispatcher = new NotificationDispatcher(governanceLayer, {
+        webhooks: monitorConfig.webhooks,
+        retryAttempts: monitorConfig.webhookRetryAttempts,
+        debugMode
+    });
+
+    const notifications = await dispatcher.dispatch(changes, summary);
+
+    if (notifications.length > 0) {
+        const delivered = notifications.filter(n => n.delivered).length;
+        console.log(`📨 Webhooks: ${delivered}/${notifications.length} delivered`);
+    }
+
+    return [
         {
-            type: 'organizations',
-            count: organizations.length,
-            organizations: organizations.slice(0, 50)
+            type: 'monitor_summary',
+            ...summary,
+            notifications
         },
-        {
-            type: 'popular_tags',
-            count: popularTags.length,
-            tags: popularTags
-        }
+        ...changes
     ];
 }
 
@@ -468,6 +841,26 @@ function generateInsights(analysis) {
         });
     }
 
+    // Trend insights
+    if (analysis.trends) {
+        analysis.trends.forEach(seriesSet => {
+            seriesSet.series
+                .filter(series => series.trend && series.trend.strength !== 'weak')
+                .slice(0, 5)
+                .forEach(series => {
+                    const { direction, cagr, startDate, endDate } = series.trend;
+                    insights.push({
+                        category: 'trends',
+                        message: `${series.label} is ${direction} (${startDate} to ${endDate}` +
+                            (cagr !== null ? `, CAGR ${cagr.toFixed(2)}%)` : ')'),
+                        resourceId: seriesSet.resourceId,
+                        direction,
+                        cagr
+                    });
+                });
+        });
+    }
+
     return insights;
 }
 
@@ -477,5 +870,7 @@ module.exports = {
     executeRetrieveMode,
     executeAnalyzeMode,
     executeMonitorMode,
+    executeDiscoverMode,
+    executeSyncMode,
     generateInsights
 };
@@ -0,0 +1,304 @@
+/**
+ * Notification Dispatcher
+ * Delivers monitor-mode change payloads to webhooks (generic JSON or Slack-compatible)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { sleep, calculateBackoff, truncateText } = require('./utils');
+
+// Slack rejects section blocks whose text is longer than this
+const SLACK_SECTION_LIMIT = 3000;
+
+class NotificationDispatcher {
+    constructor(governanceLayer, config = {}) {
+        this.governance = governanceLayer;
+        this.webhooks = (config.webhooks || []).filter(webhook => webhook && webhook.url);
+        this.retryAttempts = config.retryAttempts ?? 3;
+        this.timeout = config.timeout || 10000;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Send detected changes to all configured webhooks
+     * @param {array} changes - Change records from the change monitor
+     * @param {object} summary - Monitor run summary
+     * @returns {Promise<array>} Delivery results per webhook
+     */
+    async dispatch(changes, summary = {}) {
+        if (this.webhooks.length === 0 || changes.length === 0) {
+            return [];
+        }
+
+        const deliveries = [];
+
+        for (const webhook of this.webhooks) {
+            const format = webhook.format === 'slack' ? 'slack' : 'json';
+            const payload = this.buildPayload(format, changes, summary);
+
+            const delivery = await this.deliver(webhook, payload);
+
+            deliveries.push({
+                target: this.describeTarget(webhook.url),
+                format,
+                ...delivery
+            });
+        }
+
+        return deliveries;
+    }
+
+    /**
+     * POST a payload to a webhook with retry and backoff
+     * @param {object} webhook - Webhook config ({url, format, secret, headers})
+     * @param {object} payload - Payload to send
+     * @returns {Promise<object>} Delivery result
+     */
+    async deliver(webhook, payload) {
+        if (this.governance) {
+            const urlValidation = this.governance.validateURL(webhook.url);
+            if (!urlValidation.safe) {
+                return { delivered: false, attempts: 0, error: urlValidation.reason };
+            }
+        }
+
+        const body = JSON.stringify(payload);
+        const timestamp = new Date().toISOString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'DataGovIN-Sentinel-Actor/1.0',
+            'X-Sentinel-Timestamp': timestamp,
+            ...(webhook.headers || {})
+        };
+
+        if (webhook.secret) {
+            headers['X-Sentinel-Signature'] = `sha256=${this.signPayload(body, timestamp, webhook.secret)}`;
+        }
+
+        let lastError = null;
+        let attempts = 0;
+
+        for (let attempt = 0; attempt <= this.retryAttempts; attempt++) {
+            attempts++;
+
+            try {
+                const response = await axios.post(webhook.url, body, {
+                    headers,
+                    timeout: this.timeout
+                });
+
+                this.logDelivery(webhook.url, true, attempts);
+
+                return { delivered: true, attempts, status: response.status };
+
+            } catch (error) {
+                lastError = error;
+                const status = error.response?.status;
+
+                // Client errors other than rate limiting will not succeed on retry
+                if (status && status < 500 && status !== 429) {
+                    break;
+                }
+
+                if (attempt < this.retryAttempts) {
+                    const delay = calculateBackoff(attempt);
+                    if (this.debugMode) {
+                        console.log(`Webhook retry ${attempt + 1} after ${delay}ms delay. Error: ${error.message}`);
+                    }
+                    await sleep(delay);
+                }
+            }
+        }
+
+        this.logDelivery(webhook.url, false, attempts, lastError?.message);
+
+        return {
+            delivered: false,
+            attempts,
+            status: lastError?.response?.status,
+            error: lastError?.message
+        };
+    }
+
+    /**
+     * Compute HMAC-SHA256 signature over "<timestamp>.<body>"
+     * @param {string} body - Serialized payload
+     * @param {string} timestamp - Timestamp header value
+     * @param {string} secret - Shared secret
+     * @returns {string} Hex signature
+     */
+    signPayload(body, timestamp, secret) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Build the payload for a webhook format
+     * The first run reports every watched dataset as new, so it sends a single baseline message instead of the changes
+     * @param {string} format - json or slack
+     * @param {array} changes - Change records
+     * @param {object} summary - Monitor run summary
+     * @returns {object} Payload
+     */
+    buildPayload(format, changes, summary) {
+        if (summary.isFirstRun) {
+            return format === 'slack'
+                ? this.buildSlackBaselinePayload(summary)
+                : this.buildJsonBaselinePayload(summary);
+        }
+
+        return format === 'slack'
+            ? this.buildSlackPayload(changes, summary)
+            : this.buildJsonPayload(changes, summary);
+    }
+
+    /**
+     * Build generic JSON baseline payload
+     * @param {object} summary - Monitor run summary
+     * @returns {object} Payload
+     */
+    buildJsonBaselinePayload(summary) {
+        return {
+            event: 'datagovin.monitor_baseline',
+            source: 'DataGovIN Sentinel',
+            generatedAt: new Date().toISOString(),
+            summary: {
+                watchedDatasets: summary.watchedDatasets || 0,
+                stateKey: summary.stateKey || null
+            }
+        };
+    }
+
+    /**
+     * Build Slack-compatible baseline payload
+     * @param {object} summary - Monitor run summary
+     * @returns {object} Slack message payload
+     */
+    buildSlackBaselinePayload(summary) {
+        const text = `data.gov.in: baseline recorded for ${summary.watchedDatasets || 0} watched dataset(s). ` +
+            'Changes will be reported from the next run.';
+
+        return {
+            text,
+            blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+        };
+    }
+
+    /**
+     * Build generic JSON change payload
+     * @param {array} changes - Change records
+     * @param {object} summary - Monitor run summary
+     * @returns {object} Payload
+     */
+    buildJsonPayload(changes, summary) {
+        return {
+            event: 'datagovin.dataset_changes',
+            source: 'DataGovIN Sentinel',
+            generatedAt: new Date().toISOString(),
+            summary: {
+                changedDatasets: changes.length,
+                newDatasets: summary.newDatasets || 0,
+                updatedDatasets: summary.updatedDatasets || 0,
+                previousCheckpoint: summary.previousCheckpoint || null
+            },
+            changes
+        };
+    }
+
+    /**
+     * Build Slack-compatible change payload
+     * @param {array} changes - Change records
+     * @param {object} summary - Monitor run summary
+     * @returns {object} Slack message payload
+     */
+    buildSlackPayload(changes, summary) {
+        const headline = `data.gov.in: ${changes.length} dataset change(s) ` +
+            `(${summary.newDatasets || 0} new, ${summary.updatedDatasets || 0} updated)`;
+
+        const lines = changes.slice(0, 20).map(change => {
+            const label = change.changeType === 'new_dataset' ? '🆕' : '✏️';
+            const details = [];
+            if (change.resourcesAdded.length) details.push(`+${change.resourcesAdded.length} resources`);
+            if (change.resourcesRemoved.length) details.push(`-${change.resourcesRemoved.length} resources`);
+            if (change.resourcesChanged.length) details.push(`${change.resourcesChanged.length} resources changed`);
+            if (change.schemaChanges.length) details.push('schema changed');
+
+            const title = truncateText(change.title || change.datasetId, 120);
+            const link = change.url ? `<${change.url}|${title}>` : title;
+
+            const line = `${label} ${link}${change.organization ? ` — ${truncateText(change.organization, 200)}` : ''}` +
+                (details.length ? ` (${details.join(', ')})` : '');
+
+            return truncateText(line, SLACK_SECTION_LIMIT - 3);
+        });
+
+        if (changes.length > lines.length) {
+            lines.push(`…and ${changes.length - lines.length} more`);
+        }
+
+        return {
+            text: headline,
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: truncateText(headline, 140) } },
+                ...this.chunkLines(lines, SLACK_SECTION_LIMIT).map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }))
+            ]
+        };
+    }
+
+    /**
+     * Group lines into newline-joined texts no longer than a limit
+     * @param {array} lines - Lines (each within the limit)
+     * @param {number} limit - Maximum text length
+     * @returns {array} Texts
+     */
+    chunkLines(lines, limit) {
+        const texts = [];
+        let current = '';
+
+        lines.forEach(line => {
+            if (current && current.length + 1 + line.length > limit) {
+                texts.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${line}` : line;
+        });
+
+        if (current) texts.push(current);
+        return texts;
+    }
+
+    /**
+     * Describe a webhook target without leaking secrets embedded in the URL
+     * @param {string} url - Webhook URL
+     * @returns {string} Host-only description
+     */
+    describeTarget(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return 'invalid-url';
+        }
+    }
+
+    /**
+     * Record delivery in the governance audit log
+     * @param {string} url - Webhook URL
+     * @param {boolean} delivered - Delivery outcome
+     * @param {number} attempts - Attempts made
+     * @param {string} error - Last error message
+     */
+    logDelivery(url, delivered, attempts, error) {
+        if (!this.governance) return;
+
+        this.governance.logActivity('WEBHOOK_DISPATCH', {
+            target: this.describeTarget(url),
+            delivered,
+            attempts,
+            error
+        });
+    }
+}
+
+module.exports = NotificationDispatcher;
@@ -0,0 +1,250 @@
+/**
+ * Output Module
+ * Applies output options (format, metadata, previews, compression) and writes files to the key-value store
+ */
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { Actor } = require('apify');
+const { stringify } = require('csv-stringify/sync');
+const { sanitizeStorageKey } = require('./utils');
+
+// Fields kept when full metadata is not requested
+const SUMMARY_DATASET_FIELDS = ['id', 'title', 'organization', 'license', 'url'];
+const SUMMARY_RESULT_FIELDS = [
+    'id', 'title', 'organization', 'sector', 'license', 'url', 'modifiedDate',
+    'resourceCount', 'qualityScore', 'relevanceScore', 'governance'
+];
+const SUMMARY_RESOURCE_FIELDS = ['id', 'name', 'format', 'url', 'acquired', 'source', 'reason', 'error', 'data'];
+
+class OutputManager {
+    constructor(config = {}) {
+        this.format = ['json', 'csv', 'both'].includes(config.format) ? config.format : 'json';
+        this.includeMetadata = config.includeMetadata !== false;
+        this.includePreview = config.includePreview !== false;
+        this.compression = config.compressionFormat || config.compression || 'none';
+        this.keyPrefix = config.keyPrefix || 'OUTPUT';
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Whether individual result items should be pushed to the dataset
+     * @returns {boolean} True for json/both output
+     */
+    shouldPushItems() {
+        return this.format !== 'csv';
+    }
+
+    /**
+     * Whether raw resource files need to be kept for archiving
+     * @returns {boolean} True when compression is enabled
+     */
+    needsRawFiles() {
+        return this.compression === 'zip' || this.compression === 'gzip';
+    }
+
+    /**
+     * Apply metadata and preview options to results
+     * @param {array} results - Mode results
+     * @returns {array} Prepared results
+     */
+    prepareResults(results) {
+        return results.map(result => this.prepareResult(result));
+    }
+
+    /**
+     * Apply metadata and preview options to a single result
+     * @param {object} result - Result item
+     * @returns {object} Prepared result
+     */
+    prepareResult(result) {
+        if (!result || typeof result !== 'object' || result.type) {
+            // Monitor-mode items are already compact change records
+            return result;
+        }
+
+        let prepared = { ...result };
+
+        if (!this.includeMetadata) {
+            prepared = this.stripMetadata(prepared);
+        }
+
+        if (Array.isArray(prepared.resources)) {
+            prepared.resources = prepared.resources.map(resource => this.prepareResource(resource));
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Reduce a result to summary metadata fields
+     * @param {object} result - Result item
+     * @returns {object} Result without full metadata
+     */
+    stripMetadata(result) {
+        if (result.dataset) {
+            return {
+                ...result,
+                dataset: pick(result.dataset, SUMMARY_DATASET_FIELDS)
+            };
+        }
+
+        const stripped = pick(result, SUMMARY_RESULT_FIELDS);
+        if (Array.isArray(result.resources)) {
+            stripped.resources = result.resources;
+        }
+
+        return stripped;
+    }
+
+    /**
+     * Apply metadata and preview options to a resource
+     * @param {object} resource - Resource entry
+     * @returns {object} Prepared resource
+     */
+    prepareResource(resource) {
+        if (!resource || typeof resource !== 'object') return resource;
+
+        const prepared = this.includeMetadata ? { ...resource } : pick(resource, SUMMARY_RESOURCE_FIELDS);
+
+        if (!this.includePreview && prepared.data) {
+            prepared.data = this.stripPreview(prepared.data);
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Remove previews from parsed resource data
+     * @param {object} data - Parsed resource data
+     * @returns {object} Data without previews
+     */
+    stripPreview(data) {
+        const { preview, ...rest } = data;
+
+        if (rest.sheets) {
+            rest.sheets = Object.fromEntries(
+                Object.entries(rest.sheets).map(([name, sheet]) => {
+                    const { preview: sheetPreview, ...sheetRest } = sheet;
+                    return [name, sheetRest];
+                })
+            );
+        }
+
+        return rest;
+    }
+
+    /**
+     * Write CSV output and compressed archives to the key-value store
+     * @param {array} results - Prepared results
+     * @param {array} rawFiles - Raw resource files ({resourceId, name, format, data})
+     * @returns {Promise<object>} Keys of written files
+     */
+    async writeOutputs(results, rawFiles = []) {
+        const written = {
+            format: this.format,
+            compression: this.compression,
+            csvKey: null,
+            archiveKeys: []
+        };
+
+        const csv = this.format === 'csv' || this.format === 'both'
+            ? this.toCSV(results)
+            : null;
+
+        if (csv !== null && this.compression !== 'gzip' && this.compression !== 'zip') {
+            written.csvKey = `${this.keyPrefix}.csv`;
+            await Actor.setValue(written.csvKey, csv, { contentType: 'text/csv; charset=utf-8' });
+        }
+
+        if (this.compression === 'gzip') {
+            if (csv !== null) {
+                written.csvKey = `${this.keyPrefix}.csv.gz`;
+                await Actor.setValue(written.csvKey, zlib.gzipSync(csv), { contentType: 'application/gzip' });
+            }
+
+            for (const file of rawFiles) {
+                const key = `RESOURCE-${sanitizeStorageKey(file.resourceId)}.${file.format || 'bin'}.gz`;
+                await Actor.setValue(key, zlib.gzipSync(file.data), { contentType: 'application/gzip' });
+                written.archiveKeys.push(key);
+            }
+        } else if (this.compression === 'zip' && (csv !== null || rawFiles.length > 0)) {
+            const zip = new AdmZip();
+
+            if (csv !== null) {
+                zip.addFile(`${this.keyPrefix.toLowerCase()}.csv`, Buffer.from(csv, 'utf-8'));
+            }
+
+            for (const file of rawFiles) {
+                zip.addFile(`resources/${sanitizeStorageKey(file.name || file.resourceId)}-${sanitizeStorageKey(file.resourceId)}.${file.format || 'bin'}`, file.data);
+            }
+
+            const key = `${this.keyPrefix}.zip`;
+            await Actor.setValue(key, zip.toBuffer(), { contentType: 'application/zip' });
+            written.archiveKeys.push(key);
+        }
+
+        if (this.debugMode) {
+            console.log('Output files written:', written);
+        }
+
+        return written;
+    }
+
+    /**
+     * Flatten results into CSV text
+     * @param {array} results - Result items
+     * @returns {string} CSV text
+     */
+    toCSV(results) {
+        const rows = results.map(result => this.flattenRecord(result));
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+        return stringify(rows, {
+            header: true,
+            columns,
+            bom: true
+        });
+    }
+
+    /**
+     * Flatten nested objects into dot-notation columns
+     * @param {object} record - Nested record
+     * @param {string} prefix - Key prefix
+     * @param {object} target - Accumulator
+     * @returns {object} Flat record
+     */
+    flattenRecord(record, prefix = '', target = {}) {
+        for (const [key, value] of Object.entries(record || {})) {
+            const column = prefix ? `${prefix}.${key}` : key;
+
+            if (Array.isArray(value)) {
+                target[column] = value.every(item => item === null || typeof item !== 'object')
+                    ? value.join('; ')
+                    : JSON.stringify(value);
+            } else if (value && typeof value === 'object') {
+                this.flattenRecord(value, column, target);
+            } else {
+                target[column] = value;
+            }
+        }
+
+        return target;
+    }
+}
+
+/**
+ * Pick selected keys from an object
+ * @param {object} source - Source object
+ * @param {array} keys - Keys to keep
+ * @returns {object} Object with selected keys
+ */
+function pick(source, keys) {
+    const picked = {};
+    keys.forEach(key => {
+        if (source[key] !== undefined) picked[key] = source[key];
+    });
+    return picked;
+}
+
+module.exports = OutputManager;
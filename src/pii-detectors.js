@@ -0,0 +1,343 @@
+/**
+ * PII Detectors
+ * Finds Indian personal identifiers in text, validating Aadhaar (Verhoeff), PAN (structure and entity type),
+ * GSTIN (checksum), IFSC and mobile numbers, and returns typed findings with confidence levels and offsets
+ */
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// PAN 4th character: holder entity type
+const PAN_ENTITY_TYPES = {
+    A: 'Association of persons',
+    B: 'Body of individuals',
+    C: 'Company',
+    F: 'Firm',
+    G: 'Government',
+    H: 'Hindu undivided family',
+    J: 'Artificial juridical person',
+    L: 'Local authority',
+    P: 'Individual',
+    T: 'Trust'
+};
+
+// Verhoeff dihedral group multiplication and position permutation tables
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// GST state codes: 01–38 for states/UTs, 97 for other territory, 99 for centre jurisdiction
+const GSTIN_STATE_CODES = new Set([
+    ...Array.from({ length: 38 }, (_, i) => String(i + 1).padStart(2, '0')),
+    '97',
+    '99'
+]);
+
+/**
+ * Normalize a label (column name) for keyword matching
+ * @param {string} label - Label
+ * @returns {string} Lowercase label with separators and camel case split into spaces
+ */
+function normalizeLabel(label) {
+    return String(label)
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .replace(/[_\-./()]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build a whole-word pattern over normalized labels (\b does not see Devanagari letters as word characters)
+ * @param {array} keywords - Keywords (regex fragments)
+ * @returns {RegExp} Pattern
+ */
+function keywordPattern(keywords) {
+    return new RegExp(`(?:^| )(?:${keywords.join('|')})(?: |$)`);
+}
+
+/**
+ * Identifier detectors, in priority order for overlapping matches
+ * Each has a global pattern, a validator returning {confidence, validation, details} or null, and an optional context
+ * pattern: a matching context label (e.g. the column name) raises confidence one level, and requiresContext detectors
+ * only run when the context matches
+ */
+const DETECTORS = [
+    {
+        type: 'gstin',
+        label: 'GSTIN',
+        pattern: /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g,
+        context: keywordPattern(['gst', 'gstin', 'gst no', 'gst number']),
+        validate: value => isValidGSTIN(value)
+            ? { confidence: 'high', validation: 'checksum', details: { stateCode: value.slice(0, 2), pan: value.slice(2, 12) } }
+            : null
+    },
+    {
+        type: 'aadhaar',
+        label: 'Aadhaar number',
+        pattern: /(?<![\d.-])[2-9]\d{3}([\s-]?)\d{4}\1\d{4}(?![\d-]|\.\d)/g,
+        context: keywordPattern(['aadhaar', 'aadhar', 'adhaar', 'uid', 'uidai', 'आधार']),
+        validate: value => {
+            const digits = value.replace(/\D/g, '');
+            if (!isValidAadhaar(digits)) return null;
+
+            // One random 12-digit number in ten passes Verhoeff, so bare digit runs need grouping or context
+            return { confidence: /[\s-]/.test(value) ? 'medium' : 'low', validation: 'checksum' };
+        }
+    },
+    {
+        type: 'pan',
+        label: 'PAN',
+        pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g,
+        context: keywordPattern(['pan', 'pan no', 'pan number', 'permanent account number']),
+        validate: value => isValidPAN(value)
+            ? { confidence: 'high', validation: 'structure', details: { entityType: PAN_ENTITY_TYPES[value[3]] } }
+            : null
+    },
+    {
+        type: 'email',
+        label: 'Email address',
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+        validate: () => ({ confidence: 'high', validation: 'format' })
+    },
+    {
+        type: 'mobile',
+        label: 'Indian mobile number',
+        pattern: /(?<![\d.+])(?:(?:\+|00)91[\s-]?|91[\s-]|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d|\.\d)/g,
+        context: keywordPattern(['mobile', 'mob', 'phone', 'ph', 'contact', 'cell', 'whatsapp', 'tel', 'telephone', 'मोबाइल', 'फोन', 'संपर्क']),
+        validate: value => {
+            const digits = value.replace(/\D/g, '').slice(-10);
+            if (!isValidMobile(digits)) return null;
+
+            // Budget and census figures are often bare 10-digit runs, so those need a prefix, grouping or context
+            const formatted = /^(\+|00|91[\s-]|0)/.test(value) || /[\s-]/.test(value);
+            return { confidence: formatted ? 'medium' : 'low', validation: 'prefix' };
+        }
+    },
+    {
+        type: 'ifsc',
+        label: 'IFSC code',
+        pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/g,
+        context: keywordPattern(['ifsc', 'ifsc code', 'bank code']),
+        validate: value => isValidIFSC(value)
+            ? { confidence: 'medium', validation: 'format', details: { bankCode: value.slice(0, 4) } }
+            : null
+    },
+    {
+        type: 'voter_id',
+        label: 'Voter ID (EPIC)',
+        pattern: /\b[A-Z]{3}\d{7}\b/g,
+        context: keywordPattern(['epic', 'epic no', 'voter', 'voter id', 'voter card', 'मतदाता']),
+        validate: () => ({ confidence: 'medium', validation: 'format' })
+    },
+    {
+        type: 'passport',
+        label: 'Passport number',
+        pattern: /\b[A-PR-WY][1-9]\d\s?\d{4}[1-9]\b/g,
+        context: keywordPattern(['passport', 'passport no', 'पासपोर्ट']),
+        validate: () => ({ confidence: 'low', validation: 'format' })
+    },
+    {
+        type: 'bank_account',
+        label: 'Bank account number',
+        pattern: /(?<![\d.])\d{9,18}(?![\d]|\.\d)/g,
+        context: keywordPattern(['a ?c', 'acc', 'acct', 'account', 'account no', 'bank account', 'खाता']),
+        requiresContext: true,
+        validate: () => ({ confidence: 'low', validation: 'format' })
+    }
+];
+
+/**
+ * Validate an Aadhaar number (12 digits, not starting with 0 or 1, Verhoeff check digit)
+ * @param {string} value - Aadhaar number (digits only)
+ * @returns {boolean} True if valid
+ */
+function isValidAadhaar(value) {
+    const digits = String(value);
+    if (!/^[2-9]\d{11}$/.test(digits)) return false;
+
+    let check = 0;
+    digits.split('').reverse().forEach((digit, i) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+    });
+
+    return check === 0;
+}
+
+/**
+ * Validate a PAN (AAAAA9999A with a known entity-type letter in 4th position)
+ * @param {string} value - PAN
+ * @returns {boolean} True if valid
+ */
+function isValidPAN(value) {
+    return /^[A-Z]{5}\d{4}[A-Z]$/.test(value) && Boolean(PAN_ENTITY_TYPES[value[3]]);
+}
+
+/**
+ * Validate a GSTIN (state code, embedded PAN, entity number, 'Z' and mod-36 check character)
+ * @param {string} value - GSTIN
+ * @returns {boolean} True if valid
+ */
+function isValidGSTIN(value) {
+    if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) return false;
+    if (!GSTIN_STATE_CODES.has(value.slice(0, 2)) || !isValidPAN(value.slice(2, 12))) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+}
+
+/**
+ * Validate an IFSC (4-letter bank code, reserved '0', 6-character branch code)
+ * @param {string} value - IFSC
+ * @returns {boolean} True if valid
+ */
+function isValidIFSC(value) {
+    return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(value);
+}
+
+/**
+ * Validate an Indian mobile number (10 digits starting 6–9, not a single repeated digit)
+ * @param {string} value - Mobile number (10 digits, without country prefix)
+ * @returns {boolean} True if valid
+ */
+function isValidMobile(value) {
+    return /^[6-9]\d{9}$/.test(value) && !/^(\d)\1{9}$/.test(value);
+}
+
+/**
+ * Raise a confidence level by one step
+ * @param {string} confidence - Confidence level
+ * @returns {string} Next level (high stays high)
+ */
+function raiseConfidence(confidence) {
+    return CONFIDENCE_LEVELS[Math.min(CONFIDENCE_LEVELS.indexOf(confidence) + 1, CONFIDENCE_LEVELS.length - 1)];
+}
+
+/**
+ * Compare a confidence level against a minimum
+ * @param {string} confidence - Confidence level
+ * @param {string} minConfidence - Minimum level
+ * @returns {boolean} True if confidence is at least minConfidence
+ */
+function meetsConfidence(confidence, minConfidence = 'low') {
+    return CONFIDENCE_LEVELS.indexOf(confidence) >= CONFIDENCE_LEVELS.indexOf(minConfidence);
+}
+
+/**
+ * Find personal identifiers in text
+ * @param {string} text - Text to scan
+ * @param {object} options - Detection options ({context: label such as a column name, types: detector types to run, minConfidence})
+ * @returns {array} Findings ({type, label, value, start, end, confidence, validation, details}) ordered by offset
+ */
+function detectPII(text, options = {}) {
+    if (text === null || text === undefined || text === '') return [];
+
+    const value = String(text);
+    const context = options.context ? normalizeLabel(options.context) : '';
+    const minConfidence = options.minConfidence || 'low';
+    const candidates = [];
+
+    DETECTORS.forEach((detector, priority) => {
+        if (options.types && !options.types.includes(detector.type)) return;
+
+        const inContext = Boolean(context && detector.context?.test(context));
+        if (detector.requiresContext && !inContext) return;
+
+        for (const match of value.matchAll(detector.pattern)) {
+            const result = detector.validate(match[0]);
+            if (!result) continue;
+
+            const confidence = inContext ? raiseConfidence(result.confidence) : result.confidence;
+            if (!meetsConfidence(confidence, minConfidence)) continue;
+
+            candidates.push({
+                type: detector.type,
+                label: detector.label,
+                value: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                confidence,
+                validation: result.validation,
+                ...(result.details ? { details: result.details } : {}),
+                priority
+            });
+        }
+    });
+
+    // Overlapping matches keep the most confident (then earliest-listed) detector
+    const findings = [];
+    candidates
+        .sort((a, b) => CONFIDENCE_LEVELS.indexOf(b.confidence) - CONFIDENCE_LEVELS.indexOf(a.confidence) || a.priority - b.priority)
+        .forEach(candidate => {
+            if (!findings.some(finding => candidate.start < finding.end && finding.start < candidate.end)) {
+                findings.push(candidate);
+            }
+        });
+
+    return findings
+        .sort((a, b) => a.start - b.start)
+        .map(({ priority, ...finding }) => finding);
+}
+
+/**
+ * Redact personal identifiers from text
+ * @param {string} text - Text to redact
+ * @param {object} options - Detection options (as for detectPII; minConfidence defaults to medium)
+ * @returns {string} Text with identifier characters masked as X (separators kept) and emails replaced
+ */
+function redactPII(text, options = {}) {
+    if (!text) return text;
+
+    const value = String(text);
+    const findings = detectPII(value, { minConfidence: 'medium', ...options });
+
+    let redacted = '';
+    let offset = 0;
+    findings.forEach(finding => {
+        const mask = finding.type === 'email' ? 'email@redacted.com' : finding.value.replace(/[A-Za-z0-9]/g, 'X');
+        redacted += value.slice(offset, finding.start) + mask;
+        offset = finding.end;
+    });
+
+    return redacted + value.slice(offset);
+}
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    DETECTORS,
+    detectPII,
+    redactPII,
+    meetsConfidence,
+    normalizeLabel,
+    keywordPattern,
+    isValidAadhaar,
+    isValidPAN,
+    isValidGSTIN,
+    isValidIFSC,
+    isValidMobile
+};
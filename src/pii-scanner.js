@@ -0,0 +1,163 @@
+/**
+ * PII Scanner
+ * Scans the values of parsed tables column by column for personal identifiers (DPDP Act 2023 review),
+ * reporting per-column hit rates and columns that are likely quasi-identifiers
+ */
+
+const { CONFIDENCE_LEVELS, detectPII, normalizeLabel, keywordPattern } = require('./pii-detectors');
+
+// Columns holding people's names (and those that hold names of other things)
+const NAME_COLUMN_PATTERN = keywordPattern(['name', 'names', 'applicant', 'beneficiary', 'farmer', 'father', 'mother', 'husband', 'spouse', 'guardian', 'student', 'patient', 'candidate', 'employee', 'owner', 'nominee', 'naam', 'नाम', 'लाभार्थी']);
+const NOT_PERSON_COLUMN_PATTERN = keywordPattern(['state', 'district', 'village', 'block', 'tehsil', 'taluk', 'mandal', 'city', 'town', 'scheme', 'project', 'crop', 'bank', 'branch', 'department', 'dept', 'office', 'school', 'hospital', 'institute', 'college', 'company', 'firm', 'organi[sz]ation', 'product', 'item', 'commodity', 'station', 'road', 'river', 'market', 'mandi', 'file', 'user ?name', 'host ?name']);
+const HONORIFIC_PATTERN = /^(shri|sri|smt|shrimati|kumari|km|mr|mrs|ms|dr|late)\.?\s+\S/i;
+const NAME_VALUE_PATTERN = /^(?:[A-Z][a-z]*\.?|[A-Z]{2,})(?:\s+(?:[A-Z][a-z]*\.?|[A-Z]{2,})){0,4}$|^[ऀ-ॿ]+(?:\s+[ऀ-ॿ]+){0,4}$/;
+
+// Columns that identify people in combination with other columns
+const QUASI_IDENTIFIERS = [
+    { kind: 'date_of_birth', pattern: keywordPattern(['dob', 'd o b', 'date of birth', 'birth ?date', 'born', 'जन्म']), types: ['date', 'year', 'string'] },
+    { kind: 'age', pattern: keywordPattern(['age', 'age in years', 'आयु', 'उम्र']), types: ['integer', 'decimal', 'categorical', 'string'] },
+    { kind: 'gender', pattern: keywordPattern(['gender', 'sex', 'लिंग']) },
+    { kind: 'postal_code', pattern: keywordPattern(['pin', 'pin ?code', 'postal ?code', 'post ?code', 'zip', 'पिन']) },
+    { kind: 'locality', pattern: keywordPattern(['address', 'village', 'ward', 'locality', 'habitation', 'mohalla', 'gram panchayat', 'house ?no', 'house number', 'पता', 'गांव', 'ग्राम']) },
+    { kind: 'caste_religion', pattern: keywordPattern(['caste', 'sub ?caste', 'religion', 'community', 'social category', 'जाति', 'धर्म']) },
+    { kind: 'occupation', pattern: keywordPattern(['occupation', 'profession', 'employer', 'designation', 'व्यवसाय']) },
+    { kind: 'marital_status', pattern: keywordPattern(['marital', 'marital status', 'वैवाहिक']) },
+    { kind: 'disability', pattern: keywordPattern(['disability', 'disabled', 'divyang', 'pwd', 'विकलांग', 'दिव्यांग']) }
+];
+
+class PIIScanner {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.sampleSize = config.sampleSize || 10000;
+        this.minHitRate = config.minHitRate !== undefined ? config.minHitRate : 0.1;
+        this.minConfidence = config.minConfidence || 'medium';
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Scan the columns of a table for PII
+     * @param {array} records - Table records (the first sampleSize rows are scanned)
+     * @param {object} options - Table name and profile ({name, profile})
+     * @returns {object|null} Scan report ({table, rowsScanned, columns, piiColumns, quasiIdentifiers, risk}) or null for empty tables
+     */
+    scanTable(records, options = {}) {
+        if (!Array.isArray(records) || records.length === 0) {
+            return null;
+        }
+
+        const rows = records.slice(0, this.sampleSize);
+        const columnNames = [...new Set(rows.flatMap(record => Object.keys(record || {})))];
+
+        const columns = columnNames
+            .map(column => this.scanColumn(column, rows.map(record => record?.[column]), options.profile?.columns?.[column]))
+            .filter(column => column.detections.length > 0 || column.quasiIdentifier);
+
+        const piiColumns = columns.filter(column => column.primaryType).map(column => column.column);
+        const quasiIdentifiers = columns.filter(column => column.quasiIdentifier).map(column => column.column);
+
+        if (this.debugMode && columns.length > 0) {
+            console.log(`PII scan of ${options.name || 'table'}: ${piiColumns.length} identifier column(s), ${quasiIdentifiers.length} quasi-identifier(s)`);
+        }
+
+        return {
+            table: options.name || null,
+            rowsScanned: rows.length,
+            sampled: records.length > rows.length,
+            columns,
+            piiColumns,
+            quasiIdentifiers,
+            risk: this.assessRisk(piiColumns, quasiIdentifiers)
+        };
+    }
+
+    /**
+     * Scan the values of one column
+     * @param {string} column - Column name
+     * @param {array} values - Column values
+     * @param {object} columnProfile - Column profile (optional)
+     * @returns {object} Column result ({column, valuesScanned, detections ({type, label, hits, hitRate, confidence}), primaryType, quasiIdentifier})
+     */
+    scanColumn(column, values, columnProfile = null) {
+        const name = normalizeLabel(column);
+        const present = values
+            .filter(value => value !== null && value !== undefined && typeof value !== 'object')
+            .map(value => String(value).trim())
+            .filter(value => value !== '');
+
+        const isNameColumn = NAME_COLUMN_PATTERN.test(name) && !NOT_PERSON_COLUMN_PATTERN.test(name);
+        const hits = new Map();
+        const count = (type, label, confidence) => {
+            const entry = hits.get(type) || { type, label, hits: 0, confidence };
+            entry.hits++;
+            if (CONFIDENCE_LEVELS.indexOf(confidence) > CONFIDENCE_LEVELS.indexOf(entry.confidence)) entry.confidence = confidence;
+            hits.set(type, entry);
+        };
+
+        present.forEach(value => {
+            // A value counts once per identifier type, at its most confident finding
+            const findings = detectPII(value, { context: column, minConfidence: this.minConfidence });
+            const best = new Map();
+            findings.forEach(finding => {
+                const current = best.get(finding.type);
+                if (!current || CONFIDENCE_LEVELS.indexOf(finding.confidence) > CONFIDENCE_LEVELS.indexOf(current.confidence)) {
+                    best.set(finding.type, finding);
+                }
+            });
+            best.forEach(finding => count(finding.type, finding.label, finding.confidence));
+
+            if (HONORIFIC_PATTERN.test(value) || (isNameColumn && NAME_VALUE_PATTERN.test(value))) {
+                count('person_name', 'Personal name', isNameColumn ? 'medium' : 'low');
+            }
+        });
+
+        const detections = [...hits.values()]
+            .map(entry => ({ ...entry, hitRate: Number((entry.hits / present.length).toFixed(4)) }))
+            .sort((a, b) => b.hitRate - a.hitRate);
+
+        const primary = detections.find(detection => detection.hitRate >= this.minHitRate);
+
+        return {
+            column,
+            valuesScanned: present.length,
+            detections,
+            primaryType: primary ? primary.type : null,
+            quasiIdentifier: this.classifyQuasiIdentifier(name, columnProfile)
+        };
+    }
+
+    /**
+     * Flag columns that can re-identify people when combined (date of birth, age, gender, PIN code, locality, ...)
+     * @param {string} name - Normalized column name
+     * @param {object} columnProfile - Column profile (optional)
+     * @returns {object|null} Quasi-identifier ({kind, reason}) or null
+     */
+    classifyQuasiIdentifier(name, columnProfile) {
+        const match = QUASI_IDENTIFIERS.find(candidate => candidate.pattern.test(name));
+        if (!match) return null;
+
+        // A profiled type that cannot hold the attribute (e.g. an "age" column of free text) rules it out
+        if (match.types && columnProfile?.type && columnProfile.type !== 'empty' && !match.types.includes(columnProfile.type)) {
+            return null;
+        }
+
+        return {
+            kind: match.kind,
+            reason: `Column name indicates ${match.kind.replace(/_/g, ' ')}`
+        };
+    }
+
+    /**
+     * Rate the re-identification risk of a table
+     * @param {array} piiColumns - Columns holding direct identifiers
+     * @param {array} quasiIdentifiers - Quasi-identifier columns
+     * @returns {string} Risk level (high, medium, low or none)
+     */
+    assessRisk(piiColumns, quasiIdentifiers) {
+        if (piiColumns.length > 0) return 'high';
+        if (quasiIdentifiers.length >= 2) return 'medium';
+        if (quasiIdentifiers.length === 1) return 'low';
+        return 'none';
+    }
+}
+
+module.exports = PIIScanner;
@@ -0,0 +1,266 @@
+/**
+ * Governance Policy Engine
+ * Evaluates declarative allow/deny rules (organization, sector, tag, license, whole-word keyword, regex) and a dataset
+ * allowlist, recording which rule decided each dataset
+ */
+
+const { Actor } = require('apify');
+const { createError } = require('./utils');
+const DEFAULT_POLICY = require('./reference/governance-policy.json');
+
+const EFFECTS = ['allow', 'deny'];
+const SEVERITIES = ['log', 'warn', 'block'];
+const CRITERIA = ['organization', 'sector', 'tag', 'license', 'keyword', 'regex'];
+const TEXT_FIELDS = ['title', 'description', 'tags'];
+
+class PolicyEngine {
+    constructor(config = {}) {
+        this.includeDefaults = config.includeDefaults !== false;
+        this.storeKey = config.storeKey || null;
+        this.debugMode = config.debugMode || false;
+
+        this.inputPolicy = { allowlist: config.allowlist || [], rules: config.rules || [] };
+        this.setPolicy([this.includeDefaults ? DEFAULT_POLICY : {}, this.inputPolicy]);
+    }
+
+    /**
+     * Load the policy record from the key-value store (when storeKey is set) and merge it between the defaults and the input rules
+     * @returns {Promise<object>} Loaded policy summary ({sources, ruleCount, allowlistCount})
+     */
+    async load() {
+        const sources = this.includeDefaults ? ['default'] : [];
+
+        if (this.storeKey) {
+            const stored = await Actor.getValue(this.storeKey);
+
+            if (!stored) {
+                throw createError(`Governance policy record '${this.storeKey}' not found`, 'POLICY_NOT_FOUND', { storeKey: this.storeKey });
+            }
+
+            this.setPolicy([this.includeDefaults ? DEFAULT_POLICY : {}, stored, this.inputPolicy]);
+            sources.push(`store:${this.storeKey}`);
+        }
+
+        if (this.inputPolicy.rules.length > 0 || this.inputPolicy.allowlist.length > 0) {
+            sources.push('input');
+        }
+
+        if (this.debugMode) {
+            console.log(`Governance policy: ${this.rules.length} rule(s), ${this.allowlist.size} allowlisted dataset(s) from ${sources.join(', ') || 'no sources'}`);
+        }
+
+        return { sources, ruleCount: this.rules.length, allowlistCount: this.allowlist.size };
+    }
+
+    /**
+     * Merge policies in order; a rule with the id of an earlier one replaces it (set enabled: false to switch it off)
+     * @param {array} policies - Policies ({allowlist, rules})
+     */
+    setPolicy(policies) {
+        const rules = new Map();
+        const allowlist = new Set();
+
+        policies.forEach(policy => {
+            (policy.allowlist || []).forEach(id => allowlist.add(String(id)));
+            (policy.rules || []).forEach(rule => {
+                const id = rule.id || `rule-${rules.size + 1}`;
+                rules.set(id, { ...rule, id });
+            });
+        });
+
+        this.allowlist = allowlist;
+        this.rules = [...rules.values()]
+            .filter(rule => rule.enabled !== false)
+            .map(rule => this.compileRule(rule));
+    }
+
+    /**
+     * Validate a rule and precompile its matchers
+     * @param {object} rule - Rule ({id, description, effect, severity, match})
+     * @returns {object} Compiled rule
+     */
+    compileRule(rule) {
+        const effect = rule.effect || 'deny';
+        const severity = effect === 'allow' ? null : rule.severity || 'block';
+        const match = rule.match || {};
+
+        if (!EFFECTS.includes(effect)) {
+            throw createError(`Invalid governance policy rule '${rule.id}': effect must be ${EFFECTS.join(' or ')}`, 'INVALID_POLICY', { rule: rule.id });
+        }
+        if (severity && !SEVERITIES.includes(severity)) {
+            throw createError(`Invalid governance policy rule '${rule.id}': severity must be ${SEVERITIES.join(', ')}`, 'INVALID_POLICY', { rule: rule.id });
+        }
+
+        const criteria = Object.keys(match).filter(key => CRITERIA.includes(key));
+        if (criteria.length === 0) {
+            throw createError(`Invalid governance policy rule '${rule.id}': match needs one of ${CRITERIA.join(', ')}`, 'INVALID_POLICY', { rule: rule.id });
+        }
+
+        const toList = value => (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined && item !== '');
+
+        const regexes = toList(match.regex).map(pattern => {
+            try {
+                return { source: pattern, regex: new RegExp(pattern, 'iu') };
+            } catch (error) {
+                throw createError(`Invalid governance policy rule '${rule.id}': bad regex ${pattern} (${error.message})`, 'INVALID_POLICY', { rule: rule.id });
+            }
+        });
+
+        return {
+            id: rule.id,
+            description: rule.description || null,
+            effect,
+            severity,
+            fields: toList(match.fields).filter(field => TEXT_FIELDS.includes(field)),
+            organization: toList(match.organization).map(normalizeName),
+            sector: toList(match.sector).map(normalizeName),
+            tag: toList(match.tag).map(normalizeName),
+            license: toList(match.license).map(normalizeName),
+            keyword: toList(match.keyword).map(keyword => ({ source: keyword, regex: keywordRegex(keyword) })),
+            regex: regexes
+        };
+    }
+
+    /**
+     * Evaluate a dataset against the policy
+     * The allowlist wins outright, then allow rules, then the most severe matching deny rule
+     * @param {object} dataset - Dataset (CKAN package or formatted search result)
+     * @returns {object} Decision ({allowed, severity, rule, reason, firedRules})
+     */
+    evaluate(dataset) {
+        const ids = [dataset.id, dataset.name].filter(Boolean).map(String);
+        const allowlisted = ids.find(id => this.allowlist.has(id));
+
+        if (allowlisted) {
+            return {
+                allowed: true,
+                severity: null,
+                rule: 'allowlist',
+                reason: `Dataset ${allowlisted} is allowlisted`,
+                firedRules: [{ id: 'allowlist', effect: 'allow', severity: null, matched: { id: allowlisted } }]
+            };
+        }
+
+        const facts = extractFacts(dataset);
+        const firedRules = this.rules
+            .map(rule => {
+                const matched = this.matchRule(rule, facts);
+                return matched ? { id: rule.id, effect: rule.effect, severity: rule.severity, matched } : null;
+            })
+            .filter(Boolean);
+
+        const allowRule = firedRules.find(fired => fired.effect === 'allow');
+        if (allowRule) {
+            return {
+                allowed: true,
+                severity: null,
+                rule: allowRule.id,
+                reason: `Allowed by rule '${allowRule.id}' (${describeMatch(allowRule.matched)})`,
+                firedRules
+            };
+        }
+
+        const denyRule = firedRules
+            .filter(fired => fired.effect === 'deny')
+            .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity))[0];
+
+        if (denyRule) {
+            return {
+                allowed: denyRule.severity !== 'block',
+                severity: denyRule.severity,
+                rule: denyRule.id,
+                reason: `Matched rule '${denyRule.id}' (${describeMatch(denyRule.matched)})`,
+                firedRules
+            };
+        }
+
+        return { allowed: true, severity: null, rule: null, reason: 'No policy rule matched', firedRules };
+    }
+
+    /**
+     * Match a compiled rule against dataset facts: every criterion the rule sets must match (any of its values)
+     * @param {object} rule - Compiled rule
+     * @param {object} facts - Dataset facts
+     * @returns {object|null} Matched value per criterion, or null when the rule does not apply
+     */
+    matchRule(rule, facts) {
+        const matched = {};
+        const text = (rule.fields.length > 0 ? rule.fields : TEXT_FIELDS).map(field => facts.text[field]).join('\n');
+
+        for (const criterion of ['organization', 'sector', 'tag', 'license']) {
+            if (rule[criterion].length === 0) continue;
+
+            const value = rule[criterion].find(candidate => facts[criterion].includes(candidate));
+            if (!value) return null;
+            matched[criterion] = value;
+        }
+
+        for (const criterion of ['keyword', 'regex']) {
+            if (rule[criterion].length === 0) continue;
+
+            const hit = rule[criterion].find(matcher => matcher.regex.test(text));
+            if (!hit) return null;
+            matched[criterion] = hit.source;
+        }
+
+        return matched;
+    }
+}
+
+/**
+ * Normalize an organization, sector, tag or license name for comparison
+ * @param {string} value - Name
+ * @returns {string} Lowercase name with collapsed whitespace
+ */
+function normalizeName(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a case-insensitive whole-word pattern for a keyword; spaces, hyphens and underscores match each other
+ * @param {string} keyword - Keyword or phrase
+ * @returns {RegExp} Pattern
+ */
+function keywordRegex(keyword) {
+    const body = String(keyword)
+        .trim()
+        .split(/[\s_-]+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[\\s_-]+');
+
+    return new RegExp(`(?<![\\p{L}\\p{N}\\p{M}])${body}(?![\\p{L}\\p{N}\\p{M}])`, 'iu');
+}
+
+/**
+ * Collect the values rules match against from a CKAN package or a formatted search result
+ * @param {object} dataset - Dataset
+ * @returns {object} Facts ({organization, sector, tag, license, text: {title, description, tags}})
+ */
+function extractFacts(dataset) {
+    const names = values => [...new Set(values.filter(Boolean).map(normalizeName))];
+    const tags = (dataset.tags || []).map(tag => typeof tag === 'string' ? tag : tag.display_name || tag.name);
+    const organization = dataset.organization;
+
+    return {
+        organization: names(typeof organization === 'string' ? [organization] : [organization?.title, organization?.name]),
+        sector: names([dataset.sector, ...(dataset.groups || []).flatMap(group => [group.title, group.name])]),
+        tag: names(tags),
+        license: names([dataset.license, dataset.license_title, dataset.license_id]),
+        text: {
+            title: dataset.title || '',
+            description: dataset.description || dataset.notes || '',
+            tags: tags.join(' | ')
+        }
+    };
+}
+
+/**
+ * Describe what a rule matched
+ * @param {object} matched - Matched value per criterion
+ * @returns {string} Description such as "keyword: confidential"
+ */
+function describeMatch(matched) {
+    return Object.entries(matched).map(([criterion, value]) => `${criterion}: ${value}`).join(', ');
+}
+
+module.exports = PolicyEngine;
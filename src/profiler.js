@@ -0,0 +1,442 @@
+/**
+ * Data Profiler
+ * Infers column types and profiles complete tables (quantiles, top values, patterns, outliers, Table Schema)
+ */
+
+const stats = require('simple-statistics');
+const moment = require('moment');
+const { findState } = require('./reference/geography');
+const { parseNumber } = require('./utils');
+
+// Date formats common in Indian government data (day-first)
+const DATE_FORMATS = [
+    'DD-MM-YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'YYYY/MM/DD',
+    'DD-MMM-YYYY', 'DD MMM YYYY', 'DD-MMM-YY', 'MMM-YYYY', 'MMM YYYY', 'MMMM YYYY',
+    'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DD HH:mm:ss', 'DD-MM-YYYY HH:mm'
+];
+
+const BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', 'y', 'n'];
+
+// Placeholders portals put in empty cells (matched case-insensitively); counted as nulls, not values
+const MISSING_VALUES = ['na', 'n/a', 'n.a.', 'n.a', 'nil', 'null', 'none', '-', '--', '---', '...'];
+
+// Share of non-null values that must match for a type to be inferred
+const TYPE_THRESHOLD = 0.95;
+
+class DataProfiler {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.topK = config.topK || 10;
+        this.maxPatterns = config.maxPatterns || 5;
+        this.maxTrackedValues = config.maxTrackedValues || 10000;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Profile a complete table
+     * @param {array} records - Tabular records
+     * @param {object} options - Profile options ({name})
+     * @returns {object} Table profile with column profiles and JSON Table Schema
+     */
+    profileTable(records, options = {}) {
+        const columns = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+        const profiles = {};
+
+        columns.forEach(column => {
+            profiles[column] = this.profileColumn(column, records.map(record => record[column]));
+        });
+
+        return {
+            table: options.name || null,
+            rowCount: records.length,
+            columnCount: columns.length,
+            columns: profiles,
+            tableSchema: this.buildTableSchema(profiles)
+        };
+    }
+
+    /**
+     * Profile a single column
+     * @param {string} name - Column name
+     * @param {array} values - Column values
+     * @returns {object} Column profile
+     */
+    profileColumn(name, values) {
+        const present = [];
+        const missingTokens = new Set();
+        values.forEach(value => {
+            if (value === null || value === undefined || String(value).trim() === '') {
+                return;
+            }
+
+            const trimmed = typeof value === 'string' ? value.trim() : value;
+            if (isMissingValue(trimmed)) {
+                missingTokens.add(trimmed);
+            } else {
+                present.push(trimmed);
+            }
+        });
+
+        const counts = new Map();
+        let countsCapped = false;
+        present.forEach(value => {
+            const key = String(value);
+            if (counts.has(key)) {
+                counts.set(key, counts.get(key) + 1);
+            } else if (counts.size < this.maxTrackedValues) {
+                counts.set(key, 1);
+            } else {
+                countsCapped = true;
+            }
+        });
+
+        const profile = {
+            name,
+            type: 'empty',
+            nonNullCount: present.length,
+            nullCount: values.length - present.length,
+            completeness: values.length > 0 ? ((present.length / values.length) * 100).toFixed(2) + '%' : '0%',
+            distinctCount: counts.size,
+            distinctCountCapped: countsCapped,
+            topValues: this.getTopValues(counts),
+            patterns: this.getPatterns(present)
+        };
+
+        if (missingTokens.size > 0) {
+            profile.missingValues = [...missingTokens];
+        }
+
+        if (present.length === 0) {
+            return profile;
+        }
+
+        const inference = this.inferType(name, present, counts.size);
+        profile.type = inference.type;
+        profile.typeConfidence = Number(inference.confidence.toFixed(4));
+        if (inference.format) profile.format = inference.format;
+
+        if (['integer', 'decimal', 'year', 'district_code'].includes(profile.type)) {
+            const numbers = present.map(value => parseNumber(value)).filter(number => number !== null);
+            Object.assign(profile, this.profileNumbers(numbers));
+        }
+
+        if (profile.type === 'date') {
+            const dates = present
+                .map(value => moment(String(value), inference.format, true))
+                .filter(date => date.isValid())
+                .map(date => date.valueOf());
+
+            if (dates.length > 0) {
+                profile.minDate = moment(stats.min(dates)).format('YYYY-MM-DD');
+                profile.maxDate = moment(stats.max(dates)).format('YYYY-MM-DD');
+            }
+        }
+
+        if (profile.type === 'categorical') {
+            profile.categories = [...counts.keys()];
+        }
+
+        if (profile.type === 'indian_state') {
+            const unmatched = [...counts.keys()].filter(value => !findState(value));
+            profile.unmatchedValues = unmatched.slice(0, 20);
+        }
+
+        return profile;
+    }
+
+    /**
+     * Infer a column type from its values
+     * @param {string} name - Column name (used for year/district code hints)
+     * @param {array} values - Non-null values
+     * @param {number} distinctCount - Number of distinct values
+     * @returns {object} Inferred type, confidence and format
+     */
+    inferType(name, values, distinctCount) {
+        const total = values.length;
+        const share = predicate => values.filter(predicate).length / total;
+        const lowerName = String(name).toLowerCase();
+
+        const booleanShare = share(value => BOOLEAN_VALUES.includes(String(value).toLowerCase()));
+        if (booleanShare >= TYPE_THRESHOLD) {
+            return { type: 'boolean', confidence: booleanShare };
+        }
+
+        const financialYearShare = share(value => isFinancialYear(value));
+        if (financialYearShare >= TYPE_THRESHOLD) {
+            return { type: 'year', confidence: financialYearShare, format: 'YYYY-YY' };
+        }
+
+        const integerShare = share(value => isInteger(value));
+        if (integerShare >= TYPE_THRESHOLD) {
+            const numbers = values.map(value => parseNumber(value)).filter(number => number !== null);
+            const inYearRange = numbers.every(number => number >= 1800 && number <= 2100);
+
+            if (inYearRange && /(^|[^a-z])(year|yr)|वर्ष/.test(lowerName)) {
+                return { type: 'year', confidence: integerShare, format: 'YYYY' };
+            }
+
+            if (/district.*(code|id)|dist_?code|lgd/.test(lowerName) && numbers.every(number => number > 0 && number < 1000)) {
+                return { type: 'district_code', confidence: integerShare };
+            }
+
+            return { type: 'integer', confidence: integerShare };
+        }
+
+        const decimalShare = share(value => parseNumber(value) !== null);
+        if (decimalShare >= TYPE_THRESHOLD) {
+            return { type: 'decimal', confidence: decimalShare };
+        }
+
+        const dateFormat = this.detectDateFormat(values);
+        if (dateFormat) {
+            return { type: 'date', confidence: dateFormat.share, format: dateFormat.format };
+        }
+
+        const stateShare = share(value => findState(value) !== null && !/^\d+$/.test(String(value)));
+        if (stateShare >= TYPE_THRESHOLD) {
+            return { type: 'indian_state', confidence: stateShare };
+        }
+
+        if (distinctCount <= Math.max(20, total * 0.05) && distinctCount < total) {
+            return { type: 'categorical', confidence: 1 - distinctCount / total };
+        }
+
+        return { type: 'string', confidence: 1 };
+    }
+
+    /**
+     * Find the date format matching most values
+     * @param {array} values - Non-null values
+     * @returns {object|null} Format and matching share, or null
+     */
+    detectDateFormat(values) {
+        const sample = values.slice(0, 200).map(value => String(value));
+        let best = null;
+
+        for (const format of DATE_FORMATS) {
+            const matches = sample.filter(value => moment(value, format, true).isValid()).length;
+            if (!best || matches > best.matches) {
+                best = { format, matches };
+            }
+        }
+
+        if (!best || best.matches / sample.length < TYPE_THRESHOLD) {
+            return null;
+        }
+
+        const share = values.filter(value => moment(String(value), best.format, true).isValid()).length / values.length;
+        return share >= TYPE_THRESHOLD ? { format: best.format, share } : null;
+    }
+
+    /**
+     * Numeric summary with quantiles and IQR outliers
+     * @param {array} numbers - Numeric values
+     * @returns {object} Numeric profile
+     */
+    profileNumbers(numbers) {
+        if (numbers.length === 0) return {};
+
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const q1 = stats.quantileSorted(sorted, 0.25);
+        const q3 = stats.quantileSorted(sorted, 0.75);
+        const iqr = q3 - q1;
+        const lowerFence = q1 - 1.5 * iqr;
+        const upperFence = q3 + 1.5 * iqr;
+        const outliers = sorted.filter(number => number < lowerFence || number > upperFence);
+
+        return {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: stats.mean(sorted),
+            standardDeviation: stats.standardDeviation(sorted),
+            sum: stats.sum(sorted),
+            quantiles: {
+                p05: stats.quantileSorted(sorted, 0.05),
+                q1,
+                median: stats.quantileSorted(sorted, 0.5),
+                q3,
+                p95: stats.quantileSorted(sorted, 0.95)
+            },
+            outliers: {
+                method: 'iqr',
+                lowerFence,
+                upperFence,
+                count: outliers.length,
+                examples: [...outliers.slice(0, 3), ...outliers.slice(-3)].filter((v, i, a) => a.indexOf(v) === i)
+            },
+            histogram: this.buildHistogram(sorted)
+        };
+    }
+
+    /**
+     * Equal-width histogram (Sturges' rule, at most 20 bins)
+     * @param {array} sorted - Sorted numeric values
+     * @returns {array} Bins ({start, end, count})
+     */
+    buildHistogram(sorted) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+
+        if (min === max) {
+            return [{ start: min, end: max, count: sorted.length }];
+        }
+
+        const binCount = Math.min(20, Math.ceil(Math.log2(sorted.length)) + 1);
+        const width = (max - min) / binCount;
+        const bins = Array.from({ length: binCount }, (_, index) => ({
+            start: min + index * width,
+            end: index === binCount - 1 ? max : min + (index + 1) * width,
+            count: 0
+        }));
+
+        sorted.forEach(number => {
+            bins[Math.min(binCount - 1, Math.floor((number - min) / width))].count++;
+        });
+
+        return bins;
+    }
+
+    /**
+     * Most frequent values
+     * @param {Map} counts - Value counts
+     * @returns {array} Top values with counts
+     */
+    getTopValues(counts) {
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.topK)
+            .map(([value, count]) => ({ value, count }));
+    }
+
+    /**
+     * Most frequent value shapes (digits as 9, letters as A/a)
+     * @param {array} values - Non-null values
+     * @returns {array} Top patterns with counts
+     */
+    getPatterns(values) {
+        const patterns = new Map();
+
+        values.forEach(value => {
+            const pattern = String(value)
+                .substring(0, 30)
+                .replace(/[0-9]/g, '9')
+                .replace(/[A-Z]/g, 'A')
+                .replace(/[a-z]/g, 'a');
+            patterns.set(pattern, (patterns.get(pattern) || 0) + 1);
+        });
+
+        return [...patterns.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxPatterns)
+            .map(([pattern, count]) => ({ pattern, count }));
+    }
+
+    /**
+     * Build a Frictionless JSON Table Schema from column profiles
+     * @param {object} profiles - Column profiles
+     * @returns {object} Table Schema
+     */
+    buildTableSchema(profiles) {
+        const fields = Object.values(profiles).map(profile => {
+            const field = { name: profile.name, type: 'string' };
+
+            switch (profile.type) {
+                case 'integer':
+                case 'district_code':
+                    field.type = 'integer';
+                    break;
+                case 'decimal':
+                    field.type = 'number';
+                    break;
+                case 'boolean':
+                    field.type = 'boolean';
+                    field.trueValues = ['true', 'yes', 'y', 'True', 'Yes', 'Y', 'TRUE', 'YES'];
+                    field.falseValues = ['false', 'no', 'n', 'False', 'No', 'N', 'FALSE', 'NO'];
+                    break;
+                case 'date':
+                    field.type = 'date';
+                    field.format = toStrftime(profile.format);
+                    break;
+                case 'year':
+                    field.type = profile.format === 'YYYY' ? 'year' : 'string';
+                    break;
+                case 'categorical':
+                    field.constraints = { enum: profile.categories };
+                    break;
+                default:
+                    break;
+            }
+
+            if (['district_code', 'indian_state', 'categorical', 'year'].includes(profile.type)) {
+                field.semanticType = profile.type;
+            }
+
+            if (profile.nullCount === 0 && profile.nonNullCount > 0) {
+                field.constraints = { ...(field.constraints || {}), required: true };
+            }
+
+            return field;
+        });
+
+        // Table Schema matches missing values literally, so list the placeholders exactly as they appeared
+        const missingValues = new Set(['']);
+        Object.values(profiles).forEach(profile => (profile.missingValues || []).forEach(token => missingValues.add(token)));
+
+        return {
+            fields,
+            missingValues: [...missingValues]
+        };
+    }
+}
+
+/**
+ * Check for a missing-value placeholder such as NA, N/A or -
+ * @param {*} value - Trimmed value
+ * @returns {boolean} True if placeholder
+ */
+function isMissingValue(value) {
+    return typeof value === 'string' && MISSING_VALUES.includes(value.toLowerCase());
+}
+
+/**
+ * Check for an integer (plain or with Indian digit grouping)
+ * @param {*} value - Raw value
+ * @returns {boolean} True if integer
+ */
+function isInteger(value) {
+    return /^[-+]?(\d{1,3}(,\d{2,3})+|\d+)$/.test(String(value).trim());
+}
+
+/**
+ * Check for an Indian financial year such as 2019-20 or 2019-2020
+ * @param {*} value - Raw value
+ * @returns {boolean} True if financial year
+ */
+function isFinancialYear(value) {
+    const match = String(value).trim().match(/^(\d{4})\s*[-–/]\s*(\d{2}|\d{4})$/);
+    if (!match) return false;
+
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    return match[2].length === 2 ? (start + 1) % 100 === end : start + 1 === end;
+}
+
+/**
+ * Convert a moment date format to a strftime pattern for Table Schema
+ * @param {string} format - moment format
+ * @returns {string} strftime format
+ */
+function toStrftime(format) {
+    return String(format || '')
+        .replace('YYYY', '%Y')
+        .replace('YY', '%y')
+        .replace('MMMM', '%B')
+        .replace('MMM', '%b')
+        .replace('MM', '%m')
+        .replace('DD', '%d')
+        .replace('HH', '%H')
+        .replace('mm', '%M')
+        .replace('ss', '%S');
+}
+
+module.exports = DataProfiler;
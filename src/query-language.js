@@ -0,0 +1,476 @@
+/**
+ * Query Language Module
+ * Parses search queries (quoted phrases, AND/OR/NOT, field:value, ranges) into an AST and compiles it to escaped Solr q/fq
+ *
+ * Examples:
+ *   "crop production" AND (rice OR wheat)
+ *   organization:"ministry-of-agriculture" -tags:archive
+ *   modified:[2020 TO 2023-06] resources:>=3
+ */
+
+const moment = require('moment');
+const { escapeSolrTerm, escapeSolrPhrase, createError } = require('./utils');
+
+const MAX_QUERY_LENGTH = 500;
+
+// Queryable fields: Solr field and value type (text is analysed, keyword matches whole values)
+const FIELDS = {
+    title: { solr: 'title', type: 'text' },
+    description: { solr: 'notes', type: 'text' },
+    organization: { solr: 'organization', type: 'keyword' },
+    group: { solr: 'groups', type: 'keyword' },
+    tag: { solr: 'tags', type: 'keyword' },
+    format: { solr: 'res_format', type: 'keyword' },
+    license: { solr: 'license_id', type: 'keyword' },
+    name: { solr: 'name', type: 'keyword' },
+    modified: { solr: 'metadata_modified', type: 'date' },
+    created: { solr: 'metadata_created', type: 'date' },
+    resources: { solr: 'num_resources', type: 'integer' }
+};
+
+const FIELD_ALIASES = {
+    notes: 'description',
+    org: 'organization',
+    groups: 'group',
+    sector: 'group',
+    tags: 'tag',
+    res_format: 'format',
+    license_id: 'license',
+    metadata_modified: 'modified',
+    metadata_created: 'created',
+    num_resources: 'resources'
+};
+
+const DATE_FORMATS = { 4: ['YYYY', 'year'], 7: ['YYYY-MM', 'month'], 10: ['YYYY-MM-DD', 'day'] };
+
+/**
+ * Resolve a field name or alias
+ * @param {string} name - Field name as typed
+ * @returns {string|null} Canonical field name or null for unknown fields
+ */
+function resolveField(name) {
+    const key = String(name || '').toLowerCase();
+    if (FIELDS[key]) return key;
+    return FIELD_ALIASES[key] || null;
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {array} Tokens ({type, value, position})
+ */
+function lex(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const position = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position });
+            i++;
+        } else if (char === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) {
+                throw queryError('Unterminated quoted phrase', position);
+            }
+            i++;
+            tokens.push({ type: 'phrase', value, position });
+        } else if (char === '[' || char === '{') {
+            const end = text.slice(i).search(/[\]}]/);
+            if (end === -1) {
+                throw queryError('Unterminated range', position);
+            }
+            tokens.push({
+                type: 'range',
+                value: text.slice(i + 1, i + end).trim(),
+                includeFrom: char === '[',
+                includeTo: text[i + end] === ']',
+                position
+            });
+            i += end + 1;
+        } else if ((char === '-' || char === '!') && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+            tokens.push({ type: 'NOT', position });
+            i++;
+        } else if (text.startsWith('&&', i) || text.startsWith('||', i)) {
+            tokens.push({ type: char === '&' ? 'AND' : 'OR', position });
+            i += 2;
+        } else {
+            let word = '';
+            while (i < text.length && !/[\s()"]/.test(text[i]) && !(/[[{]/.test(text[i]) && word.endsWith(':'))) {
+                word += text[i++];
+            }
+
+            const fieldMatch = word.match(/^([A-Za-z_]+):(.*)$/s);
+            if (['AND', 'OR', 'NOT'].includes(word)) {
+                tokens.push({ type: word, position });
+            } else if (fieldMatch && resolveField(fieldMatch[1])) {
+                tokens.push({ type: 'field', value: resolveField(fieldMatch[1]), position });
+                if (fieldMatch[2]) {
+                    tokens.push({ type: 'word', value: fieldMatch[2], position: position + fieldMatch[1].length + 1 });
+                }
+            } else {
+                // Unknown "field:" prefixes are ordinary words (e.g. times or URLs)
+                tokens.push({ type: 'word', value: word, position });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a query into an AST
+ * Node types: term/phrase ({value, field}), range ({field, from, to, includeFrom, includeTo}),
+ * and/or ({children}) and not ({child}); field is null for free text
+ * @param {string} text - Query text
+ * @returns {object|null} AST, or null for an empty query
+ */
+function parseQuery(text) {
+    const query = String(text || '').normalize('NFC').trim();
+    if (query === '') {
+        return null;
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw queryError(`Query is too long (maximum ${MAX_QUERY_LENGTH} characters)`, MAX_QUERY_LENGTH);
+    }
+
+    const tokens = lex(query);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const startsOperand = (token) => token && ['word', 'phrase', 'range', 'field', '(', 'NOT'].includes(token.type);
+
+    const parseOr = (field) => {
+        const children = [parseAnd(field)];
+        while (peek()?.type === 'OR') {
+            index++;
+            children.push(parseAnd(field));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    // Adjacent operands are ANDed, as with Solr's default operator on data.gov.in
+    const parseAnd = (field) => {
+        const children = [parseUnary(field)];
+        while (peek()?.type === 'AND' || startsOperand(peek())) {
+            if (peek().type === 'AND') index++;
+            children.push(parseUnary(field));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = (field) => {
+        if (peek()?.type === 'NOT') {
+            index++;
+            return { type: 'not', child: parseUnary(field) };
+        }
+        return parsePrimary(field);
+    };
+
+    const parsePrimary = (field) => {
+        const token = tokens[index++];
+
+        if (!token) {
+            throw queryError('Unexpected end of query', query.length);
+        }
+
+        switch (token.type) {
+            case '(': {
+                const node = parseOr(field);
+                if (peek()?.type !== ')') {
+                    throw queryError('Missing closing parenthesis', token.position);
+                }
+                index++;
+                return node;
+            }
+            case 'field':
+                if (field) {
+                    throw queryError(`Field "${token.value}" cannot be nested inside field "${field}"`, token.position);
+                }
+                if (!['word', 'phrase', 'range', '('].includes(peek()?.type)) {
+                    throw queryError(`Missing value for field "${token.value}"`, token.position);
+                }
+                return parsePrimary(token.value);
+            case 'phrase':
+                return isRangeField(field) ? parseValue(field, token.value, token.position) : { type: 'phrase', value: token.value, field };
+            case 'word':
+                return isRangeField(field) ? parseValue(field, token.value, token.position) : { type: 'term', value: token.value, field };
+            case 'range':
+                return parseRange(field, token);
+            default:
+                throw queryError(`Unexpected "${token.type === ')' ? ')' : token.type}"`, token.position);
+        }
+    };
+
+    const ast = parseOr(null);
+
+    if (index < tokens.length) {
+        throw queryError(`Unexpected "${tokens[index].type === ')' ? ')' : tokens[index].value || tokens[index].type}"`, tokens[index].position);
+    }
+
+    return ast;
+}
+
+/**
+ * Check whether a field takes ranges (dates and counts)
+ * @param {string} field - Canonical field name
+ * @returns {boolean} True for date and integer fields
+ */
+function isRangeField(field) {
+    return Boolean(field) && ['date', 'integer'].includes(FIELDS[field].type);
+}
+
+/**
+ * Parse a single value or comparison (>2020, <=5) on a date/count field into a range
+ * @param {string} field - Canonical field name
+ * @param {string} value - Value as typed
+ * @param {number} position - Position in the query
+ * @returns {object} Range node
+ */
+function parseValue(field, value, position) {
+    const match = String(value).match(/^(>=|<=|>|<)?(.+)$/);
+    const operator = match[1];
+    const bound = parseBound(field, match[2], position);
+
+    if (!bound) {
+        throw queryError(`"*" needs a range, e.g. ${field}:[* TO ...]`, position);
+    }
+
+    switch (operator) {
+        case '>': return { type: 'range', field, from: bound.end, to: null, includeFrom: false, includeTo: true };
+        case '>=': return { type: 'range', field, from: bound.start, to: null, includeFrom: true, includeTo: true };
+        case '<': return { type: 'range', field, from: null, to: bound.start, includeFrom: true, includeTo: false };
+        case '<=': return { type: 'range', field, from: null, to: bound.end, includeFrom: true, includeTo: true };
+        default: return { type: 'range', field, from: bound.start, to: bound.end, includeFrom: true, includeTo: true };
+    }
+}
+
+/**
+ * Parse a [from TO to] range token
+ * @param {string} field - Canonical field name
+ * @param {object} token - Range token
+ * @returns {object} Range node
+ */
+function parseRange(field, token) {
+    if (!isRangeField(field)) {
+        throw queryError('Ranges need a date or count field, e.g. modified:[2020 TO 2023] or resources:[2 TO *]', token.position);
+    }
+
+    const parts = token.value.split(/\s+TO\s+/);
+    if (parts.length !== 2) {
+        throw queryError('Ranges are written [from TO to]', token.position);
+    }
+
+    const from = parseBound(field, parts[0].trim(), token.position);
+    const to = parseBound(field, parts[1].trim(), token.position);
+
+    return {
+        type: 'range',
+        field,
+        // An exclusive lower bound starts after the whole period; an exclusive upper bound ends before it
+        from: from ? (token.includeFrom ? from.start : from.end) : null,
+        to: to ? (token.includeTo ? to.end : to.start) : null,
+        includeFrom: token.includeFrom,
+        includeTo: token.includeTo
+    };
+}
+
+/**
+ * Parse one range bound
+ * Dates may be a year, month or day and cover the whole period (2020 = 2020-01-01 to 2020-12-31)
+ * @param {string} field - Canonical field name
+ * @param {string} value - Bound as typed ('*' for open)
+ * @param {number} position - Position in the query
+ * @returns {object|null} Bound ({start, end}) or null when open
+ */
+function parseBound(field, value, position) {
+    if (value === '*') {
+        return null;
+    }
+
+    if (FIELDS[field].type === 'integer') {
+        if (!/^\d+$/.test(value)) {
+            throw queryError(`"${value}" is not a whole number for field "${field}"`, position);
+        }
+        const number = parseInt(value, 10);
+        return { start: number, end: number };
+    }
+
+    const format = DATE_FORMATS[value.length];
+    const date = format ? moment.utc(value, format[0], true) : null;
+    if (!date || !date.isValid()) {
+        throw queryError(`"${value}" is not a date (YYYY, YYYY-MM or YYYY-MM-DD) for field "${field}"`, position);
+    }
+
+    return {
+        start: date.clone().startOf(format[1]).toISOString(),
+        end: date.clone().endOf(format[1]).toISOString()
+    };
+}
+
+/**
+ * Compile an AST to Solr parameters
+ * Top-level conjuncts without free text become filter queries (cached by Solr, no effect on scores)
+ * @param {object|null} ast - Parsed query
+ * @param {object} options - Compile options ({textFields}: fields searched by free text, null for the default fields)
+ * @returns {object} Solr parameters ({q, fq}); fq is null when there are no filters
+ */
+function compileQuery(ast, options = {}) {
+    if (!ast) {
+        return { q: '*:*', fq: null };
+    }
+
+    const textFields = options.textFields || [null];
+
+    // Plain keywords keep CKAN's relevance ranking: without a colon CKAN uses dismax, which matches most of the terms
+    if (isPlainText(ast)) {
+        const text = (ast.type === 'and' ? ast.children : [ast]).map(node => escapeSolrTerm(node.value)).join(' ');
+        const clauses = textFields.map(field => field ? `${field}:(${text})` : textFields.length > 1 ? `(${text})` : text);
+        return { q: clauses.join(' OR '), fq: null };
+    }
+
+    // Dismax ignores AND/OR/NOT, so structured free text addresses CKAN's catch-all text field to get the standard parser
+    const structuredFields = textFields.map(field => field || 'text');
+    const conjuncts = ast.type === 'and' ? ast.children : [ast];
+    const scored = conjuncts.filter(hasFreeText);
+    const filters = conjuncts.filter(node => !hasFreeText(node));
+
+    return {
+        q: compileConjunction(scored, structuredFields) || '*:*',
+        fq: compileConjunction(filters, structuredFields) || null
+    };
+}
+
+/**
+ * Compile ANDed nodes (a purely negative conjunction is anchored on *:*)
+ * @param {array} nodes - AST nodes
+ * @param {array} textFields - Free-text fields
+ * @returns {string} Solr clause, empty for no nodes
+ */
+function compileConjunction(nodes, textFields) {
+    if (nodes.length === 0) {
+        return '';
+    }
+
+    const parts = nodes.map(node => node.type === 'not'
+        ? `NOT ${compileNode(node.child, textFields)}`
+        : compileNode(node, textFields));
+
+    if (nodes.every(node => node.type === 'not')) {
+        parts.unshift('*:*');
+    }
+
+    return parts.join(' AND ');
+}
+
+/**
+ * Compile one AST node
+ * @param {object} node - AST node
+ * @param {array} textFields - Free-text fields
+ * @returns {string} Solr clause
+ */
+function compileNode(node, textFields) {
+    switch (node.type) {
+        case 'and':
+            return `(${compileConjunction(node.children, textFields)})`;
+        case 'or':
+            return `(${node.children.map(child => compileNode(child, textFields)).join(' OR ')})`;
+        case 'not':
+            return `(*:* NOT ${compileNode(node.child, textFields)})`;
+        case 'range':
+            return `${FIELDS[node.field].solr}:${node.includeFrom ? '[' : '{'}${node.from ?? '*'} TO ${node.to ?? '*'}${node.includeTo ? ']' : '}'}`;
+        default: {
+            if (node.field) {
+                const definition = FIELDS[node.field];
+                const value = definition.type === 'keyword' || node.type === 'phrase'
+                    ? `"${escapeSolrPhrase(node.value)}"`
+                    : escapeSolrTerm(node.value);
+                return `${definition.solr}:${value}`;
+            }
+
+            const value = node.type === 'phrase' ? `"${escapeSolrPhrase(node.value)}"` : escapeSolrTerm(node.value);
+            const clauses = textFields.map(field => field ? `${field}:${value}` : value);
+            return clauses.length === 1 ? clauses[0] : `(${clauses.join(' OR ')})`;
+        }
+    }
+}
+
+/**
+ * Check whether a node contains free text (unfielded terms or phrases)
+ * @param {object} node - AST node
+ * @returns {boolean} True when free text is present
+ */
+function hasFreeText(node) {
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            return node.children.some(hasFreeText);
+        case 'not':
+            return hasFreeText(node.child);
+        case 'range':
+            return false;
+        default:
+            return !node.field;
+    }
+}
+
+/**
+ * Check whether a query is plain keywords (free-text terms joined by AND), i.e. a natural-language question
+ * @param {object|null} ast - Parsed query
+ * @returns {boolean} True for plain keyword queries
+ */
+function isPlainText(ast) {
+    if (!ast) return false;
+    const nodes = ast.type === 'and' ? ast.children : [ast];
+    return nodes.every(node => node.type === 'term' && !node.field);
+}
+
+/**
+ * Collect the free text a query asks for (negated parts excluded), for ranking
+ * @param {object|null} ast - Parsed query
+ * @returns {string} Free-text terms and phrases joined by spaces
+ */
+function extractText(ast) {
+    if (!ast) return '';
+
+    switch (ast.type) {
+        case 'and':
+        case 'or':
+            return ast.children.map(extractText).filter(Boolean).join(' ');
+        case 'not':
+        case 'range':
+            return '';
+        default:
+            return ast.field ? '' : ast.value;
+    }
+}
+
+/**
+ * Create a query syntax error
+ * @param {string} message - Error message
+ * @param {number} position - Character position in the query
+ * @returns {object} Error object
+ */
+function queryError(message, position) {
+    return createError(`Invalid query: ${message} (at character ${position + 1})`, 'INVALID_QUERY', { position });
+}
+
+module.exports = {
+    FIELDS,
+    resolveField,
+    parseQuery,
+    compileQuery,
+    hasFreeText,
+    isPlainText,
+    extractText
+};
@@ -0,0 +1,127 @@
+/**
+ * Record Extraction Module
+ * Emits every parsed record as a dataset item with provenance fields
+ */
+
+const { Actor } = require('apify');
+
+class RecordExtractor {
+    constructor(config = {}) {
+        this.enabled = config.enabled || false;
+        this.target = config.target === 'named' ? 'named' : 'default';
+        this.datasetPrefix = config.datasetPrefix || 'resource';
+        this.batchSize = config.batchSize || 500;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Open a writer for the records of one resource table
+     * @param {object} context - Provenance context ({datasetId, resourceId, table}) and optional batchSize
+     * @returns {Promise<RecordWriter>} Record writer
+     */
+    async open(context = {}) {
+        let storage = null;
+        let datasetName = null;
+
+        if (this.target === 'named') {
+            datasetName = this.getDatasetName(context.resourceId);
+            storage = await Actor.openDataset(datasetName);
+        }
+
+        return new RecordWriter(storage, {
+            ...context,
+            target: this.target,
+            datasetName,
+            batchSize: context.batchSize || this.batchSize
+        });
+    }
+
+    /**
+     * Build a named dataset name for a resource (a-z, 0-9 and '-', max 63 chars)
+     * @param {string} resourceId - Resource ID
+     * @returns {string} Dataset name
+     */
+    getDatasetName(resourceId) {
+        const slug = `${this.datasetPrefix}-${resourceId || 'unknown'}`
+            .toLowerCase()
+            .replace(/[^a-z0-9-]+/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '');
+
+        return slug.substring(0, 63);
+    }
+}
+
+/**
+ * Buffered writer that adds provenance and pushes records in batches
+ */
+class RecordWriter {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.datasetId = options.datasetId || null;
+        this.resourceId = options.resourceId || null;
+        this.table = options.table || null;
+        this.target = options.target;
+        this.datasetName = options.datasetName;
+        this.batchSize = options.batchSize;
+        this.retrievedAt = new Date().toISOString();
+        this.rowNumber = 0;
+        this.batch = [];
+    }
+
+    /**
+     * Add records, flushing full batches
+     * @param {array} records - Records to write
+     */
+    async write(records) {
+        for (const record of records) {
+            this.rowNumber++;
+
+            this.batch.push({
+                _datasetId: this.datasetId,
+                _resourceId: this.resourceId,
+                ...(this.table ? { _table: this.table } : {}),
+                _rowNumber: this.rowNumber,
+                _retrievedAt: this.retrievedAt,
+                ...record
+            });
+
+            if (this.batch.length >= this.batchSize) {
+                await this.flush();
+            }
+        }
+    }
+
+    /**
+     * Push buffered records
+     */
+    async flush() {
+        if (this.batch.length === 0) return;
+
+        const batch = this.batch;
+        this.batch = [];
+
+        if (this.storage) {
+            await this.storage.pushData(batch);
+        } else {
+            await Actor.pushData(batch);
+        }
+    }
+
+    /**
+     * Flush remaining records and summarise the extraction
+     * @returns {Promise<object>} Extraction summary
+     */
+    async close() {
+        await this.flush();
+
+        return {
+            table: this.table,
+            target: this.target,
+            datasetName: this.datasetName,
+            itemCount: this.rowNumber
+        };
+    }
+}
+
+module.exports = RecordExtractor;
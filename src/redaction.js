@@ -0,0 +1,309 @@
+/**
+ * Redaction Module
+ * Applies per-detector policies (drop column, mask, partial mask, salted-hash pseudonym, generalise) to the columns
+ * a PII scan flagged, before records leave the actor
+ */
+
+const crypto = require('crypto');
+const { DETECTORS, detectPII } = require('./pii-detectors');
+
+const ACTIONS = ['keep', 'drop', 'mask', 'partial', 'hash', 'generalise'];
+
+// Policies by identifier type and quasi-identifier kind (anything not listed is kept)
+const DEFAULT_POLICIES = {
+    aadhaar: 'mask',
+    pan: 'mask',
+    voter_id: 'mask',
+    passport: 'mask',
+    mobile: 'partial',
+    bank_account: 'partial',
+    email: 'hash',
+    person_name: 'hash',
+    ifsc: 'keep',
+    gstin: 'keep',
+    date_of_birth: 'generalise',
+    age: 'generalise',
+    postal_code: 'generalise'
+};
+
+class Redactor {
+    constructor(config = {}) {
+        this.enabled = config.enabled || false;
+        this.policies = { ...DEFAULT_POLICIES, ...this.validatePolicies(config.policies || {}) };
+        this.ageBandSize = config.ageBandSize || 10;
+        this.minConfidence = config.minConfidence || 'medium';
+        this.debugMode = config.debugMode || false;
+
+        // Identifier types replaced in free text (text resources, fields around JSON record arrays)
+        this.textTypes = DETECTORS.map(detector => detector.type).filter(type => (this.policies[type] || 'keep') !== 'keep');
+
+        // Pseudonyms are only stable across runs with a configured salt
+        this.saltSource = config.salt ? 'configured' : 'random';
+        this.salt = config.salt || crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Keep only known actions from user policies
+     * @param {object} policies - Policies by identifier type or quasi-identifier kind
+     * @returns {object} Valid policies
+     */
+    validatePolicies(policies) {
+        return Object.fromEntries(Object.entries(policies).filter(([type, action]) => {
+            if (ACTIONS.includes(action)) return true;
+            console.log(`⚠️  Ignoring redaction policy ${type}: '${action}' (use ${ACTIONS.join(', ')})`);
+            return false;
+        }));
+    }
+
+    /**
+     * Plan the redaction of a table from its PII scan
+     * Identifier and quasi-identifier columns are transformed value by value; other columns where the scan found
+     * identifiers have just the matched spans replaced
+     * @param {object} scan - PII scan report ({table, columns})
+     * @returns {object|null} Redaction plan ({table, columns}) or null when nothing needs redacting
+     */
+    planTable(scan) {
+        if (!this.enabled || !scan) {
+            return null;
+        }
+
+        const columns = [];
+
+        scan.columns.forEach(column => {
+            const reason = column.primaryType || column.quasiIdentifier?.kind;
+            const action = reason ? this.policies[reason] || 'keep' : 'keep';
+
+            if (action !== 'keep') {
+                columns.push({ column: column.column, reason, action, mode: 'column', valuesRedacted: 0 });
+                return;
+            }
+
+            const types = column.detections
+                .map(detection => detection.type)
+                .filter(type => type !== 'person_name' && (this.policies[type] || 'keep') !== 'keep');
+
+            if (types.length > 0) {
+                columns.push({ column: column.column, reason: types.join(','), types, action: 'span', mode: 'span', valuesRedacted: 0 });
+            }
+        });
+
+        return columns.length > 0 ? { table: scan.table, columns } : null;
+    }
+
+    /**
+     * Plan the redaction of a free-text column, which has no column-level scan: every identifier span is replaced
+     * @param {string} table - Table name or null
+     * @param {string} column - Column holding the text
+     * @returns {object|null} Redaction plan ({table, columns}) or null when redaction is off
+     */
+    planText(table, column) {
+        if (!this.enabled || this.textTypes.length === 0) {
+            return null;
+        }
+
+        return {
+            table,
+            columns: [{ column, reason: 'free_text', types: this.textTypes, action: 'span', mode: 'span', valuesRedacted: 0 }]
+        };
+    }
+
+    /**
+     * Replace the identifier spans in every string of a JSON value
+     * @param {*} value - JSON value
+     * @param {object} counter - Counter ({valuesRedacted}) incremented for each changed string
+     * @param {string} key - Key holding the value, used as detection context (optional)
+     * @returns {*} Redacted copy of the value
+     */
+    redactTree(value, counter, key = null) {
+        if (typeof value === 'string') {
+            const redacted = this.redactSpans(value, { column: key, types: this.textTypes });
+            if (redacted !== value) counter.valuesRedacted++;
+            return redacted;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactTree(item, counter, key));
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redactTree(item, counter, name)]));
+        }
+
+        return value;
+    }
+
+    /**
+     * Apply a redaction plan to records in place
+     * @param {object} plan - Redaction plan
+     * @param {array} records - Records to redact
+     */
+    applyPlan(plan, records) {
+        if (!plan) return;
+
+        for (const record of records) {
+            if (!record) continue;
+
+            plan.columns.forEach(entry => {
+                if (!(entry.column in record)) return;
+
+                const value = record[entry.column];
+
+                if (entry.action === 'drop') {
+                    delete record[entry.column];
+                    entry.valuesRedacted++;
+                    return;
+                }
+
+                if (value === null || value === undefined || String(value).trim() === '') return;
+
+                const redacted = entry.mode === 'span'
+                    ? this.redactSpans(value, entry)
+                    : this.redactValue(value, entry.action, entry.reason);
+
+                if (redacted !== value) {
+                    record[entry.column] = redacted;
+                    entry.valuesRedacted++;
+                }
+            });
+        }
+    }
+
+    /**
+     * Summarize an applied redaction plan
+     * @param {object} plan - Redaction plan
+     * @returns {object} Redaction summary ({table, columns, droppedColumns, valuesRedacted, saltSource})
+     */
+    summarize(plan) {
+        return {
+            table: plan.table,
+            columns: plan.columns.map(({ column, reason, action, valuesRedacted }) => ({ column, reason, action, valuesRedacted })),
+            droppedColumns: plan.columns.filter(entry => entry.action === 'drop').map(entry => entry.column),
+            valuesRedacted: plan.columns.reduce((sum, entry) => sum + entry.valuesRedacted, 0),
+            ...(plan.columns.some(entry => entry.action === 'hash' || entry.types?.some(type => this.policies[type] === 'hash'))
+                ? { saltSource: this.saltSource }
+                : {})
+        };
+    }
+
+    /**
+     * Replace the identifier spans inside a free-text value
+     * @param {*} value - Cell value
+     * @param {object} entry - Plan entry ({column, types})
+     * @returns {string} Value with spans redacted by their type's policy (drop and generalise mask the span)
+     */
+    redactSpans(value, entry) {
+        const text = String(value);
+        const findings = detectPII(text, { context: entry.column, types: entry.types, minConfidence: this.minConfidence });
+        if (findings.length === 0) return value;
+
+        let redacted = '';
+        let offset = 0;
+        findings.forEach(finding => {
+            const action = this.policies[finding.type];
+            const replacement = ['drop', 'generalise'].includes(action)
+                ? this.mask(finding.value)
+                : this.redactValue(finding.value, action, finding.type);
+            redacted += text.slice(offset, finding.start) + replacement;
+            offset = finding.end;
+        });
+
+        return redacted + text.slice(offset);
+    }
+
+    /**
+     * Redact one value
+     * @param {*} value - Value
+     * @param {string} action - mask, partial, hash or generalise
+     * @param {string} type - Identifier type or quasi-identifier kind
+     * @returns {*} Redacted value
+     */
+    redactValue(value, action, type) {
+        switch (action) {
+            case 'mask':
+                return this.mask(value);
+            case 'partial':
+                return this.partialMask(value);
+            case 'hash':
+                return this.pseudonymise(value, type);
+            case 'generalise':
+                return this.generalise(value, type);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Mask every letter and digit
+     * @param {*} value - Value
+     * @returns {string} Masked value (separators kept; emails become a fixed placeholder)
+     */
+    mask(value) {
+        const text = String(value);
+        return text.includes('@') ? 'email@redacted.com' : text.replace(/[A-Za-z0-9ऀ-ॿ]/g, 'X');
+    }
+
+    /**
+     * Mask all but the last 4 letters and digits
+     * @param {*} value - Value
+     * @returns {string} Partially masked value (e.g. XXXX XXXX 0124)
+     */
+    partialMask(value) {
+        const text = String(value);
+        let keep = 4;
+
+        return text
+            .split('')
+            .reverse()
+            .map(char => {
+                if (!/[A-Za-z0-9ऀ-ॿ]/.test(char)) return char;
+                return keep-- > 0 ? char : 'X';
+            })
+            .reverse()
+            .join('');
+    }
+
+    /**
+     * Replace a value with a salted-hash pseudonym (equal values map to equal pseudonyms, so joins still work)
+     * @param {*} value - Value
+     * @param {string} type - Identifier type (part of the hash input and prefix)
+     * @returns {string} Pseudonym such as email_3fa9c1d2e4b5a6f7
+     */
+    pseudonymise(value, type) {
+        const normalized = String(value).trim().replace(/\s+/g, ' ').toUpperCase();
+        const digest = crypto.createHmac('sha256', this.salt).update(`${type}:${normalized}`).digest('hex');
+
+        return `${type}_${digest.slice(0, 16)}`;
+    }
+
+    /**
+     * Generalise a quasi-identifier (age to an age band, date of birth to its year, PIN code to its sorting district)
+     * @param {*} value - Value
+     * @param {string} kind - Quasi-identifier kind or identifier type
+     * @returns {string} Generalised value (masked when the kind has no generalisation or the value does not parse)
+     */
+    generalise(value, kind) {
+        const text = String(value).trim();
+
+        if (kind === 'age') {
+            const age = parseFloat(text);
+            if (!isNaN(age) && age >= 0) {
+                const lower = Math.floor(age / this.ageBandSize) * this.ageBandSize;
+                return `${lower}-${lower + this.ageBandSize - 1}`;
+            }
+        }
+
+        if (kind === 'date_of_birth') {
+            const year = text.match(/(?<!\d)(19|20)\d{2}(?!\d)/);
+            if (year) return year[0];
+        }
+
+        // The first three PIN digits identify the postal sorting district
+        if (kind === 'postal_code' && /^[1-9]\d{2}\s?\d{3}$/.test(text)) {
+            return `${text.slice(0, 3)}XXX`;
+        }
+
+        return this.mask(value);
+    }
+}
+
+module.exports = Redactor;
@@ -0,0 +1,244 @@
+/**
+ * Indian Geography Reference
+ * Lookup of states/UTs (by LGD code, canonical English or Hindi name, or common variant spelling) and their districts
+ * (by name, variant spelling or LGD code)
+ */
+
+const STATES = require('./states.json');
+const DISTRICTS = require('./districts.json');
+
+// Column names that hold state or district values
+const STATE_COLUMN_PATTERN = /state|(^|[^a-z])ut([^a-z]|$)|province|राज्य/i;
+const DISTRICT_COLUMN_PATTERN = /district|(^|[^a-z])dist([^a-z]|$)|zila|zilla|ज़?िल[ाे]/i;
+
+// Summary rows that are not places ("All India", "Total", ...)
+const AGGREGATE_LABELS = new Set(['all india', 'india', 'total', 'grand total', 'sub total', 'subtotal', 'total india', 'all states', 'all districts', 'all']);
+
+/**
+ * Normalize a place name for matching
+ * @param {string} value - Raw name
+ * @returns {string} Lowercase name with '&' as 'and', punctuation and nukta removed, and Hindi 'एवं'/'तथा' as 'और'
+ */
+function normalizePlaceName(value) {
+    return String(value || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/़/g, '')
+        .replace(/[^a-z0-9ऀ-ॿ]+/g, ' ')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/ (एवं|तथा) /g, ' और ');
+}
+
+/**
+ * Normalize a district name, dropping "District"/"Dist." prefixes and suffixes
+ * @param {string} value - Raw name
+ * @returns {string} Normalized district name
+ */
+function normalizeDistrictName(value) {
+    return normalizePlaceName(value)
+        .replace(/^(district|dist|zila|zilla) /, '')
+        .replace(/ (district|dist|zila|zilla)$/, '');
+}
+
+/**
+ * Key ignoring spaces, so "Son Bhadra" matches "Sonbhadra"
+ * @param {string} name - Normalized name
+ * @returns {string} Compact key
+ */
+function compactKey(name) {
+    return name.replace(/ /g, '');
+}
+
+const stateIndex = new Map();
+STATES.forEach(state => {
+    [state.name, state.nameHi, ...state.aliases].filter(Boolean).forEach(name => {
+        const normalized = normalizePlaceName(name);
+        stateIndex.set(normalized, state);
+        stateIndex.set(compactKey(normalized), state);
+    });
+});
+
+// District names repeat across states (Aurangabad, Bilaspur, Hamirpur), so each key maps to a list
+const districtIndex = new Map();
+const districtCodeIndex = new Map();
+
+/**
+ * Add a district to the name and LGD code indexes
+ * @param {object} district - District ({state, name, aliases, code})
+ */
+function indexDistrict(district) {
+    const keys = new Set([district.name, ...district.aliases].flatMap(name => {
+        const normalized = normalizeDistrictName(name);
+        return [normalized, compactKey(normalized)];
+    }));
+
+    keys.forEach(key => {
+        if (!districtIndex.has(key)) districtIndex.set(key, []);
+        if (!districtIndex.get(key).includes(district)) districtIndex.get(key).push(district);
+    });
+
+    if (district.code) districtCodeIndex.set(district.code, district);
+}
+
+DISTRICTS.forEach(indexDistrict);
+
+// State names and long aliases for finding a state inside longer text (abbreviations such as "UP" are too ambiguous)
+const stateMentions = STATES
+    .flatMap(state => [state.name, state.nameHi, ...state.aliases]
+        .filter(Boolean)
+        .map(name => ({ key: ` ${normalizePlaceName(name)} `, state }))
+        .filter(mention => mention.key.trim().length >= 4))
+    .sort((a, b) => b.key.length - a.key.length);
+
+/**
+ * Find a state/UT by name, variant spelling or LGD code
+ * @param {string|number} value - State name or code
+ * @returns {object|null} State ({code, name, nameHi, aliases}) or null
+ */
+function findState(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = String(value).trim();
+    if (/^\d{1,2}$/.test(text)) {
+        return STATES.find(state => state.code === parseInt(text, 10)) || null;
+    }
+
+    const normalized = normalizePlaceName(text);
+    return stateIndex.get(normalized) || stateIndex.get(compactKey(normalized)) || null;
+}
+
+/**
+ * Find the districts a name or variant spelling may refer to
+ * @param {string} value - District name
+ * @param {object|string|number} state - State (object, name or code) to restrict the match to (optional)
+ * @returns {array} Matching districts ({state, name, aliases, code})
+ */
+function findDistrictCandidates(value, state = null) {
+    if (value === null || value === undefined || value === '') return [];
+
+    const normalized = normalizeDistrictName(value);
+    const candidates = districtIndex.get(normalized) || districtIndex.get(compactKey(normalized)) || [];
+
+    if (!state) return candidates;
+
+    const stateCode = typeof state === 'object' ? state.code : findState(state)?.code;
+    return stateCode ? candidates.filter(district => district.state === stateCode) : [];
+}
+
+/**
+ * Find a district by its LGD code
+ * @param {string|number} value - District LGD code
+ * @param {object|string|number} state - State (object, name or code) the district must belong to (optional)
+ * @returns {object|null} District ({state, name, aliases, code}) or null
+ */
+function findDistrictByCode(value, state = null) {
+    const text = String(value ?? '').trim();
+    if (!/^\d{1,4}(\.0+)?$/.test(text)) return null;
+
+    const district = districtCodeIndex.get(parseInt(text, 10)) || null;
+    if (!district || !state) return district;
+
+    const stateCode = typeof state === 'object' ? state.code : findState(state)?.code;
+    return district.state === stateCode ? district : null;
+}
+
+/**
+ * Add LGD district codes from an LGD directory export ("State Code", "District Code", "District Name (In English)")
+ * Rows are matched to bundled districts by state and name (their codes replace bundled ones); districts the bundled
+ * reference lacks are added
+ * @param {array} rows - Export rows
+ * @returns {object} Load summary ({rows, matched, added, skipped})
+ */
+function loadDistrictCodes(rows) {
+    const summary = { rows: rows.length, matched: 0, added: 0, skipped: 0 };
+
+    rows.forEach(row => {
+        const fields = Object.fromEntries(Object.entries(row || {}).map(([key, value]) => [key.toLowerCase().replace(/[^a-z0-9]/g, ''), value]));
+        const state = findState(fields.statecode ?? fields.statelgdcode ?? fields.state);
+        const code = parseInt(fields.districtcode ?? fields.districtlgdcode ?? fields.code, 10);
+        const name = String(fields.districtnameinenglish ?? fields.districtname ?? fields.name ?? '').trim();
+
+        if (!state || !code || !name) {
+            summary.skipped++;
+            return;
+        }
+
+        const existing = findDistrictCandidates(name, state)[0];
+        if (existing) {
+            // Codes from the export override bundled ones
+            if (existing.code && existing.code !== code) districtCodeIndex.delete(existing.code);
+            existing.code = code;
+            districtCodeIndex.set(code, existing);
+            summary.matched++;
+        } else {
+            const district = { state: state.code, name, aliases: [], code };
+            DISTRICTS.push(district);
+            indexDistrict(district);
+            summary.added++;
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * Find a district by name or variant spelling
+ * @param {string} value - District name
+ * @param {object|string|number} state - State (object, name or code) to restrict the match to (optional)
+ * @returns {object|null} District ({state, name, aliases, code}), or null when unknown or ambiguous across states
+ */
+function findDistrict(value, state = null) {
+    const candidates = findDistrictCandidates(value, state);
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Find the state/UT named in a longer text, such as an organization title
+ * @param {string} text - Text
+ * @returns {object|null} State, or null when no state is named
+ */
+function findStateInText(text) {
+    const normalized = ` ${normalizePlaceName(text)} `;
+    return stateMentions.find(mention => normalized.includes(mention.key))?.state || null;
+}
+
+/**
+ * Classify a government organization as a state or central body from its name or title
+ * ("Department of Agriculture, Punjab" is state; "Ministry of Agriculture and Farmers Welfare" is central)
+ * @param {...string} names - Organization name and/or title
+ * @returns {object} Jurisdiction ({jurisdiction: 'state'|'central', state})
+ */
+function classifyJurisdiction(...names) {
+    const state = names.filter(Boolean).map(name => findStateInText(String(name).replace(/[-_]+/g, ' '))).find(Boolean);
+    return state
+        ? { jurisdiction: 'state', state: state.name }
+        : { jurisdiction: 'central', state: null };
+}
+
+/**
+ * Check whether a value is a summary label rather than a place
+ * @param {string} value - Raw value
+ * @returns {boolean} True for labels such as "All India" or "Total"
+ */
+function isAggregateLabel(value) {
+    return AGGREGATE_LABELS.has(normalizePlaceName(value));
+}
+
+module.exports = {
+    STATES,
+    DISTRICTS,
+    STATE_COLUMN_PATTERN,
+    DISTRICT_COLUMN_PATTERN,
+    normalizePlaceName,
+    normalizeDistrictName,
+    findState,
+    findDistrict,
+    findDistrictCandidates,
+    findDistrictByCode,
+    loadDistrictCodes,
+    findStateInText,
+    classifyJurisdiction,
+    isAggregateLabel
+};
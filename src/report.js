@@ -0,0 +1,568 @@
+/**
+ * Report Generator
+ * Writes a self-contained HTML summary of an analyze run to the key-value store
+ */
+
+const { Actor } = require('apify');
+
+const STYLES = `
+body { font-family: "DejaVu Sans", Arial, Helvetica, sans-serif; color: #222; margin: 0; background: #f5f6f8; }
+main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+header.run { background: #13294b; color: #fff; padding: 24px; }
+header.run h1 { margin: 0 0 8px; }
+section.dataset, section.run-section { background: #fff; border-radius: 6px; padding: 20px 24px; margin: 24px 0; box-shadow: 0 1px 3px rgba(0,0,0,.12); }
+h2 { margin-top: 0; }
+h3 { border-bottom: 1px solid #e2e2e2; padding-bottom: 4px; margin-top: 28px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f2f5; }
+.muted { color: #666; }
+.badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; color: #fff; }
+.good { background: #2ca02c; } .fair { background: #bcbd22; } .poor { background: #ff7f0e; } .bad { background: #d62728; } .info { background: #1f77b4; }
+.charts { display: flex; flex-wrap: wrap; gap: 12px; }
+.charts figure { margin: 0; flex: 1 1 480px; }
+.charts svg { width: 100%; height: auto; border: 1px solid #eee; }
+blockquote { margin: 8px 0; padding: 8px 12px; background: #f7f7f7; border-left: 4px solid #13294b; }
+`;
+
+class ReportGenerator {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.key = config.key || 'REPORT';
+        this.title = config.title || 'DataGovIN Sentinel Analysis Report';
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Render the run report and store it as <key>.html
+     * @param {array} results - Analyze-mode results (before output options are applied)
+     * @param {object} context - Run context ({metadata, query, statistics, complianceReport})
+     * @returns {Promise<object>} Stored report reference
+     */
+    async generate(results, context = {}) {
+        try {
+            const sections = [];
+
+            for (const result of results) {
+                sections.push(await this.renderDataset(result));
+            }
+
+            const html = [
+                '<!DOCTYPE html>',
+                '<html lang="en"><head><meta charset="utf-8">',
+                '<meta name="viewport" content="width=device-width, initial-scale=1">',
+                `<title>${escapeHtml(this.title)}</title>`,
+                `<style>${STYLES}</style>`,
+                '</head><body>',
+                this.renderRunHeader(results, context),
+                '<main>',
+                this.renderRunSummary(results, context),
+                ...sections,
+                this.renderCompliance(context.complianceReport),
+                '</main></body></html>'
+            ].join('\n');
+
+            const key = `${this.key}.html`;
+            await Actor.setValue(key, html, { contentType: 'text/html; charset=utf-8' });
+
+            if (this.debugMode) {
+                console.log(`HTML report written to ${key} (${html.length} characters)`);
+            }
+
+            return {
+                key,
+                datasetCount: results.length,
+                generatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Report generation error:', error.message);
+            return {
+                key: null,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Render the report header
+     * @param {array} results - Analyze-mode results
+     * @param {object} context - Run context
+     * @returns {string} HTML
+     */
+    renderRunHeader(results, context) {
+        const executed = context.metadata?.executionTime || new Date().toISOString();
+
+        return `<header class="run"><h1>${escapeHtml(this.title)}</h1>` +
+            `<div>${escapeHtml(context.metadata?.dataSource || 'Open Government Data Platform India (data.gov.in)')}</div>` +
+            `<div>Generated ${escapeHtml(executed)} &middot; ${results.length} dataset(s)</div></header>`;
+    }
+
+    /**
+     * Render run parameters and headline numbers
+     * @param {array} results - Analyze-mode results
+     * @param {object} context - Run context
+     * @returns {string} HTML
+     */
+    renderRunSummary(results, context) {
+        const query = context.query || {};
+        const rows = [
+            ['Mode', query.mode || 'analyze'],
+            ['Search query', query.searchQuery || '—'],
+            ['Filters', Object.keys(query.filters || {}).length > 0 ? JSON.stringify(query.filters) : '—'],
+            ['Dataset IDs', (query.datasetIds || []).join(', ') || '—'],
+            ['Datasets analysed', results.length],
+            ['API requests', context.statistics?.apiRequests ?? '—'],
+            ['API success rate', context.statistics?.successRate ?? '—']
+        ];
+
+        const overview = results
+            .filter(result => result.comprehensiveAnalysis && !result.comprehensiveAnalysis.error)
+            .map(result => {
+                const quality = result.comprehensiveAnalysis.qualityScore;
+                return [
+                    `<a href="#${anchorId(result)}">${escapeHtml(result.dataset?.title || result.datasetId)}</a>`,
+                    escapeHtml(result.dataset?.organization || '—'),
+                    `${quality.overallScore} ${qualityBadge(quality.overallScore, quality.rating)}`,
+                    result.resources?.length ?? 0,
+                    result.piiScan?.piiDetected ? '<span class="badge bad">PII</span>' : '<span class="badge good">None found</span>'
+                ];
+            });
+
+        return '<section class="run-section"><h2>Run summary</h2>' +
+            renderTable(['Parameter', 'Value'], rows.map(([name, value]) => [escapeHtml(name), escapeHtml(value)])) +
+            (overview.length > 0
+                ? '<h3>Datasets</h3>' + renderTable(['Dataset', 'Organization', 'Quality', 'Resources', 'PII scan'], overview)
+                : '') +
+            '</section>';
+    }
+
+    /**
+     * Render one dataset section
+     * @param {object} result - Analyze-mode result
+     * @returns {Promise<string>} HTML
+     */
+    async renderDataset(result) {
+        if (!result || result.success === false) {
+            return `<section class="dataset"><h2>${escapeHtml(result?.datasetId || 'Dataset')}</h2>` +
+                `<p class="bad badge">Failed</p><p>${escapeHtml(result?.error || 'Unknown error')}</p></section>`;
+        }
+
+        const dataset = result.dataset || {};
+        const analysis = result.comprehensiveAnalysis || result.analysis || {};
+        const charts = await this.loadCharts(result.visualizations || []);
+        const gauge = charts.find(chart => chart.chart === 'gauge');
+
+        return [
+            `<section class="dataset" id="${anchorId(result)}">`,
+            `<h2>${escapeHtml(dataset.title || dataset.id)}</h2>`,
+            dataset.titleHi ? `<p lang="hi"><strong>${escapeHtml(dataset.titleHi)}</strong></p>` : '',
+            `<p class="muted">${escapeHtml(dataset.organization || 'Unknown organization')} &middot; ` +
+                `License: ${escapeHtml(dataset.license || 'Not specified')} &middot; ` +
+                `Last modified: ${escapeHtml(dataset.metadata_modified || 'unknown')}` +
+                (dataset.url ? ` &middot; <a href="${escapeHtml(dataset.url)}">${escapeHtml(dataset.url)}</a>` : '') + '</p>',
+            dataset.description ? `<p>${escapeHtml(dataset.description)}</p>` : '',
+            dataset.descriptionHi ? `<p lang="hi">${escapeHtml(dataset.descriptionHi)}</p>` : '',
+            this.renderInsights(result.insights),
+            this.renderQuality(analysis, gauge),
+            this.renderResources(result.resources || []),
+            this.renderProfiles(result.resources || []),
+            this.renderGeography(result.resources || []),
+            this.renderTrends(analysis.trends),
+            this.renderCharts(charts.filter(chart => chart.chart !== 'gauge')),
+            this.renderPIIScan(result.piiScan),
+            this.renderGovernance(result.governance),
+            '</section>'
+        ].join('\n');
+    }
+
+    /**
+     * Render insight bullet points
+     * @param {array} insights - Insights
+     * @returns {string} HTML
+     */
+    renderInsights(insights) {
+        if (!Array.isArray(insights) || insights.length === 0) return '';
+
+        return '<h3>Key insights</h3><ul>' +
+            insights.map(insight => `<li><strong>${escapeHtml(insight.category)}</strong>: ${escapeHtml(insight.message)}</li>`).join('') +
+            '</ul>';
+    }
+
+    /**
+     * Render the quality score breakdown
+     * @param {object} analysis - Dataset analysis
+     * @param {object} gauge - Inline gauge chart (optional)
+     * @returns {string} HTML
+     */
+    renderQuality(analysis, gauge) {
+        const quality = analysis.qualityScore;
+        if (!quality) return '';
+
+        const factors = Object.entries(quality.factors || {}).map(([name, points]) => [
+            escapeHtml(humanize(name)),
+            escapeHtml(formatValue(points))
+        ]);
+
+        const issues = (quality.issues || []).length > 0
+            ? '<p><strong>Issues:</strong></p><ul>' + quality.issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('') + '</ul>'
+            : '<p class="muted">No quality issues identified.</p>';
+
+        const recommendations = (analysis.recommendations || []).length > 0
+            ? '<p><strong>Recommendations:</strong></p><ul>' + analysis.recommendations.map(item =>
+                `<li>[${escapeHtml(item.priority)}] ${escapeHtml(item.message)}</li>`).join('') + '</ul>'
+            : '';
+
+        return '<h3>Quality score</h3>' +
+            `<p>Overall score <strong>${escapeHtml(formatValue(quality.overallScore))}/100</strong> ` +
+            `${qualityBadge(quality.overallScore, quality.rating)}</p>` +
+            (gauge ? `<div class="charts"><figure>${gauge.svg}</figure></div>` : '') +
+            renderTable(['Factor', 'Points'], factors) +
+            issues +
+            recommendations;
+    }
+
+    /**
+     * Render the resource table
+     * @param {array} resources - Acquired resources
+     * @returns {string} HTML
+     */
+    renderResources(resources) {
+        if (resources.length === 0) {
+            return '<h3>Resources</h3><p class="muted">No resources acquired.</p>';
+        }
+
+        const rows = resources.map(resource => [
+            escapeHtml(resource.name || resource.id),
+            escapeHtml((resource.format || '').toUpperCase() || '—'),
+            escapeHtml(resource.dataSize || resource.size || '—'),
+            escapeHtml(resource.source || '—'),
+            escapeHtml(formatValue(countRows(resource.data))),
+            resource.acquired
+                ? '<span class="badge good">Acquired</span>'
+                : `<span class="badge poor">Not acquired</span> ${escapeHtml(resource.reason || resource.error || '')}`
+        ]);
+
+        return '<h3>Resources</h3>' + renderTable(['Name', 'Format', 'Size', 'Source', 'Rows', 'Status'], rows);
+    }
+
+    /**
+     * Render column profiles of each profiled table
+     * @param {array} resources - Acquired resources
+     * @returns {string} HTML
+     */
+    renderProfiles(resources) {
+        const blocks = [];
+
+        resources.forEach(resource => {
+            (resource.data?.profiles || []).forEach(profile => {
+                const translations = (resource.data.columnNames || []).find(entry => entry.table === profile.table)?.columns || {};
+                const rows = Object.values(profile.columns).map(column => [
+                    escapeHtml(column.name) + (translations[column.name]
+                        ? ` <span class="muted">(${escapeHtml(translations[column.name].english)})</span>`
+                        : ''),
+                    escapeHtml(column.type),
+                    escapeHtml(column.completeness),
+                    escapeHtml(formatValue(column.distinctCount) + (column.distinctCountCapped ? '+' : '')),
+                    escapeHtml(column.min !== undefined ? formatValue(column.min) : column.minDate || '—'),
+                    escapeHtml(column.quantiles ? formatValue(column.quantiles.median) : '—'),
+                    escapeHtml(column.max !== undefined ? formatValue(column.max) : column.maxDate || '—'),
+                    escapeHtml(column.outliers ? formatValue(column.outliers.count) : '—'),
+                    escapeHtml(column.topValues.slice(0, 3).map(item => `${item.value} (${item.count})`).join(', '))
+                ]);
+
+                const label = `${resource.name || resource.id}${profile.table ? ` — ${profile.table}` : ''}`;
+                blocks.push(`<p><strong>${escapeHtml(label)}</strong> <span class="muted">` +
+                    `${formatValue(profile.rowCount)} rows, ${profile.columnCount} columns</span></p>` +
+                    renderTable(['Column', 'Type', 'Complete', 'Distinct', 'Min', 'Median', 'Max', 'Outliers', 'Top values'], rows));
+            });
+        });
+
+        return blocks.length > 0 ? '<h3>Column profiles</h3>' + blocks.join('') : '';
+    }
+
+    /**
+     * Render geography normalisation results (match rates and unmatched values)
+     * @param {array} resources - Acquired resources
+     * @returns {string} HTML
+     */
+    renderGeography(resources) {
+        const rows = resources.flatMap(resource => (resource.data?.geography || []).flatMap(report =>
+            report.columns.map(column => [
+                escapeHtml(`${resource.name || resource.id}${report.table ? ` — ${report.table}` : ''}: ${column.column}`),
+                escapeHtml(column.role),
+                escapeHtml(column.matchRate),
+                escapeHtml(formatValue(column.aggregateRows)),
+                escapeHtml([
+                    ...column.unmatchedValues.map(item => `${item.value} (${item.count})`),
+                    ...column.ambiguousValues.map(item => `${item.value} (${item.count}, ambiguous)`)
+                ].join(', ') || '—')
+            ])
+        ));
+
+        return rows.length > 0
+            ? '<h3>Geography</h3>' + renderTable(['Column', 'Role', 'Matched', 'Summary rows', 'Unmatched values'], rows)
+            : '';
+    }
+
+    /**
+     * Render trend findings
+     * @param {array} trends - Trend results per resource table
+     * @returns {string} HTML
+     */
+    renderTrends(trends) {
+        if (!Array.isArray(trends) || trends.length === 0) return '';
+
+        const rows = trends.flatMap(seriesSet => seriesSet.series
+            .filter(series => series.trend)
+            .map(series => {
+                const trend = series.trend;
+                return [
+                    escapeHtml(`${seriesSet.resourceName || seriesSet.resourceId}: ${series.label}`),
+                    escapeHtml(`${trend.startDate || '?'} – ${trend.endDate || '?'}`),
+                    escapeHtml(`${trend.direction} (${trend.strength})`),
+                    escapeHtml(`${formatValue(trend.slope)} ${trend.slopeUnit === 'per_year' ? '/yr' : '/pt'}`),
+                    escapeHtml(formatValue(trend.rSquared)),
+                    escapeHtml(trend.cagr !== null && trend.cagr !== undefined ? `${formatValue(trend.cagr)}%` : '—'),
+                    escapeHtml(trend.yoyGrowth ? `${formatValue(trend.yoyGrowth.latest)}%` : '—'),
+                    escapeHtml(trend.seasonality?.detected ? `Yes (peak ${trend.seasonality.peak})` : 'No'),
+                    escapeHtml((trend.changePoints || []).map(point => point.date || `#${point.index}`).join(', ') || '—')
+                ];
+            }));
+
+        return '<h3>Trend findings</h3>' +
+            renderTable(['Series', 'Period', 'Direction', 'Slope', 'R²', 'CAGR', 'Latest YoY', 'Seasonal', 'Change points'], rows);
+    }
+
+    /**
+     * Render inline charts
+     * @param {array} charts - Loaded charts ({title, svg})
+     * @returns {string} HTML
+     */
+    renderCharts(charts) {
+        if (charts.length === 0) return '';
+
+        return '<h3>Charts</h3><div class="charts">' +
+            charts.map(chart => `<figure>${chart.svg}</figure>`).join('') +
+            '</div>';
+    }
+
+    /**
+     * Render the PII scan result
+     * @param {object} piiScan - PII scan result
+     * @returns {string} HTML
+     */
+    renderPIIScan(piiScan) {
+        if (!piiScan) return '';
+
+        if (!piiScan.scanned) {
+            return `<h3>PII scan</h3><p class="muted">Not scanned: ${escapeHtml(piiScan.reason || 'unknown reason')}</p>`;
+        }
+
+        return '<h3>PII scan</h3>' +
+            `<p>${piiScan.piiDetected ? '<span class="badge bad">Potential PII</span>' : '<span class="badge good">No PII found</span>'} ` +
+            `${escapeHtml(piiScan.warning)}</p>` +
+            `<p class="muted">${escapeHtml(piiScan.recommendation)}</p>` +
+            this.renderContentScan(piiScan.contentScan);
+    }
+
+    /**
+     * Render the column-level PII findings of downloaded resources
+     * @param {object} contentScan - Content scan summary (tables with identifier and quasi-identifier columns)
+     * @returns {string} HTML
+     */
+    renderContentScan(contentScan) {
+        if (!contentScan) return '';
+
+        const rows = contentScan.tables.flatMap(table => [
+            ...table.identifiers.map(identifier => [
+                escapeHtml(table.resourceName || table.resourceId),
+                escapeHtml(identifier.column),
+                escapeHtml(identifier.type),
+                escapeHtml(`${formatValue(identifier.hitRate * 100)}%`)
+            ]),
+            ...table.quasiIdentifiers.map(column => [
+                escapeHtml(table.resourceName || table.resourceId),
+                escapeHtml(column.column),
+                escapeHtml(`quasi-identifier (${column.kind})`),
+                '—'
+            ])
+        ]);
+
+        return rows.length > 0
+            ? `<p>Column scan risk: ${escapeHtml(contentScan.risk)}</p>` + renderTable(['Resource', 'Column', 'Finding', 'Hit rate'], rows)
+            : '';
+    }
+
+    /**
+     * Render governance warnings and attribution
+     * @param {object} governance - Result governance block
+     * @returns {string} HTML
+     */
+    renderGovernance(governance) {
+        if (!governance) return '';
+
+        const warnings = (governance.warnings || []).length > 0
+            ? '<ul>' + governance.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('') + '</ul>'
+            : '<p class="muted">No governance warnings.</p>';
+
+        return '<h3>Governance &amp; attribution</h3>' +
+            warnings +
+            (governance.attribution ? `<blockquote>${escapeHtml(governance.attribution)}</blockquote>` : '');
+    }
+
+    /**
+     * Render the governance compliance report
+     * @param {object} complianceReport - Compliance report
+     * @returns {string} HTML
+     */
+    renderCompliance(complianceReport) {
+        if (!complianceReport) return '';
+
+        const summary = complianceReport.summary || {};
+        const summaryRows = [
+            ['Access attempts', summary.totalAccessAttempts],
+            ['Blocked datasets', summary.blockedDatasets],
+            ['License warnings', summary.licenseWarnings],
+            ['Block rate (recent)', complianceReport.statistics?.blockRate],
+            ['Audit log entries', complianceReport.statistics?.totalLogs]
+        ].map(([name, value]) => [escapeHtml(name), escapeHtml(formatValue(value))]);
+
+        const flag = enabled => enabled ? '<span class="badge good">Yes</span>' : '<span class="badge bad">No</span>';
+
+        const policyRows = Object.entries(summary.policies || {}).map(([name, enabled]) => [escapeHtml(humanize(name)), flag(enabled)]);
+        const complianceRows = [
+            ['OGD Policy 2025', complianceReport.compliance?.ogdPolicy2025],
+            ['DPDP Act 2023', complianceReport.compliance?.dpdpAct2023],
+            ['CC-BY 4.0', complianceReport.compliance?.ccBy40]
+        ].map(([name, enabled]) => [escapeHtml(name), flag(enabled)]);
+
+        const activityRows = (complianceReport.recentActivity || []).map(entry => [
+            escapeHtml(entry.timestamp),
+            escapeHtml(entry.action),
+            escapeHtml(entry.datasetTitle || entry.datasetId || '—'),
+            escapeHtml(entry.allowed === undefined ? '—' : entry.allowed ? 'allowed' : 'blocked'),
+            escapeHtml([...(entry.errors || []), ...(entry.warnings || [])].join('; ') || '—')
+        ]);
+
+        return '<section class="run-section"><h2>Governance compliance report</h2>' +
+            renderTable(['Metric', 'Value'], summaryRows) +
+            '<h3>Policies</h3>' + renderTable(['Policy', 'Enabled'], policyRows) +
+            '<h3>Framework compliance</h3>' + renderTable(['Framework', 'Compliant'], complianceRows) +
+            (activityRows.length > 0
+                ? '<h3>Recent activity</h3>' + renderTable(['Time', 'Action', 'Dataset', 'Outcome', 'Notes'], activityRows)
+                : '') +
+            `<p class="muted">Report generated ${escapeHtml(complianceReport.generatedAt || '')}</p>` +
+            '</section>';
+    }
+
+    /**
+     * Load stored SVG charts for inlining
+     * @param {array} visualizations - Chart references ({chart, title, keys})
+     * @returns {Promise<array>} Charts with SVG markup
+     */
+    async loadCharts(visualizations) {
+        const charts = [];
+
+        for (const chart of visualizations) {
+            if (!chart.keys?.svg) continue;
+
+            try {
+                const svg = await Actor.getValue(chart.keys.svg);
+                if (svg) {
+                    charts.push({ chart: chart.chart, title: chart.title, svg: svg.toString() });
+                }
+            } catch (error) {
+                console.error(`Failed to load chart ${chart.keys.svg}:`, error.message);
+            }
+        }
+
+        return charts;
+    }
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an HTML table from pre-escaped cells
+ * @param {array} headers - Column headers
+ * @param {array} rows - Rows of HTML cells
+ * @returns {string} HTML
+ */
+function renderTable(headers, rows) {
+    return '<table><thead><tr>' + headers.map(header => `<th>${escapeHtml(header)}</th>`).join('') + '</tr></thead><tbody>' +
+        rows.map(row => '<tr>' + row.map(cell => `<td>${cell}</td>`).join('') + '</tr>').join('') +
+        '</tbody></table>';
+}
+
+/**
+ * Format a value for display (numbers with Indian digit grouping)
+ * @param {*} value - Raw value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'number') {
+        return Number.isInteger(value)
+            ? value.toLocaleString('en-IN')
+            : value.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+    }
+    return String(value);
+}
+
+/**
+ * Turn a camelCase key into words
+ * @param {string} name - camelCase key
+ * @returns {string} Human-readable label
+ */
+function humanize(name) {
+    const words = String(name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Badge for a quality score
+ * @param {number} score - Quality score (0-100)
+ * @param {string} rating - Rating label
+ * @returns {string} HTML
+ */
+function qualityBadge(score, rating) {
+    const level = score >= 75 ? 'good' : score >= 60 ? 'fair' : score >= 40 ? 'poor' : 'bad';
+    return `<span class="badge ${level}">${escapeHtml(rating || '')}</span>`;
+}
+
+/**
+ * Row count of parsed resource data
+ * @param {object} data - Parsed resource data
+ * @returns {number|null} Row count
+ */
+function countRows(data) {
+    if (!data) return null;
+    if (data.sheets) {
+        return Object.values(data.sheets).reduce((sum, sheet) => sum + (sheet.rowCount || 0), 0);
+    }
+    return data.rowCount ?? data.itemCount ?? data.pushedRows ?? null;
+}
+
+/**
+ * HTML anchor for a dataset section
+ * @param {object} result - Analyze-mode result
+ * @returns {string} Anchor ID
+ */
+function anchorId(result) {
+    return `dataset-${String(result.dataset?.id || result.datasetId || 'unknown').replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+}
+
+module.exports = ReportGenerator;
@@ -3,13 +3,67 @@
  * Handles intelligent dataset discovery with semantic search and filtering
  */
 
-const { sanitizeQuery, buildSolrQuery, formatDatasetMetadata } = require('./utils');
+const SemanticRanker = require('./semantic-search');
+const { parseQuery, compileQuery, extractText, isPlainText } = require('./query-language');
+const { classifyJurisdiction } = require('./reference/geography');
+const { buildSolrQuery, solrAnyOf, formatDatasetMetadata } = require('./utils');
+
+// Solr fields holding Hindi titles and descriptions
+const HINDI_SEARCH_FIELDS = ['title_hi', 'notes_hi'];
+
+const FACET_FIELDS = ['organization', 'groups', 'tags', 'res_format', 'license_id', 'extras_frequency', 'num_resources'];
+
+// Facet values per field; large enough that jurisdiction counts cover every organization
+const FACET_LIMIT = 1000;
+
+const JURISDICTIONS = ['central', 'state'];
 
 class SearchDiscovery {
     constructor(apiClient, config = {}) {
         this.client = apiClient;
         this.debugMode = config.debugMode || false;
         this.relevanceThreshold = config.relevanceThreshold || 0.5;
+        this.language = ['en', 'hi', 'both'].includes(config.language) ? config.language : 'en';
+        this.semanticRanker = new SemanticRanker({ ...config.semantic, debugMode: this.debugMode });
+
+        // Local catalog index (see CatalogIndex); used instead of the live API while it is fresh
+        this.catalogIndex = config.catalogIndex || null;
+        this.catalogIndexChecked = false;
+
+        // Organization and sector lists, fetched once for resolving filters
+        this.entityCache = {};
+    }
+
+    /**
+     * Get the local catalog index if it can serve requests
+     * @returns {Promise<object|null>} Loaded, fresh CatalogIndex or null (live API)
+     */
+    async getCatalogIndex() {
+        if (!this.catalogIndex) {
+            return null;
+        }
+
+        if (!this.catalogIndexChecked) {
+            this.catalogIndexChecked = true;
+
+            try {
+                const loaded = await this.catalogIndex.load();
+                if (!loaded) {
+                    console.log('⚠️  No catalog index found; using the live API (run the sync mode to build one)');
+                    this.catalogIndex = null;
+                } else if (!this.catalogIndex.isFresh()) {
+                    console.log(`⚠️  Catalog index is older than ${this.catalogIndex.maxAgeHours}h; using the live API`);
+                    this.catalogIndex = null;
+                } else {
+                    console.log(`📚 Using catalog index (${this.catalogIndex.documents.length} datasets, synced ${this.catalogIndex.manifest.syncedAt})`);
+                }
+            } catch (error) {
+                console.error('Catalog index error:', error.message);
+                this.catalogIndex = null;
+            }
+        }
+
+        return this.catalogIndex;
     }
 
     /**
@@ -21,17 +75,30 @@ class SearchDiscovery {
      */
     async search(query, filters = {}, maxResults = 50) {
         try {
-            const sanitizedQuery = query ? sanitizeQuery(query) : '';
-            const solrQuery = filters && Object.keys(filters).length > 0
-                ? buildSolrQuery(filters)
-                : '*:*';
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return await this.searchIndex(catalogIndex, query, filters, maxResults);
+            }
+
+            const ast = parseQuery(query);
+            const queryText = extractText(ast);
+            const semantic = this.semanticRanker.supports(queryText);
 
-            // Combine query and filters
-            const finalQuery = sanitizedQuery && sanitizedQuery !== ''
-                ? `${sanitizedQuery}`
-                : solrQuery;
+            // Semantic re-ranking widens natural-language questions to a broad keyword query and a larger candidate pool
+            const searchAst = semantic && isPlainText(ast)
+                ? parseQuery(this.semanticRanker.buildCandidateQuery(queryText))
+                : ast;
+            const compiled = compileQuery(searchAst, { textFields: this.getTextFields() });
 
-            const filterQuery = solrQuery !== '*:*' ? solrQuery : undefined;
+            // Fielded clauses of the query and the filters input are both filter queries
+            const filterClauses = [compiled.fq];
+            if (filters && Object.keys(filters).length > 0) {
+                filterClauses.push(...await this.buildFilterQueries(filters));
+            }
+
+            const finalQuery = compiled.q;
+            const filterQuery = filterClauses.filter(clause => clause && clause !== '*:*').join(' AND ') || undefined;
+            const candidateCount = semantic ? Math.max(maxResults, this.semanticRanker.candidatePool) : maxResults;
 
             if (this.debugMode) {
                 console.log('Search Query:', finalQuery);
@@ -43,27 +110,31 @@ class SearchDiscovery {
             const results = [];
             let start = 0;
             let totalFound = 0;
+            let facets = {};
 
-            while (results.length < maxResults) {
-                const rows = Math.min(batchSize, maxResults - results.length);
+            while (results.length < candidateCount) {
+                const rows = Math.min(batchSize, candidateCount - results.length);
 
+                // Facets describe the whole result set, so only the first page requests them
                 const searchResult = await this.client.packageSearch(finalQuery, {
                     rows,
                     start,
                     fq: filterQuery,
                     sort: 'score desc, metadata_modified desc',
-                    facet: true,
-                    facetFields: ['organization', 'groups', 'tags', 'res_format']
+                    facet: start === 0,
+                    facetFields: FACET_FIELDS,
+                    facetLimit: FACET_LIMIT
                 });
 
                 totalFound = searchResult.count || 0;
+                facets = searchResult.search_facets || facets;
 
                 if (!searchResult.results || searchResult.results.length === 0) {
                     break;
                 }
 
-                // Filter by relevance score if available
-                const relevantResults = searchResult.results.filter(dataset => {
+                // Filter by relevance score if available (semantic similarity takes over when re-ranking)
+                const relevantResults = semantic ? searchResult.results : searchResult.results.filter(dataset => {
                     const score = dataset.score || 1.0;
                     return score >= this.relevanceThreshold;
                 });
@@ -78,7 +149,7 @@ class SearchDiscovery {
             }
 
             // Format and enrich results
-            const formattedResults = results.slice(0, maxResults).map(dataset => {
+            let formattedResults = results.map(dataset => {
                 return {
                     ...formatDatasetMetadata(dataset),
                     relevanceScore: dataset.score || 1.0,
@@ -86,17 +157,25 @@ class SearchDiscovery {
                 };
             });
 
+            if (semantic) {
+                formattedResults = await this.semanticRanker.rerank(queryText, formattedResults);
+            }
+
+            formattedResults = formattedResults.slice(0, maxResults);
+
             return {
                 success: true,
                 query: {
                     original: query,
                     processed: finalQuery,
-                    filters: filters
+                    filterQuery: filterQuery || null,
+                    filters: filters,
+                    semanticRanking: semantic
                 },
                 results: formattedResults,
                 count: formattedResults.length,
                 totalAvailable: totalFound,
-                facets: this.processFacets(searchResult.facets || {}),
+                facets: this.processFacets(facets),
                 timestamp: new Date().toISOString()
             };
 
@@ -112,6 +191,140 @@ class SearchDiscovery {
         }
     }
 
+    /**
+     * Build Solr filter queries from the filters input
+     * Organization and sector titles are resolved to portal names; jurisdiction is resolved to organizations
+     * @param {object} filters - Advanced filters
+     * @returns {Promise<array>} Filter query clauses
+     */
+    async buildFilterQueries(filters) {
+        const resolved = { ...filters };
+
+        if (filters.organization) {
+            resolved.organization = await this.resolveEntityName('organizations', filters.organization);
+        }
+
+        if (filters.sector) {
+            resolved.sector = await this.resolveEntityName('sectors', filters.sector);
+        }
+
+        const clauses = [buildSolrQuery(resolved)];
+
+        if (filters.jurisdiction) {
+            clauses.push(await this.buildJurisdictionQuery(filters.jurisdiction));
+        }
+
+        return clauses.filter(clause => clause && clause !== '*:*');
+    }
+
+    /**
+     * Resolve an organization or sector title to its portal name
+     * @param {string} kind - 'organizations' or 'sectors'
+     * @param {string} value - Name or title
+     * @returns {Promise<string>} Portal name, or the value unchanged when it is already a name or unknown
+     */
+    async resolveEntityName(kind, value) {
+        if (/^[a-z0-9_-]+$/.test(value)) {
+            return value;
+        }
+
+        const key = String(value).trim().toLowerCase();
+        const entities = await this.getCachedEntities(kind);
+        const match = entities.find(entity => [entity.name, entity.title].some(name => String(name || '').toLowerCase() === key));
+
+        if (!match && this.debugMode) {
+            console.log(`No ${kind} named "${value}"; filtering on the value as given`);
+        }
+
+        return match ? match.name : value;
+    }
+
+    /**
+     * Build the filter query for central or state government organizations
+     * @param {string} jurisdiction - 'central' or 'state'
+     * @returns {Promise<string|null>} Filter query, or null when it cannot be applied
+     */
+    async buildJurisdictionQuery(jurisdiction) {
+        if (!JURISDICTIONS.includes(jurisdiction)) {
+            console.log(`⚠️  Unknown jurisdiction "${jurisdiction}" ignored (use ${JURISDICTIONS.join(' or ')})`);
+            return null;
+        }
+
+        const organizations = await this.getCachedEntities('organizations');
+        if (organizations.length === 0) {
+            console.log('⚠️  Organization list unavailable; jurisdiction filter not applied');
+            return null;
+        }
+
+        const matching = organizations.filter(org => classifyJurisdiction(org.name, org.title).jurisdiction === jurisdiction);
+        const others = organizations.filter(org => !matching.includes(org));
+
+        // Name whichever side is smaller to keep the request short
+        if (matching.length <= others.length) {
+            return matching.length > 0 ? `organization:(${solrAnyOf(matching.map(org => org.name))})` : '-*:*';
+        }
+        return others.length > 0 ? `-organization:(${solrAnyOf(others.map(org => org.name))})` : null;
+    }
+
+    /**
+     * Get the organization or sector list, fetching it once per run
+     * @param {string} kind - 'organizations' or 'sectors'
+     * @returns {Promise<array>} Entities
+     */
+    async getCachedEntities(kind) {
+        if (!this.entityCache[kind]) {
+            this.entityCache[kind] = kind === 'organizations' ? await this.getOrganizations() : await this.getSectors();
+        }
+        return this.entityCache[kind];
+    }
+
+    /**
+     * Search the local catalog index with BM25, optionally re-ranking semantically
+     * @param {object} catalogIndex - Loaded CatalogIndex
+     * @param {string} query - Search query
+     * @param {object} filters - Advanced filters
+     * @param {number} maxResults - Maximum number of results
+     * @returns {Promise<object>} Search results with metadata
+     */
+    async searchIndex(catalogIndex, query, filters, maxResults) {
+        const queryText = extractText(parseQuery(query));
+        const semantic = this.semanticRanker.supports(queryText);
+        const candidateCount = semantic ? Math.max(maxResults, this.semanticRanker.candidatePool) : maxResults;
+
+        const searchResult = catalogIndex.search(query, filters, candidateCount);
+        let formattedResults = searchResult.results;
+
+        if (semantic) {
+            formattedResults = await this.semanticRanker.rerank(queryText, formattedResults);
+        }
+
+        formattedResults = formattedResults.slice(0, maxResults);
+
+        return {
+            ...searchResult,
+            query: {
+                ...searchResult.query,
+                original: query,
+                semanticRanking: semantic
+            },
+            results: formattedResults,
+            count: formattedResults.length
+        };
+    }
+
+    /**
+     * Get the fields free text is searched in for the configured language
+     * English searches the default fields, Hindi the Hindi title/description fields, and both searches either
+     * @returns {array} Solr fields (null for the default field)
+     */
+    getTextFields() {
+        if (this.language === 'en') {
+            return [null];
+        }
+
+        return this.language === 'both' ? [null, ...HINDI_SEARCH_FIELDS] : HINDI_SEARCH_FIELDS;
+    }
+
     /**
      * Search by specific dataset IDs
      * @param {array} datasetIds - Array of dataset IDs
@@ -171,6 +384,11 @@ class SearchDiscovery {
      */
     async discoverRecent(limit = 20) {
         try {
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return catalogIndex.discoverRecent(limit);
+            }
+
             const result = await this.client.packageSearch('*:*', {
                 rows: limit,
                 sort: 'metadata_modified desc'
@@ -192,13 +410,21 @@ class SearchDiscovery {
      */
     async discoverByOrganization(organizationName, limit = 50) {
         try {
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return catalogIndex.discoverByOrganization(organizationName, limit);
+            }
+
             const result = await this.client.packageSearch('*:*', {
                 rows: limit,
                 fq: `organization:"${organizationName}"`,
                 sort: 'metadata_modified desc'
             });
 
-            return (result.results || []).map(dataset => formatDatasetMetadata(dataset));
+            return (result.results || []).map(dataset => ({
+                ...formatDatasetMetadata(dataset),
+                resources: this.formatResources(dataset.resources || [])
+            }));
 
         } catch (error) {
             console.error('Discover by organization error:', error.message);
@@ -214,13 +440,21 @@ class SearchDiscovery {
      */
     async discoverBySector(sector, limit = 50) {
         try {
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return catalogIndex.discoverBySector(sector, limit);
+            }
+
             const result = await this.client.packageSearch('*:*', {
                 rows: limit,
                 fq: `groups:"${sector}"`,
                 sort: 'metadata_modified desc'
             });
 
-            return (result.results || []).map(dataset => formatDatasetMetadata(dataset));
+            return (result.results || []).map(dataset => ({
+                ...formatDatasetMetadata(dataset),
+                resources: this.formatResources(dataset.resources || [])
+            }));
 
         } catch (error) {
             console.error('Discover by sector error:', error.message);
@@ -229,18 +463,21 @@ class SearchDiscovery {
     }
 
     /**
-     * Get available organizations
+     * Get all available organizations (every page), with their parent organizations where the portal exposes them
      * @returns {Promise<array>} List of organizations
      */
     async getOrganizations() {
         try {
-            const organizations = await this.client.organizationList({ allFields: true });
-            return organizations.map(org => ({
-                name: org.name,
-                title: org.title,
-                description: org.description,
-                datasetCount: org.package_count || 0
-            }));
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return catalogIndex.getOrganizations();
+            }
+
+            const organizations = [];
+            for await (const org of this.client.iterateOrganizations({ allFields: true, includeGroups: true })) {
+                organizations.push(this.formatEntity(org));
+            }
+            return organizations;
         } catch (error) {
             console.error('Get organizations error:', error.message);
             return [];
@@ -248,18 +485,21 @@ class SearchDiscovery {
     }
 
     /**
-     * Get available sectors/groups
+     * Get all available sectors/groups (every page), with their parent groups where the portal exposes them
      * @returns {Promise<array>} List of sectors
      */
     async getSectors() {
         try {
-            const groups = await this.client.groupList({ allFields: true });
-            return groups.map(group => ({
-                name: group.name,
-                title: group.title,
-                description: group.description,
-                datasetCount: group.package_count || 0
-            }));
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return catalogIndex.getSectors();
+            }
+
+            const groups = [];
+            for await (const group of this.client.iterateGroups({ allFields: true, includeGroups: true })) {
+                groups.push(this.formatEntity(group));
+            }
+            return groups;
         } catch (error) {
             console.error('Get sectors error:', error.message);
             return [];
@@ -273,24 +513,143 @@ class SearchDiscovery {
      */
     async getPopularTags(limit = 50) {
         try {
-            const tags = await this.client.tagList({ allFields: true });
+            const catalogIndex = await this.getCatalogIndex();
+            if (catalogIndex) {
+                return catalogIndex.getPopularTags(limit);
+            }
 
-            // Sort by vocabulary count if available
-            const sortedTags = tags
-                .filter(tag => tag.name)
-                .sort((a, b) => (b.package_count || 0) - (a.package_count || 0))
-                .slice(0, limit);
+            // CKAN tag listings carry no dataset counts, so rank tags by a package_search facet
+            const result = await this.client.packageSearch('*:*', {
+                rows: 0,
+                facet: true,
+                facetFields: ['tags'],
+                facetLimit: limit
+            });
 
-            return sortedTags.map(tag => ({
-                name: tag.name,
-                datasetCount: tag.package_count || 0
-            }));
+            return (result.search_facets?.tags?.items || [])
+                .filter(item => item.name)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, limit)
+                .map(item => ({
+                    name: item.name,
+                    datasetCount: item.count
+                }));
         } catch (error) {
             console.error('Get popular tags error:', error.message);
             return [];
         }
     }
 
+    /**
+     * Get the organization hierarchy (ministry -> department -> ...)
+     * @returns {Promise<array>} Top-level organizations with nested children
+     */
+    async getOrganizationHierarchy() {
+        return this.buildHierarchy(await this.getOrganizations());
+    }
+
+    /**
+     * Get the sector/group hierarchy
+     * @returns {Promise<array>} Top-level sectors with nested children
+     */
+    async getSectorHierarchy() {
+        return this.buildHierarchy(await this.getSectors());
+    }
+
+    /**
+     * Resolve organization names or titles against the full organization list
+     * @param {array} names - Organization names or titles (case-insensitive)
+     * @param {object} options - Resolution options ({includeChildren}: add sub-organizations, e.g. a ministry's departments)
+     * @returns {Promise<object>} Resolved organization names and the inputs that matched nothing
+     */
+    async resolveOrganizations(names, options = {}) {
+        const organizations = await this.getOrganizations();
+        const byKey = new Map();
+        organizations.forEach(org => {
+            [org.name, org.title].filter(Boolean).forEach(key => byKey.set(key.toLowerCase(), org));
+        });
+
+        const childrenOf = new Map();
+        organizations.forEach(org => org.parents.forEach(parent => {
+            if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+            childrenOf.get(parent).push(org.name);
+        }));
+
+        const resolved = new Set();
+        const unresolved = [];
+
+        const add = (name) => {
+            if (resolved.has(name)) return;
+            resolved.add(name);
+            if (options.includeChildren) {
+                (childrenOf.get(name) || []).forEach(add);
+            }
+        };
+
+        names.forEach(name => {
+            const org = byKey.get(String(name).trim().toLowerCase());
+            if (org) {
+                add(org.name);
+            } else {
+                unresolved.push(name);
+            }
+        });
+
+        return { names: [...resolved], unresolved };
+    }
+
+    /**
+     * Nest organizations or groups under their parents
+     * @param {array} entities - Formatted entities ({name, title, datasetCount, parents})
+     * @returns {array} Top-level entities ({name, title, datasetCount, totalDatasetCount, children})
+     */
+    buildHierarchy(entities) {
+        const nodes = new Map(entities.map(entity => [entity.name, {
+            name: entity.name,
+            title: entity.title,
+            datasetCount: entity.datasetCount,
+            children: []
+        }]));
+
+        const roots = [];
+        entities.forEach(entity => {
+            const parent = entity.parents.find(name => name !== entity.name && nodes.has(name));
+            if (parent) {
+                nodes.get(parent).children.push(nodes.get(entity.name));
+            } else {
+                roots.push(nodes.get(entity.name));
+            }
+        });
+
+        // Totals include all descendants; the visited set guards against cyclic memberships
+        const visited = new Set();
+        const total = (node) => {
+            if (visited.has(node.name)) return 0;
+            visited.add(node.name);
+            node.totalDatasetCount = node.datasetCount + node.children.reduce((sum, child) => sum + total(child), 0);
+            node.children.sort((a, b) => b.totalDatasetCount - a.totalDatasetCount);
+            return node.totalDatasetCount;
+        };
+        roots.forEach(total);
+
+        return roots.sort((a, b) => b.totalDatasetCount - a.totalDatasetCount);
+    }
+
+    /**
+     * Format an organization or group
+     * @param {object} entity - Raw organization or group
+     * @returns {object} Formatted entity with parent names
+     */
+    formatEntity(entity) {
+        return {
+            name: entity.name,
+            title: entity.title,
+            description: entity.description,
+            datasetCount: entity.package_count || 0,
+            parents: (entity.groups || []).map(group => group.name).filter(Boolean)
+        };
+    }
+
     /**
      * Format resources for output
      * @param {array} resources - Raw resources array
@@ -306,13 +665,14 @@ class SearchDiscovery {
             size: resource.size,
             created: resource.created,
             modified: resource.last_modified,
-            mimetype: resource.mimetype
+            mimetype: resource.mimetype,
+            hash: resource.hash || null
         }));
     }
 
     /**
      * Process and format facets from search results
-     * @param {object} facets - Raw facets object
+     * @param {object} facets - Raw facets object (CKAN search_facets)
      * @returns {object} Processed facets
      */
     processFacets(facets) {
@@ -320,6 +680,7 @@ class SearchDiscovery {
 
         if (facets.organization) {
             processed.organizations = this.formatFacetItems(facets.organization);
+            processed.jurisdictions = this.countJurisdictions(facets.organization.items || []);
         }
 
         if (facets.groups) {
@@ -331,12 +692,62 @@ class SearchDiscovery {
         }
 
         if (facets.res_format) {
-            processed.formats = this.formatFacetItems(facets.res_format);
+            processed.formats = this.formatFacetItems(this.mergeFacetCase(facets.res_format));
+        }
+
+        if (facets.license_id) {
+            processed.licenses = this.formatFacetItems(facets.license_id);
+        }
+
+        if (facets.extras_frequency) {
+            processed.updateFrequencies = this.formatFacetItems(this.mergeFacetCase(facets.extras_frequency));
+        }
+
+        if (facets.num_resources) {
+            processed.resourceCounts = (facets.num_resources.items || [])
+                .map(item => ({ name: item.name, count: item.count }))
+                .sort((a, b) => Number(a.name) - Number(b.name));
         }
 
         return processed;
     }
 
+    /**
+     * Count datasets per jurisdiction from organization facet items
+     * @param {array} items - Organization facet items ({name, display_name, count})
+     * @returns {array} Jurisdiction counts
+     */
+    countJurisdictions(items) {
+        const counts = Object.fromEntries(JURISDICTIONS.map(jurisdiction => [jurisdiction, 0]));
+        items.forEach(item => {
+            counts[classifyJurisdiction(item.name, item.display_name).jurisdiction] += item.count;
+        });
+        return JURISDICTIONS.map(name => ({ name, count: counts[name] }));
+    }
+
+    /**
+     * Merge facet items that differ only in letter case ("CSV", "csv")
+     * @param {object} facetData - Facet data object
+     * @returns {object} Facet data with merged items, each named by its most common spelling
+     */
+    mergeFacetCase(facetData) {
+        const merged = new Map();
+        (facetData.items || []).forEach(item => {
+            const key = String(item.name).toLowerCase();
+            const existing = merged.get(key);
+            if (!existing) {
+                merged.set(key, { name: item.name, count: item.count, top: item.count });
+            } else {
+                existing.count += item.count;
+                if (item.count > existing.top) {
+                    existing.name = item.name;
+                    existing.top = item.count;
+                }
+            }
+        });
+        return { items: [...merged.values()].map(({ name, count }) => ({ name, count })) };
+    }
+
     /**
      * Format individual facet items
      * @param {object} facetData - Facet data object
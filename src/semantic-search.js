@@ -0,0 +1,181 @@
+/**
+ * Semantic Search Module
+ * Re-ranks search candidates by embedding similarity using a bundled, CPU-only sentence encoder
+ * (Universal Sentence Encoder Lite, 512 dimensions)
+ */
+
+const { initModel } = require('@energetic-ai/embeddings');
+const { modelSource } = require('@energetic-ai/model-embeddings-en');
+const { containsDevanagari } = require('./language');
+
+// Words that carry no topic in natural-language questions ("how much rice did Punjab produce")
+const STOPWORDS = new Set([
+    'a', 'about', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'data', 'dataset', 'datasets', 'did', 'do',
+    'does', 'for', 'from', 'get', 'give', 'has', 'have', 'how', 'i', 'in', 'india', 'indian', 'is', 'it', 'many', 'me',
+    'much', 'of', 'on', 'or', 'show', 'the', 'there', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who',
+    'why', 'with'
+]);
+
+// The model is loaded once per process and shared by all rankers
+let modelPromise = null;
+
+/**
+ * Load the bundled embedding model
+ * @returns {Promise<object>} Embeddings model
+ */
+function loadModel() {
+    if (!modelPromise) {
+        modelPromise = initModel(modelSource).catch(error => {
+            modelPromise = null;
+            throw error;
+        });
+    }
+    return modelPromise;
+}
+
+class SemanticRanker {
+    constructor(config = {}) {
+        this.enabled = config.enabled || false;
+        this.weight = typeof config.weight === 'number' ? Math.min(1, Math.max(0, config.weight)) : 0.7;
+        this.candidatePool = config.candidatePool || 100;
+        this.minSimilarity = typeof config.minSimilarity === 'number' ? config.minSimilarity : 0;
+        this.batchSize = config.batchSize || 32;
+        this.maxTextLength = config.maxTextLength || 600;
+        this.debugMode = config.debugMode || false;
+
+        // Embeddings of already-seen datasets, keyed by id and modification date
+        this.cache = new Map();
+    }
+
+    /**
+     * Check whether a query can be ranked semantically (the bundled model is English-only)
+     * @param {string} query - Search query
+     * @returns {boolean} True when re-ranking applies
+     */
+    supports(query) {
+        return this.enabled && Boolean(query && query.trim()) && !containsDevanagari(query);
+    }
+
+    /**
+     * Turn a natural-language query into a broad keyword query for candidate retrieval
+     * @param {string} query - Sanitized query
+     * @returns {string} Solr query (terms joined with OR), or the query unchanged when it has no content words
+     */
+    buildCandidateQuery(query) {
+        const terms = [...new Set(query
+            .toLowerCase()
+            .split(/\s+/)
+            .map(term => term.replace(/^[-.]+|[-.]+$/g, ''))
+            .filter(term => term && !STOPWORDS.has(term)))];
+
+        return terms.length > 0 ? terms.join(' OR ') : query;
+    }
+
+    /**
+     * Re-rank datasets against a query
+     * @param {string} query - Natural-language query
+     * @param {array} datasets - Formatted datasets (title, description, tags, organization, relevanceScore)
+     * @returns {Promise<array>} Datasets sorted by combined score, with semanticScore and combinedScore
+     */
+    async rerank(query, datasets) {
+        if (datasets.length === 0) {
+            return datasets;
+        }
+
+        try {
+            const model = await loadModel();
+            const [queryEmbedding] = await model.embed([query]);
+            const embeddings = await this.embedDatasets(model, datasets);
+            const maxSolrScore = Math.max(...datasets.map(dataset => dataset.relevanceScore || 0)) || 1;
+
+            const ranked = datasets.map((dataset, index) => {
+                const similarity = cosineSimilarity(queryEmbedding, embeddings[index]);
+                const solrScore = (dataset.relevanceScore || 0) / maxSolrScore;
+
+                return {
+                    ...dataset,
+                    semanticScore: round(similarity),
+                    combinedScore: round(this.weight * similarity + (1 - this.weight) * solrScore)
+                };
+            });
+
+            if (this.debugMode) {
+                console.log(`🧠 Re-ranked ${ranked.length} candidates semantically (weight ${this.weight})`);
+            }
+
+            return ranked
+                .filter(dataset => dataset.semanticScore >= this.minSimilarity)
+                .sort((a, b) => b.combinedScore - a.combinedScore);
+
+        } catch (error) {
+            console.error('Semantic re-ranking error:', error.message);
+            return datasets;
+        }
+    }
+
+    /**
+     * Embed dataset texts in batches, reusing cached embeddings
+     * @param {object} model - Embeddings model
+     * @param {array} datasets - Formatted datasets
+     * @returns {Promise<array>} Embeddings in dataset order
+     */
+    async embedDatasets(model, datasets) {
+        const keys = datasets.map(dataset => `${dataset.id}:${dataset.modifiedDate || ''}`);
+        const missing = datasets
+            .map((dataset, index) => ({ key: keys[index], text: this.documentText(dataset) }))
+            .filter(item => !this.cache.has(item.key));
+
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            const batch = missing.slice(i, i + this.batchSize);
+            const embeddings = await model.embed(batch.map(item => item.text));
+            batch.forEach((item, index) => this.cache.set(item.key, embeddings[index]));
+        }
+
+        return keys.map(key => this.cache.get(key));
+    }
+
+    /**
+     * Build the text embedded for a dataset
+     * @param {object} dataset - Formatted dataset
+     * @returns {string} Title, description, tags and organization
+     */
+    documentText(dataset) {
+        return [
+            dataset.title,
+            dataset.description,
+            (dataset.tags || []).join(', '),
+            dataset.organization
+        ].filter(Boolean).join('. ').substring(0, this.maxTextLength);
+    }
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {array} a - First vector
+ * @param {array} b - Second vector
+ * @returns {number} Similarity (-1 to 1), 0 for zero vectors
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Round a score to 4 decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = SemanticRanker;
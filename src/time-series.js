@@ -0,0 +1,312 @@
+/**
+ * Time Series Builder
+ * Detects year/month/date columns (or year-wise column layouts) in parsed tables and builds {date, value} series
+ */
+
+const moment = require('moment');
+const { parseNumber, isIdentifierColumn } = require('./utils');
+
+const MONTH_FORMATS = ['MMM-YYYY', 'MMM YYYY', 'MMMM YYYY', 'MMMM-YYYY', 'MMM-YY', 'YYYY-MM', 'MM-YYYY', 'MM/YYYY', 'YYYY/MM'];
+const DATE_FORMATS = ['DD-MM-YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'YYYY/MM/DD', 'DD-MMM-YYYY', 'DD MMM YYYY'];
+
+// Finer granularity wins when several time columns qualify
+const GRANULARITY_RANK = { day: 3, month: 2, financial_year: 1, year: 1 };
+
+const TIME_NAME_PATTERN = /year|month|date|period|time|fy|yr|वर्ष|माह|महीना|तिथि|दिनांक|अवधि/i;
+
+/**
+ * Parse a time key from a cell value or column header
+ * @param {*} value - Raw value
+ * @param {boolean} loose - Also find a year inside longer text (column headers)
+ * @returns {object|null} Time key ({date, granularity}) or null
+ */
+function parseTimeKey(value, loose = false) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+
+    const financialYear = text.match(loose
+        ? /(?:^|[^\d])((?:19|20)\d{2})\s*[-–/]\s*(\d{2}|\d{4})(?!\d)/
+        : /^(?:FY\s*)?((?:19|20)\d{2})\s*[-–/]\s*(\d{2}|\d{4})$/i);
+
+    if (financialYear) {
+        const start = parseInt(financialYear[1], 10);
+        const end = parseInt(financialYear[2], 10);
+        const consecutive = financialYear[2].length === 2 ? (start + 1) % 100 === end : start + 1 === end;
+
+        if (consecutive) {
+            return { date: `${start}-04-01`, granularity: 'financial_year' };
+        }
+    }
+
+    const year = text.match(loose ? /(?:^|[^\d])((?:18|19|20)\d{2})(?!\d)/ : /^((?:18|19|20)\d{2})(\.0+)?$/);
+    if (year) {
+        return { date: `${year[1]}-01-01`, granularity: 'year' };
+    }
+
+    if (loose) return null;
+
+    const month = moment(text, MONTH_FORMATS, true);
+    if (month.isValid()) {
+        return { date: month.format('YYYY-MM-01'), granularity: 'month' };
+    }
+
+    const day = moment(text, DATE_FORMATS, true);
+    if (day.isValid()) {
+        return { date: day.format('YYYY-MM-DD'), granularity: 'day' };
+    }
+
+    return null;
+}
+
+/**
+ * Parse a month name or number (1-12)
+ * @param {*} value - Raw value
+ * @returns {number|null} Month (1-12) or null
+ */
+function parseMonth(value) {
+    const text = String(value ?? '').trim();
+    if (/^\d{1,2}$/.test(text)) {
+        const month = parseInt(text, 10);
+        return month >= 1 && month <= 12 ? month : null;
+    }
+
+    const parsed = moment(text, ['MMMM', 'MMM'], true);
+    return parsed.isValid() ? parsed.month() + 1 : null;
+}
+
+/**
+ * Share of non-empty values matching a predicate
+ * @param {array} values - Values
+ * @param {function} predicate - Match test
+ * @returns {number} Share (0-1), 0 when there are no values
+ */
+function matchShare(values, predicate) {
+    const present = values.filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+    if (present.length === 0) return 0;
+    return present.filter(predicate).length / present.length;
+}
+
+class TimeSeriesBuilder {
+    constructor(config = {}) {
+        this.aggregation = config.aggregation === 'mean' ? 'mean' : 'sum';
+        this.maxSeries = config.maxSeries || 50;
+        this.minPoints = config.minPoints || 3;
+        this.debugMode = config.debugMode || false;
+    }
+
+    /**
+     * Build time series from a parsed table
+     * @param {array} records - Table records
+     * @param {object} profile - Table profile (optional, used to skip identifier columns)
+     * @returns {object|null} Series set ({layout, timeColumn(s), granularity, series}) or null when not time-based
+     */
+    build(records, profile = null) {
+        if (!Array.isArray(records) || records.length === 0) {
+            return null;
+        }
+
+        const columns = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+        const identifierColumns = columns.filter(column =>
+            isIdentifierColumn(column) || profile?.columns?.[column]?.type === 'district_code'
+        );
+
+        return this.buildLong(records, columns, identifierColumns) ||
+            this.buildWide(records, columns, identifierColumns);
+    }
+
+    /**
+     * Build series from a long table (one time column, one series per numeric column)
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @param {array} identifierColumns - Columns excluded as measures
+     * @returns {object|null} Series set or null
+     */
+    buildLong(records, columns, identifierColumns) {
+        const timeColumn = this.findTimeColumn(records, columns);
+        if (!timeColumn) return null;
+
+        const monthColumn = timeColumn.granularity === 'year' || timeColumn.granularity === 'financial_year'
+            ? this.findMonthColumn(records, columns, timeColumn.name)
+            : null;
+
+        const usedColumns = [timeColumn.name, monthColumn].filter(Boolean);
+        const measureColumns = columns.filter(column =>
+            !usedColumns.includes(column) &&
+            !identifierColumns.includes(column) &&
+            matchShare(records.map(record => record[column]), value => parseNumber(value) !== null) >= 0.95
+        );
+
+        if (measureColumns.length === 0) return null;
+
+        const granularity = monthColumn ? 'month' : timeColumn.granularity;
+        const series = measureColumns.slice(0, this.maxSeries).map(column => {
+            const groups = new Map();
+
+            records.forEach(record => {
+                const key = parseTimeKey(record[timeColumn.name]);
+                const value = parseNumber(record[column]);
+                if (!key || value === null) return;
+
+                let date = key.date;
+                if (monthColumn) {
+                    const month = parseMonth(record[monthColumn]);
+                    if (!month) return;
+                    // January-March fall in the second calendar year of a financial year
+                    const base = moment(key.date);
+                    if (key.granularity === 'financial_year' && month < 4) base.add(1, 'year');
+                    date = base.month(month - 1).format('YYYY-MM-01');
+                }
+
+                if (!groups.has(date)) groups.set(date, []);
+                groups.get(date).push(value);
+            });
+
+            const rowsPerPoint = Math.max(0, ...[...groups.values()].map(values => values.length));
+
+            return {
+                column,
+                label: column,
+                granularity,
+                aggregation: rowsPerPoint > 1 ? this.aggregation : null,
+                points: [...groups.entries()]
+                    .sort((a, b) => a[0].localeCompare(b[0]))
+                    .map(([date, values]) => ({ date, value: this.aggregate(values) }))
+            };
+        }).filter(item => item.points.length >= this.minPoints);
+
+        if (series.length === 0) return null;
+
+        return {
+            layout: 'long',
+            timeColumn: timeColumn.name,
+            monthColumn,
+            granularity,
+            series
+        };
+    }
+
+    /**
+     * Build series from a wide table (year-wise column headers, one series per row)
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @param {array} identifierColumns - Columns excluded as labels
+     * @returns {object|null} Series set or null
+     */
+    buildWide(records, columns, identifierColumns) {
+        const timeColumns = columns
+            .map(column => ({ column, key: parseTimeKey(column, true) }))
+            .filter(item => item.key && matchShare(records.map(record => record[item.column]), value => parseNumber(value) !== null) >= 0.95);
+
+        if (timeColumns.length < this.minPoints) return null;
+
+        const timeColumnNames = timeColumns.map(item => item.column);
+        const labelColumn = columns.find(column =>
+            !timeColumnNames.includes(column) &&
+            !identifierColumns.includes(column) &&
+            matchShare(records.map(record => record[column]), value => parseNumber(value) === null) >= 0.5
+        );
+
+        const series = records.slice(0, this.maxSeries).map((record, index) => {
+            const groups = new Map();
+
+            timeColumns.forEach(({ column, key }) => {
+                const value = parseNumber(record[column]);
+                if (value === null) return;
+
+                if (!groups.has(key.date)) groups.set(key.date, []);
+                groups.get(key.date).push(value);
+            });
+
+            return {
+                column: labelColumn || null,
+                label: labelColumn ? String(record[labelColumn] ?? `Row ${index + 1}`) : `Row ${index + 1}`,
+                granularity: timeColumns[0].key.granularity,
+                aggregation: null,
+                points: [...groups.entries()]
+                    .sort((a, b) => a[0].localeCompare(b[0]))
+                    .map(([date, values]) => ({ date, value: this.aggregate(values) }))
+            };
+        }).filter(item => item.points.length >= this.minPoints);
+
+        if (series.length === 0) return null;
+
+        return {
+            layout: 'wide',
+            timeColumns: timeColumnNames,
+            labelColumn: labelColumn || null,
+            granularity: timeColumns[0].key.granularity,
+            series,
+            truncated: records.length > this.maxSeries
+        };
+    }
+
+    /**
+     * Find the column holding time keys (finest granularity, then name hints, then most distinct keys)
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @returns {object|null} Time column ({name, granularity}) or null
+     */
+    findTimeColumn(records, columns) {
+        const candidates = columns.map(column => {
+            const values = records.map(record => record[column]);
+            const keys = values.map(value => parseTimeKey(value)).filter(Boolean);
+
+            if (keys.length === 0 || matchShare(values, value => parseTimeKey(value) !== null) < 0.95) {
+                return null;
+            }
+
+            // Bare numbers only count as years when the column name says so
+            const granularity = keys[0].granularity;
+            if (granularity === 'year' && !TIME_NAME_PATTERN.test(column)) {
+                return null;
+            }
+
+            return {
+                name: column,
+                granularity,
+                hinted: TIME_NAME_PATTERN.test(column),
+                distinct: new Set(keys.map(key => key.date)).size
+            };
+        }).filter(candidate => candidate && candidate.distinct >= 2);
+
+        candidates.sort((a, b) =>
+            GRANULARITY_RANK[b.granularity] - GRANULARITY_RANK[a.granularity] ||
+            Number(b.hinted) - Number(a.hinted) ||
+            b.distinct - a.distinct
+        );
+
+        return candidates[0] || null;
+    }
+
+    /**
+     * Find a month column accompanying a year column
+     * @param {array} records - Table records
+     * @param {array} columns - Column names
+     * @param {string} yearColumn - Year column name
+     * @returns {string|null} Month column name or null
+     */
+    findMonthColumn(records, columns, yearColumn) {
+        return columns.find(column =>
+            column !== yearColumn &&
+            /month|माह|महीना/i.test(column) &&
+            matchShare(records.map(record => record[column]), value => parseMonth(value) !== null) >= 0.95
+        ) || null;
+    }
+
+    /**
+     * Aggregate values sharing a time key
+     * @param {array} values - Values
+     * @returns {number} Aggregated value
+     */
+    aggregate(values) {
+        const total = values.reduce((sum, value) => sum + value, 0);
+        return this.aggregation === 'mean' ? total / values.length : total;
+    }
+}
+
+module.exports = {
+    TimeSeriesBuilder,
+    parseTimeKey
+};
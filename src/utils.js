@@ -3,6 +3,7 @@
  * Provides helper functions for data processing, validation, and formatting
  */
 
+const crypto = require('crypto');
 const moment = require('moment');
 
 /**
@@ -71,13 +72,17 @@ function sanitizeQuery(query) {
     if (!query) return '';
     return query
         .trim()
-        .replace(/[^\w\s\-\.]/gi, ' ') // Remove special chars except - and .
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{M}\p{N}\s\-\.]/gu, ' ') // Remove special chars except - and . (keeps Devanagari and other scripts)
         .replace(/\s+/g, ' ') // Normalize whitespace
+        .trim()
         .substring(0, 500); // Limit length
 }
 
 /**
  * Build SOLR query string from filters
+ * Organization and sector must be portal names (slugs); jurisdiction needs the organization list and is
+ * handled by SearchDiscovery
  * @param {object} filters - Filter object
  * @returns {string} SOLR query string
  */
@@ -85,27 +90,97 @@ function buildSolrQuery(filters = {}) {
     const conditions = [];
 
     if (filters.organization) {
-        conditions.push(`organization:"${filters.organization}"`);
+        conditions.push(`organization:"${escapeSolrPhrase(filters.organization)}"`);
     }
 
+    // Sectors are CKAN groups
     if (filters.sector) {
-        conditions.push(`sector:"${filters.sector}"`);
+        conditions.push(`groups:"${escapeSolrPhrase(filters.sector)}"`);
     }
 
     if (filters.tags && Array.isArray(filters.tags) && filters.tags.length > 0) {
-        const tagQuery = filters.tags.map(tag => `tags:"${tag}"`).join(' OR ');
+        const tagQuery = filters.tags.map(tag => `tags:"${escapeSolrPhrase(tag)}"`).join(' OR ');
         conditions.push(`(${tagQuery})`);
     }
 
+    // Format and frequency values are stored with inconsistent case ("CSV", "csv"), so every variant is matched
+    const formats = toArray(filters.format);
+    if (formats.length > 0) {
+        conditions.push(`res_format:(${solrAnyOf(formats.flatMap(caseVariants))})`);
+    }
+
+    const frequencies = toArray(filters.updateFrequency);
+    if (frequencies.length > 0) {
+        conditions.push(`extras_frequency:(${solrAnyOf(frequencies.flatMap(caseVariants))})`);
+    }
+
+    const licenses = toArray(filters.license);
+    if (licenses.length > 0) {
+        conditions.push(`(license_id:(${solrAnyOf(licenses)}) OR license:(${solrAnyOf(licenses)}))`);
+    }
+
+    const minResources = parseInt(filters.minResources, 10);
+    if (minResources > 0) {
+        conditions.push(`num_resources:[${minResources} TO *]`);
+    }
+
     if (filters.dateFrom || filters.dateTo) {
-        const from = filters.dateFrom ? formatDateForAPI(filters.dateFrom) : '*';
-        const to = filters.dateTo ? formatDateForAPI(filters.dateTo) : '*';
-        conditions.push(`metadata_modified:[${from} TO ${to}]`);
+        // Solr date fields need full ISO timestamps; the range covers both days completely
+        const from = formatDateForAPI(filters.dateFrom);
+        const to = formatDateForAPI(filters.dateTo);
+        conditions.push(`metadata_modified:[${from ? `${from}T00:00:00Z` : '*'} TO ${to ? `${to}T23:59:59.999Z` : '*'}]`);
     }
 
     return conditions.length > 0 ? conditions.join(' AND ') : '*:*';
 }
 
+/**
+ * Normalize a filter value that may be a single value or a list
+ * @param {string|array} value - Filter value
+ * @returns {array} Non-empty values
+ */
+function toArray(value) {
+    return (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && String(item).trim() !== '');
+}
+
+/**
+ * Quote and OR values for a SOLR field clause
+ * @param {array} values - Values
+ * @returns {string} Clause body ("a" OR "b")
+ */
+function solrAnyOf(values) {
+    return [...new Set(values.map(String))].map(value => `"${escapeSolrPhrase(value)}"`).join(' OR ');
+}
+
+/**
+ * Spellings of a value in common letter cases
+ * @param {string} value - Value
+ * @returns {array} Original, lower, upper and capitalized forms
+ */
+function caseVariants(value) {
+    const text = String(value).trim();
+    const lower = text.toLowerCase();
+    return [...new Set([text, lower, text.toUpperCase(), lower.charAt(0).toUpperCase() + lower.slice(1)])];
+}
+
+/**
+ * Escape a single SOLR term
+ * @param {string} value - Term
+ * @returns {string} Term with SOLR syntax characters backslash-escaped
+ */
+function escapeSolrTerm(value) {
+    return String(value).replace(/[+\-&|!(){}[\]^"~*?:\\/]/g, '\\$&');
+}
+
+/**
+ * Escape a SOLR phrase (the text between double quotes)
+ * @param {string} value - Phrase
+ * @returns {string} Phrase with backslashes and quotes escaped
+ */
+function escapeSolrPhrase(value) {
+    return String(value).replace(/["\\]/g, '\\$&');
+}
+
 /**
  * Extract file extension from URL or filename
  * @param {string} url - URL or filename
@@ -136,6 +211,52 @@ function generateId(prefix = 'item') {
     return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Compute a hex digest of a string or buffer
+ * @param {string|Buffer} data - Content to hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {string} Hex digest
+ */
+function hashContent(data, algorithm = 'sha256') {
+    return crypto.createHash(algorithm).update(data).digest('hex');
+}
+
+/**
+ * Make a string safe for key-value store keys and archive paths
+ * @param {string} value - Raw value
+ * @returns {string} Sanitized value
+ */
+function sanitizeStorageKey(value) {
+    return String(value || 'resource').replace(/[^a-zA-Z0-9!\-_.'()]/g, '_').substring(0, 100);
+}
+
+/**
+ * Parse a number, accepting Indian digit grouping (e.g., 1,23,456.78)
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed number or null
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '' || text === '.' || !/^[-+]?(\d{1,3}(,\d{2,3})+|\d+)?(\.\d+)?$/.test(text)) {
+        return null;
+    }
+
+    const number = parseFloat(text.replace(/,/g, ''));
+    return isFinite(number) ? number : null;
+}
+
+/**
+ * Check whether a column name denotes an identifier (code, ID, serial number) rather than a measure
+ * @param {string} name - Column name
+ * @returns {boolean} True for identifier columns
+ */
+function isIdentifierColumn(name) {
+    return /(^|[^a-z])(code|id|s\.?\s?no|sr\.?\s?no|sl\.?\s?no|serial|pin ?code|lgd)([^a-z]|$)/i.test(String(name || ''));
+}
+
 /**
  * Truncate text to specified length
  * @param {string} text - Text to truncate
@@ -194,47 +315,6 @@ function safeJsonParse(jsonString, fallback = null) {
     }
 }
 
-/**
- * Detect if content might contain PII (simple pattern matching)
- * @param {string} text - Text to check
- * @returns {boolean} True if PII patterns detected
- */
-function detectPII(text) {
-    if (!text) return false;
-
-    const patterns = [
-        /\b\d{12}\b/, // Aadhaar-like 12-digit numbers
-        /\b[A-Z]{5}\d{4}[A-Z]\b/, // PAN card pattern
-        /\b[\w\.-]+@[\w\.-]+\.\w+\b/, // Email
-        /\b\d{10}\b/, // Phone number
-        /\b\d{3}-\d{2}-\d{4}\b/ // SSN-like pattern
-    ];
-
-    return patterns.some(pattern => pattern.test(text));
-}
-
-/**
- * Redact PII from text
- * @param {string} text - Text to redact
- * @returns {string} Redacted text
- */
-function redactPII(text) {
-    if (!text) return text;
-
-    let redacted = text;
-
-    // Redact Aadhaar-like numbers
-    redacted = redacted.replace(/\b\d{12}\b/g, 'XXXXXXXXXXXX');
-
-    // Redact email
-    redacted = redacted.replace(/\b[\w\.-]+@[\w\.-]+\.\w+\b/g, 'email@redacted.com');
-
-    // Redact phone numbers
-    redacted = redacted.replace(/\b\d{10}\b/g, 'XXXXXXXXXX');
-
-    return redacted;
-}
-
 /**
  * Format dataset metadata for output
  * @param {object} dataset - Raw dataset object
@@ -245,6 +325,8 @@ function formatDatasetMetadata(dataset) {
         id: dataset.id || dataset.name,
         title: dataset.title,
         description: truncateText(dataset.notes || dataset.description, 500),
+        titleHi: getHindiField(dataset, 'title'),
+        descriptionHi: truncateText(getHindiField(dataset, 'notes') || getHindiField(dataset, 'description'), 500) || null,
         organization: dataset.organization?.title || dataset.organization?.name || 'Unknown',
         sector: dataset.sector || dataset.groups?.[0]?.title || 'General',
         tags: dataset.tags?.map(t => typeof t === 'string' ? t : t.name) || [],
@@ -257,6 +339,17 @@ function formatDatasetMetadata(dataset) {
     };
 }
 
+/**
+ * Get the Hindi version of a dataset field (title_hi-style fields or CKAN fluent {en, hi} translations)
+ * @param {object} dataset - Dataset object
+ * @param {string} field - Field name (title, notes, description)
+ * @returns {string|null} Hindi text or null
+ */
+function getHindiField(dataset, field) {
+    const value = dataset[`${field}_hi`] || dataset[`${field}_hindi`] || dataset[`${field}_translated`]?.hi;
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
 /**
  * Create standardized error object
  * @param {string} message - Error message
@@ -282,14 +375,21 @@ module.exports = {
     formatDateForAPI,
     sanitizeQuery,
     buildSolrQuery,
+    toArray,
+    solrAnyOf,
+    escapeSolrTerm,
+    escapeSolrPhrase,
     getFileExtension,
     isDownloadableFormat,
     generateId,
+    hashContent,
+    sanitizeStorageKey,
+    parseNumber,
+    isIdentifierColumn,
     truncateText,
     calculateQualityScore,
     safeJsonParse,
-    detectPII,
-    redactPII,
     formatDatasetMetadata,
+    getHindiField,
     createError
 };
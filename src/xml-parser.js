@@ -0,0 +1,205 @@
+/**
+ * XML Record Parser
+ * Streaming (SAX) extraction of repeating record elements into flat tabular rows
+ */
+
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+
+/**
+ * Normalize a record path ("/root/rows/row", "rows/row" or "row")
+ * @param {string} recordPath - User-supplied record path
+ * @returns {string} Path without leading/trailing slashes
+ */
+function normalizeRecordPath(recordPath) {
+    return String(recordPath || '').trim().replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Detect the repeating record element of an XML document (or a leading sample of it)
+ * Prefers repeating elements with child elements, then with attributes, then text-only; ties go to the shallower path.
+ * @param {string|Buffer} xml - XML text or sample
+ * @returns {string|null} Detected record path or null
+ */
+function detectRecordPath(xml) {
+    const parser = sax.parser(true, { trim: true });
+    const stack = [];
+    const candidates = {};
+
+    parser.onopentag = (node) => {
+        const parent = stack[stack.length - 1];
+        if (parent) parent.hasChildren = true;
+
+        const path = [...stack.map(entry => entry.name), node.name].join('/');
+        stack.push({ name: node.name, path, hasChildren: false, hasAttributes: Object.keys(node.attributes).length > 0 });
+    };
+
+    parser.onclosetag = () => {
+        const entry = stack.pop();
+        if (!entry || stack.length === 0) return; // The root element is never a record
+
+        const candidate = candidates[entry.path] || (candidates[entry.path] = {
+            path: entry.path,
+            count: 0,
+            withChildren: 0,
+            withAttributes: 0
+        });
+
+        candidate.count++;
+        if (entry.hasChildren) candidate.withChildren++;
+        if (entry.hasAttributes) candidate.withAttributes++;
+    };
+
+    // Samples may be truncated mid-document; whatever was seen is enough
+    parser.onerror = () => {
+        parser.error = null;
+        parser.resume();
+    };
+
+    parser.write(xml.toString('utf-8'));
+
+    const ranked = Object.values(candidates)
+        .filter(candidate => candidate.count > 1)
+        .map(candidate => ({
+            ...candidate,
+            rank: candidate.withChildren > 0 ? 2 : candidate.withAttributes > 0 ? 1 : 0
+        }))
+        .sort((a, b) =>
+            b.rank - a.rank ||
+            b.count - a.count ||
+            a.path.split('/').length - b.path.split('/').length
+        );
+
+    return ranked.length > 0 ? ranked[0].path : null;
+}
+
+/**
+ * Incremental XML parser emitting one flat row per record element
+ */
+class XmlRecordParser {
+    /**
+     * @param {string} recordPath - Record element path (full path or trailing segments)
+     * @param {function} onRecord - Callback receiving each flattened record
+     */
+    constructor(recordPath, onRecord) {
+        this.recordPath = normalizeRecordPath(recordPath);
+        this.onRecord = onRecord;
+        this.recordCount = 0;
+        this.elementCount = 0;
+
+        this.stack = [];
+        this.recordDepth = -1;
+        this.current = null;
+        this.fieldStack = [];
+        this.decoder = new StringDecoder('utf8');
+
+        this.parser = sax.parser(true, { trim: true, normalize: true });
+        this.parser.onopentag = node => this.handleOpenTag(node);
+        this.parser.onclosetag = () => this.handleCloseTag();
+        this.parser.ontext = text => this.handleText(text);
+        this.parser.oncdata = text => this.handleText(text);
+    }
+
+    /**
+     * Check whether the current element stack matches the record path
+     * @returns {boolean} True if the current element is a record
+     */
+    matchesRecordPath() {
+        const path = this.stack.join('/');
+        return path === this.recordPath || path.endsWith(`/${this.recordPath}`);
+    }
+
+    /**
+     * Start a record, or a field inside the current record
+     * @param {object} node - SAX tag node
+     */
+    handleOpenTag(node) {
+        this.elementCount++;
+        this.stack.push(node.name);
+
+        if (this.current === null) {
+            if (this.matchesRecordPath()) {
+                this.current = {};
+                this.recordDepth = this.stack.length;
+                this.fieldStack = [];
+                this.assignAttributes('', node.attributes);
+            }
+            return;
+        }
+
+        this.fieldStack.push(node.name);
+        this.assignAttributes(this.fieldStack.join('.'), node.attributes);
+    }
+
+    /**
+     * Finish a field, or emit the current record when its element closes
+     */
+    handleCloseTag() {
+        if (this.current !== null) {
+            if (this.stack.length === this.recordDepth) {
+                this.recordCount++;
+                this.onRecord(this.current);
+                this.current = null;
+                this.recordDepth = -1;
+            } else {
+                this.fieldStack.pop();
+            }
+        }
+
+        this.stack.pop();
+    }
+
+    /**
+     * Assign element text to the current field
+     * @param {string} text - Text content
+     */
+    handleText(text) {
+        if (this.current === null || !text) return;
+        this.assignValue(this.fieldStack.length > 0 ? this.fieldStack.join('.') : 'value', text);
+    }
+
+    /**
+     * Assign element attributes as columns
+     * @param {string} prefix - Column prefix (field path)
+     * @param {object} attributes - Attribute map
+     */
+    assignAttributes(prefix, attributes) {
+        for (const [name, value] of Object.entries(attributes || {})) {
+            this.assignValue(prefix ? `${prefix}.${name}` : name, value);
+        }
+    }
+
+    /**
+     * Set a column value on the current record
+     * @param {string} key - Column name
+     * @param {string} value - Value
+     */
+    assignValue(key, value) {
+        // Repeated child elements are joined into one cell
+        this.current[key] = this.current[key] !== undefined
+            ? `${this.current[key]}; ${value}`
+            : value;
+    }
+
+    /**
+     * Feed a chunk of XML
+     * @param {string|Buffer} chunk - XML chunk
+     */
+    write(chunk) {
+        this.parser.write(typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+    }
+
+    /**
+     * Finish parsing
+     */
+    close() {
+        this.parser.write(this.decoder.end());
+        this.parser.close();
+    }
+}
+
+module.exports = {
+    XmlRecordParser,
+    detectRecordPath,
+    normalizeRecordPath
+};
@@ -0,0 +1,96 @@
+/**
+ * Catalog Index Tests
+ * Offline search over an in-memory index: BM25 ranking, structured queries, filters and facets
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogIndex = require('../src/catalog-index');
+
+const packages = [
+    {
+        id: 'rice',
+        name: 'rice-production',
+        title: 'Rice production by state',
+        notes: 'Area, production and yield of rice',
+        organization: { name: 'agri', title: 'Ministry of Agriculture and Farmers Welfare' },
+        groups: [{ name: 'agriculture', title: 'Agriculture' }],
+        tags: ['rice', 'crops'],
+        license_id: 'gov-odl',
+        metadata_modified: '2024-03-01T00:00:00',
+        resources: [{ id: 'r1', format: 'CSV' }]
+    },
+    {
+        id: 'wheat',
+        name: 'wheat-production',
+        title: 'Wheat production by state',
+        notes: 'Area and production of wheat and some rice fallows',
+        organization: { name: 'agri', title: 'Ministry of Agriculture and Farmers Welfare' },
+        groups: [{ name: 'agriculture', title: 'Agriculture' }],
+        tags: ['wheat', 'crops'],
+        metadata_modified: '2023-06-01T00:00:00',
+        resources: [{ id: 'r2', format: 'XLS' }]
+    },
+    {
+        id: 'hospitals',
+        name: 'district-hospitals',
+        title: 'District hospitals and beds',
+        notes: 'Number of hospitals and beds by district',
+        organization: { name: 'health-punjab', title: 'Department of Health, Punjab' },
+        groups: [{ name: 'health', title: 'Health' }],
+        tags: ['health', 'hospitals'],
+        metadata_modified: '2024-01-15T00:00:00',
+        resources: [{ id: 'r3', format: 'CSV' }, { id: 'r4', format: 'JSON' }]
+    }
+];
+
+const buildIndex = () => {
+    const index = new CatalogIndex(null);
+    index.setDocuments(packages.map(dataset => index.compactDataset(dataset)));
+    return index;
+};
+
+const ids = result => result.results.map(dataset => dataset.id);
+
+test('plain keywords rank datasets by BM25, title matches first', () => {
+    const result = buildIndex().search('rice');
+
+    assert.equal(result.source, 'catalog_index');
+    assert.deepEqual(ids(result), ['rice', 'wheat']);
+    assert.ok(result.results[0].relevanceScore > result.results[1].relevanceScore);
+});
+
+test('a structured query keeps datasets that match only through a fielded branch', () => {
+    const result = buildIndex().search('rice OR tag:health');
+
+    assert.deepEqual(ids(result), ['rice', 'wheat', 'hospitals']);
+    assert.equal(result.results[2].relevanceScore, 0);
+    assert.equal(result.totalAvailable, 3);
+});
+
+test('operators, phrases and negation must match', () => {
+    const index = buildIndex();
+
+    assert.deepEqual(ids(index.search('production NOT wheat')), ['rice']);
+    assert.deepEqual(ids(index.search('"district hospitals"')), ['hospitals']);
+    assert.deepEqual(ids(index.search('organization:agri modified:>=2024')), ['rice']);
+});
+
+test('an empty query lists filtered datasets, most recently modified first', () => {
+    const index = buildIndex();
+
+    assert.deepEqual(ids(index.search('')), ['rice', 'hospitals', 'wheat']);
+    assert.deepEqual(ids(index.search('', { format: 'csv' })), ['rice', 'hospitals']);
+    assert.deepEqual(ids(index.search('', { jurisdiction: 'state' })), ['hospitals']);
+    assert.deepEqual(ids(index.search('', { minResources: 2 })), ['hospitals']);
+    assert.deepEqual(ids(index.search('', { dateFrom: '2024-01-01' })), ['rice', 'hospitals']);
+});
+
+test('facets and tag counts are computed over the matches', () => {
+    const index = buildIndex();
+    const result = index.search('production');
+
+    assert.equal(result.count, 2);
+    assert.deepEqual(index.getPopularTags(1), [{ name: 'crops', datasetCount: 2 }]);
+    assert.equal(index.discoverBySector('Health').length, 1);
+});
@@ -0,0 +1,91 @@
+/**
+ * Dataset Join Tests
+ * Key detection and normalisation (states, districts, years), aggregation and the match report
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DatasetJoiner = require('../src/dataset-join');
+
+const source = (id, records) => ({ id, label: id, tables: [{ name: null, records }] });
+
+test('state and year keys are detected and normalised across spellings and formats', () => {
+    const result = new DatasetJoiner().join([
+        source('rainfall', [
+            { State: 'Orissa', Year: '2019-20', rainfall_mm: '1450' },
+            { State: 'Kerala', Year: '2019-20', rainfall_mm: '3000' }
+        ]),
+        source('yield', [
+            { state_name: 'ODISHA', year: '2019', yield_t: '2.1' },
+            { state_name: 'Kerala', year: '2019', yield_t: '2.9' }
+        ])
+    ]);
+
+    assert.deepEqual(result.joinKeys, ['state', 'year']);
+    assert.equal(result.joinKeySource, 'auto');
+    assert.equal(result.matching.matchedKeys, 2);
+
+    const odisha = result.rows.find(row => row.key.state === 'Odisha');
+    assert.deepEqual(odisha.key, { state: 'Odisha', year: 2019 });
+    assert.deepEqual(odisha.values, { rainfall: { rainfall_mm: 1450 }, yield: { yield_t: 2.1 } });
+});
+
+test('rows sharing a key are summed or averaged', () => {
+    const records = [
+        { state: 'Kerala', year: '2020', cases: '10' },
+        { state: 'Kerala', year: '2020', cases: '30' }
+    ];
+
+    const sum = new DatasetJoiner().join([source('a', records), source('b', records)]);
+    assert.equal(sum.rows[0].values.a.cases, 40);
+    assert.equal(sum.sources[0].duplicateKeys, 1);
+
+    const mean = new DatasetJoiner({ aggregation: 'mean' }).join([source('a', records), source('b', records)]);
+    assert.equal(mean.rows[0].values.a.cases, 20);
+});
+
+test('district aliases resolve to the canonical district', () => {
+    const result = new DatasetJoiner({ joinKeys: ['district'] }).join([
+        source('a', [{ district: 'Gurgaon', value: '1' }]),
+        source('b', [{ district_name: 'Gurugram', value: '2' }])
+    ]);
+
+    assert.deepEqual(result.rows.map(row => row.key.district), ['Gurugram, Haryana']);
+    assert.equal(result.matching.matchedKeys, 1);
+});
+
+test('same-named districts in different states do not merge', () => {
+    const withState = [
+        { state: 'Bihar', district: 'Aurangabad', value: '1' },
+        { state: 'Maharashtra', district: 'Aurangabad', value: '2' }
+    ];
+
+    const result = new DatasetJoiner({ joinKeys: ['district'] }).join([source('a', withState), source('b', withState)]);
+    assert.deepEqual(result.rows.map(row => row.key.district).sort(), ['Aurangabad, Bihar', 'Chhatrapati Sambhajinagar, Maharashtra']);
+    assert.equal(result.rows.find(row => row.key.district === 'Aurangabad, Bihar').values.a.value, 1);
+
+    // Without a state column the name cannot be placed, so it is reported instead of joined
+    const withoutState = new DatasetJoiner({ joinKeys: ['district'] }).join([
+        source('a', withState),
+        source('b', ['Aurangabad', 'Pune', 'Nashik', 'Thane', 'Nagpur'].map((district, i) => ({ district, value: String(i) })))
+    ]);
+    assert.equal(withoutState.rows.some(row => row.key.district === 'aurangabad'), false);
+    assert.deepEqual(withoutState.matching.perSource[1].unresolvedValues, [{ value: 'district=Aurangabad', count: 1 }]);
+});
+
+test('missing join keys and sources without tables are errors', () => {
+    const joiner = new DatasetJoiner({ joinKeys: ['state'] });
+
+    assert.throws(() => joiner.join([source('a', [{ state: 'Kerala', x: '1' }]), source('b', [{ city: 'Kochi', x: '1' }])]),
+        /Join key\(s\) state not found in: b/);
+    assert.throws(() => joiner.join([source('a', [])]), /No tabular data parsed for a/);
+});
+
+test('explicit join keys can name plain columns', () => {
+    const result = new DatasetJoiner({ joinKeys: ['Crop'] }).join([
+        source('a', [{ crop: 'Rice ', area: '5' }]),
+        source('b', [{ CROP: 'rice', output: '7' }])
+    ]);
+
+    assert.deepEqual(result.rows, [{ key: { Crop: 'rice' }, values: { a: { area: 5 }, b: { output: 7 } } }]);
+});
@@ -0,0 +1,54 @@
+/**
+ * Geography Reference Tests
+ * State and district lookup by name, variant spelling and LGD code; loading district codes from an LGD export
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    findState,
+    findDistrict,
+    findDistrictCandidates,
+    findDistrictByCode,
+    loadDistrictCodes,
+    isAggregateLabel
+} = require('../src/reference/geography');
+
+test('states resolve by name, variant spelling and LGD code', () => {
+    assert.equal(findState('Orissa').name, 'Odisha');
+    assert.equal(findState('J&K').name, 'Jammu and Kashmir');
+    assert.equal(findState('21').name, 'Odisha');
+    assert.equal(findState('Atlantis'), null);
+});
+
+test('districts shared by several states resolve only with a state', () => {
+    assert.equal(findDistrictCandidates('Aurangabad').length, 2);
+    assert.equal(findDistrict('Aurangabad'), null);
+    assert.equal(findDistrict('Aurangabad', 'Bihar').state, 10);
+    assert.equal(findDistrict('Gurgaon district').name, 'Gurugram');
+});
+
+test('an LGD export sets district codes, and later loads override them', () => {
+    const summary = loadDistrictCodes([
+        { 'State Code': '6', 'District Code': '9001', 'District Name (In English)': 'Gurugram' },
+        { 'State Code': '10', 'District Code': '9002', 'District Name (In English)': 'Aurangabad' },
+        { 'State Code': '10', 'District Code': '9003', 'District Name (In English)': 'Newly Formed' },
+        { 'State Code': '', 'District Code': '9004', 'District Name (In English)': 'Nowhere' }
+    ]);
+
+    assert.deepEqual(summary, { rows: 4, matched: 2, added: 1, skipped: 1 });
+    assert.equal(findDistrictByCode('9001').name, 'Gurugram');
+    assert.equal(findDistrictByCode('9002', 'Bihar').name, 'Aurangabad');
+    assert.equal(findDistrictByCode('9002', 'Maharashtra'), null);
+    assert.equal(findDistrict('Newly Formed', 'Bihar').code, 9003);
+
+    loadDistrictCodes([{ state_code: 6, district_code: 9005, district_name: 'Gurugram' }]);
+    assert.equal(findDistrictByCode('9005').name, 'Gurugram');
+    assert.equal(findDistrictByCode('9001'), null);
+});
+
+test('summary rows are not places', () => {
+    assert.equal(isAggregateLabel('All India'), true);
+    assert.equal(isAggregateLabel('Grand Total'), true);
+    assert.equal(isAggregateLabel('Kerala'), false);
+});
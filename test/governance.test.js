@@ -0,0 +1,75 @@
+/**
+ * Governance Layer Tests
+ * Re-identification risk: quasi-identifier selection, k-anonymity, l-diversity and the violation action
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GovernanceLayer = require('../src/governance');
+
+const records = [
+    { district: 'Pune', age_band: '30-39', gender: 'F', diagnosis: 'TB' },
+    { district: 'Pune', age_band: '30-39', gender: 'F', diagnosis: 'Malaria' },
+    { district: 'Pune', age_band: '30-39', gender: 'F', diagnosis: 'TB' },
+    { district: 'Nashik', age_band: '40-49', gender: 'M', diagnosis: 'TB' }
+];
+
+const scan = {
+    columns: [
+        { column: 'age_band', quasiIdentifier: { kind: 'age' } },
+        { column: 'gender', quasiIdentifier: { kind: 'gender' } }
+    ]
+};
+
+test('k and l are measured over the configured quasi-identifiers', () => {
+    const governance = new GovernanceLayer({
+        privacyRisk: { quasiIdentifiers: ['district', 'age_band', 'gender'], sensitiveColumns: ['diagnosis'], minK: 2 }
+    });
+
+    const assessment = governance.assessPrivacyRisk(records, { name: 'cases' });
+
+    assert.equal(assessment.quasiIdentifierSource, 'configured');
+    assert.equal(assessment.equivalenceClasses, 2);
+    assert.equal(assessment.k, 1);
+    assert.equal(assessment.l, 1);
+    assert.deepEqual(assessment.violations.map(violation => violation.metric), ['k-anonymity', 'l-diversity']);
+    assert.equal(assessment.classesBelowK, 1);
+    assert.equal(assessment.recordsBelowK, 1);
+    assert.equal(assessment.action, 'warn');
+    assert.equal(assessment.blocked, false);
+});
+
+test('the smallest class is reported by size only', () => {
+    const governance = new GovernanceLayer({ privacyRisk: { quasiIdentifiers: ['district', 'gender'] } });
+
+    const assessment = governance.assessPrivacyRisk(records);
+
+    assert.deepEqual(assessment.smallestClass, { size: 1 });
+});
+
+test('quasi-identifiers come from the PII scan and include geography only alongside a person attribute', () => {
+    const governance = new GovernanceLayer({ privacyRisk: { minK: 1 } });
+
+    const assessment = governance.assessPrivacyRisk(records, { scan, geographyColumns: ['district'] });
+    assert.equal(assessment.quasiIdentifierSource, 'auto');
+    assert.deepEqual(assessment.quasiIdentifiers, ['district', 'age_band', 'gender']);
+    assert.deepEqual(assessment.violations, []);
+    assert.equal(assessment.action, null);
+
+    assert.equal(governance.assessPrivacyRisk(records, { geographyColumns: ['district'] }), null);
+});
+
+test('a blocking policy blocks unless the table was streamed', () => {
+    const governance = new GovernanceLayer({ privacyRisk: { quasiIdentifiers: ['district'], onViolation: 'block' } });
+
+    assert.equal(governance.assessPrivacyRisk(records).blocked, true);
+
+    const streamed = governance.assessPrivacyRisk(records, { canBlock: false });
+    assert.equal(streamed.action, 'warn');
+    assert.equal(streamed.blocked, false);
+});
+
+test('disabled assessment and empty tables return null', () => {
+    assert.equal(new GovernanceLayer({ privacyRisk: { enabled: false, quasiIdentifiers: ['district'] } }).assessPrivacyRisk(records), null);
+    assert.equal(new GovernanceLayer({ privacyRisk: { quasiIdentifiers: ['district'] } }).assessPrivacyRisk([]), null);
+});
@@ -0,0 +1,56 @@
+/**
+ * Notification Dispatcher Tests
+ * Slack and JSON payloads, section size limits and the first-run baseline message
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationDispatcher = require('../src/notifications');
+
+const change = (i, organization = 'Ministry of Agriculture and Farmers Welfare') => ({
+    datasetId: `d-${i}`,
+    title: `Dataset ${i} ${'x'.repeat(150)}`,
+    changeType: 'updated_dataset',
+    organization,
+    url: `https://data.gov.in/catalog/dataset-${i}-${'y'.repeat(60)}`,
+    resourcesAdded: [],
+    resourcesRemoved: [],
+    resourcesChanged: [{ id: 'r' }],
+    schemaChanges: []
+});
+
+test('Slack change lines are split across sections under 3000 characters', () => {
+    const changes = Array.from({ length: 25 }, (_, i) => change(i));
+    const payload = new NotificationDispatcher(null).buildSlackPayload(changes, { updatedDatasets: 25 });
+    const sections = payload.blocks.filter(block => block.type === 'section');
+
+    assert.ok(sections.length > 1);
+    sections.forEach(section => assert.ok(section.text.text.length <= 3000));
+
+    const lines = sections.flatMap(section => section.text.text.split('\n'));
+    assert.equal(lines.length, 21);
+    assert.equal(lines[20], '…and 5 more');
+});
+
+test('a single oversized change line is truncated to fit a section', () => {
+    const payload = new NotificationDispatcher(null).buildSlackPayload([change(1, 'o'.repeat(5000))], {});
+    const [section] = payload.blocks.filter(block => block.type === 'section');
+
+    assert.ok(section.text.text.length <= 3000);
+});
+
+test('the first run sends one baseline message instead of the changes', () => {
+    const dispatcher = new NotificationDispatcher(null);
+    const summary = { isFirstRun: true, watchedDatasets: 40, stateKey: 'MONITOR_STATE' };
+    const changes = [change(1)];
+
+    const json = dispatcher.buildPayload('json', changes, summary);
+    assert.equal(json.event, 'datagovin.monitor_baseline');
+    assert.deepEqual(json.summary, { watchedDatasets: 40, stateKey: 'MONITOR_STATE' });
+    assert.equal('changes' in json, false);
+
+    const slack = dispatcher.buildPayload('slack', changes, summary);
+    assert.match(slack.text, /baseline recorded for 40 watched dataset/);
+
+    assert.equal(dispatcher.buildPayload('json', changes, { isFirstRun: false }).event, 'datagovin.dataset_changes');
+});
@@ -0,0 +1,100 @@
+/**
+ * PII Detector Tests
+ * Identifier validators (Verhoeff, PAN, GSTIN, IFSC, mobile), confidence levels and context, overlap resolution
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    detectPII,
+    redactPII,
+    meetsConfidence,
+    isValidAadhaar,
+    isValidPAN,
+    isValidGSTIN,
+    isValidIFSC,
+    isValidMobile
+} = require('../src/pii-detectors');
+
+test('Aadhaar numbers need a valid Verhoeff check digit', () => {
+    assert.equal(isValidAadhaar('234567890124'), true);
+    assert.equal(isValidAadhaar('234567890125'), false);
+    assert.equal(isValidAadhaar('123456789012'), false, 'Aadhaar never starts with 0 or 1');
+    assert.equal(isValidAadhaar('23456789012'), false);
+});
+
+test('PANs need a known entity type in the 4th position', () => {
+    assert.equal(isValidPAN('ABCPE1234F'), true);
+    assert.equal(isValidPAN('ABCXE1234F'), false);
+    assert.equal(isValidPAN('ABCPE12345'), false);
+});
+
+test('GSTINs need a state code, an embedded PAN and the mod-36 check character', () => {
+    assert.equal(isValidGSTIN('27AAPFU0939F1ZV'), true);
+    assert.equal(isValidGSTIN('29AAGCB7383J1Z4'), true);
+    assert.equal(isValidGSTIN('27AAPFU0939F1ZW'), false);
+    assert.equal(isValidGSTIN('40AAPFU0939F1ZV'), false, 'state code out of range');
+});
+
+test('IFSC and mobile formats', () => {
+    assert.equal(isValidIFSC('SBIN0001234'), true);
+    assert.equal(isValidIFSC('SBIN1001234'), false);
+    assert.equal(isValidMobile('9876543210'), true);
+    assert.equal(isValidMobile('5876543210'), false);
+    assert.equal(isValidMobile('9999999999'), false);
+});
+
+test('detectPII returns typed findings with offsets', () => {
+    const text = 'PAN ABCPE1234F, mail ravi@example.com';
+    const findings = detectPII(text);
+
+    assert.deepEqual(findings.map(finding => finding.type), ['pan', 'email']);
+    assert.equal(text.slice(findings[0].start, findings[0].end), 'ABCPE1234F');
+    assert.equal(findings[0].details.entityType, 'Individual');
+    assert.equal(findings[1].confidence, 'high');
+});
+
+test('an invalid checksum is not reported', () => {
+    assert.deepEqual(detectPII('2345 6789 0125'), []);
+});
+
+test('bare digit runs are low confidence unless the context names the identifier', () => {
+    const [bare] = detectPII('234567890124');
+    assert.equal(bare.type, 'aadhaar');
+    assert.equal(bare.confidence, 'low');
+
+    const [grouped] = detectPII('2345 6789 0124');
+    assert.equal(grouped.confidence, 'medium');
+
+    const [inContext] = detectPII('234567890124', { context: 'Aadhaar No' });
+    assert.equal(inContext.confidence, 'medium');
+
+    assert.deepEqual(detectPII('9876543210', { minConfidence: 'medium' }), []);
+    assert.equal(detectPII('9876543210', { context: 'mobile_no', minConfidence: 'medium' })[0].type, 'mobile');
+});
+
+test('bank account numbers are only detected in context', () => {
+    assert.deepEqual(detectPII('123456789012345', { types: ['bank_account'] }), []);
+    assert.equal(detectPII('123456789012345', { context: 'Account No', types: ['bank_account'] })[0].type, 'bank_account');
+});
+
+test('a GSTIN is not also reported as the PAN inside it', () => {
+    const findings = detectPII('GSTIN 27AAPFU0939F1ZV');
+    assert.deepEqual(findings.map(finding => finding.type), ['gstin']);
+});
+
+test('types restricts the detectors that run', () => {
+    const findings = detectPII('ABCPE1234F ravi@example.com', { types: ['email'] });
+    assert.deepEqual(findings.map(finding => finding.type), ['email']);
+});
+
+test('redactPII masks medium-confidence findings and keeps separators', () => {
+    assert.equal(redactPII('UID 2345 6789 0124, ravi@example.com'), 'UID XXXX XXXX XXXX, email@redacted.com');
+    assert.equal(redactPII('ref 234567890124'), 'ref 234567890124', 'low-confidence digit runs are left alone');
+});
+
+test('meetsConfidence orders low < medium < high', () => {
+    assert.equal(meetsConfidence('high', 'medium'), true);
+    assert.equal(meetsConfidence('low', 'medium'), false);
+    assert.equal(meetsConfidence('low'), true);
+});
@@ -0,0 +1,69 @@
+/**
+ * PII Scanner Tests
+ * Per-column hit rates, personal names, quasi-identifiers and the table risk rating
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PIIScanner = require('../src/pii-scanner');
+
+const beneficiaries = [
+    { 'Beneficiary Name': 'Ravi Kumar', Aadhaar: '234567890124', Mobile: '9876543210', District: 'Pune', Amount: '1200' },
+    { 'Beneficiary Name': 'Smt. Lakshmi Devi', Aadhaar: '', Mobile: '9876543211', District: 'Nashik', Amount: '800' },
+    { 'Beneficiary Name': 'SUNITA', Aadhaar: 'NA', Mobile: 'not given', District: 'Thane', Amount: '950' }
+];
+
+test('identifier columns are reported with hit rates over their non-empty values', () => {
+    const report = new PIIScanner().scanTable(beneficiaries, { name: 'beneficiaries' });
+
+    assert.equal(report.table, 'beneficiaries');
+    assert.equal(report.rowsScanned, 3);
+    assert.deepEqual(report.piiColumns, ['Beneficiary Name', 'Aadhaar', 'Mobile']);
+    assert.equal(report.risk, 'high');
+
+    const aadhaar = report.columns.find(column => column.column === 'Aadhaar');
+    assert.equal(aadhaar.valuesScanned, 2);
+    assert.equal(aadhaar.detections[0].type, 'aadhaar');
+    assert.equal(aadhaar.detections[0].hitRate, 0.5);
+
+    const mobile = report.columns.find(column => column.column === 'Mobile');
+    assert.equal(mobile.detections[0].hitRate, 0.6667);
+
+    // Place names are not people, and plain amounts are not identifiers
+    assert.equal(report.columns.some(column => ['District', 'Amount'].includes(column.column)), false);
+});
+
+test('names need a person column or an honorific', () => {
+    const scanner = new PIIScanner();
+
+    assert.equal(scanner.scanColumn('Farmer Name', ['Ravi Kumar', 'Anil']).primaryType, 'person_name');
+    assert.equal(scanner.scanColumn('Scheme Name', ['Jal Jeevan Mission', 'Poshan']).primaryType, null);
+
+    const remarks = scanner.scanColumn('Remarks', ['Shri Ram Singh', 'pending']);
+    assert.equal(remarks.detections[0].type, 'person_name');
+    assert.equal(remarks.detections[0].confidence, 'low');
+});
+
+test('quasi-identifiers raise the risk without direct identifiers', () => {
+    const scanner = new PIIScanner();
+    const records = [{ Age: '34', Gender: 'F', 'PIN Code': '411001', Crop: 'Rice' }];
+
+    const report = scanner.scanTable(records);
+    assert.deepEqual(report.quasiIdentifiers, ['Age', 'Gender', 'PIN Code']);
+    assert.equal(report.risk, 'medium');
+    assert.equal(scanner.scanTable([{ Gender: 'M', Crop: 'Rice' }]).risk, 'low');
+
+    // A profiled type that cannot hold the attribute rules the column out
+    const profile = { columns: { Age: { type: 'date' } } };
+    assert.equal(scanner.scanTable([{ Age: '2020-01-01' }], { profile }).risk, 'none');
+});
+
+test('empty tables are not scanned and the sample size caps the rows read', () => {
+    const scanner = new PIIScanner({ sampleSize: 2 });
+
+    assert.equal(scanner.scanTable([]), null);
+
+    const report = scanner.scanTable(beneficiaries);
+    assert.equal(report.rowsScanned, 2);
+    assert.equal(report.sampled, true);
+});
@@ -0,0 +1,125 @@
+/**
+ * Policy Engine Tests
+ * Rule matching (whole-word keywords, regex, organization, sector, tag, license), precedence and validation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PolicyEngine = require('../src/policy-engine');
+const GovernanceLayer = require('../src/governance');
+
+const dataset = (fields = {}) => ({
+    id: 'd-1',
+    name: 'school-enrolment',
+    title: 'School enrolment',
+    notes: '',
+    tags: [],
+    ...fields
+});
+
+test('default keywords match whole words only', () => {
+    const engine = new PolicyEngine();
+
+    assert.equal(engine.evaluate(dataset({ title: 'Enrolment in private schools' })).allowed, true);
+    assert.equal(engine.evaluate(dataset({ title: 'Secretariat staff strength' })).allowed, true);
+
+    const blocked = engine.evaluate(dataset({ notes: 'This file is CONFIDENTIAL.' }));
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.severity, 'block');
+    assert.equal(blocked.rule, 'restricted-marking');
+
+    const flagged = engine.evaluate(dataset({ title: 'Sensitive personal-data register' }));
+    assert.equal(flagged.allowed, true);
+    assert.equal(flagged.severity, 'warn');
+});
+
+test('a dataset no rule matches is allowed', () => {
+    const decision = new PolicyEngine().evaluate(dataset());
+
+    assert.deepEqual(decision, { allowed: true, severity: null, rule: null, reason: 'No policy rule matched', firedRules: [] });
+});
+
+test('the allowlist wins over every rule, by id or name', () => {
+    const engine = new PolicyEngine({ allowlist: ['school-enrolment'] });
+    const decision = engine.evaluate(dataset({ notes: 'confidential' }));
+
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.rule, 'allowlist');
+});
+
+test('an allow rule beats deny rules', () => {
+    const engine = new PolicyEngine({
+        rules: [{ id: 'census', effect: 'allow', match: { organization: 'Office of the Registrar General' } }]
+    });
+    const decision = engine.evaluate(dataset({
+        notes: 'restricted access',
+        organization: { title: 'Office of the  Registrar General', name: 'orgi' }
+    }));
+
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.rule, 'census');
+    assert.equal(decision.firedRules.length, 2);
+});
+
+test('the most severe matching deny rule decides', () => {
+    const engine = new PolicyEngine({
+        includeDefaults: false,
+        rules: [
+            { id: 'health-log', severity: 'log', match: { sector: 'Health' } },
+            { id: 'health-tag', severity: 'block', match: { tag: 'patients' } },
+            { id: 'health-warn', severity: 'warn', match: { regex: 'hospital\\s+admissions?' } }
+        ]
+    });
+    const decision = engine.evaluate(dataset({
+        title: 'Hospital admissions 2023',
+        sector: 'health',
+        tags: [{ display_name: 'Patients' }]
+    }));
+
+    assert.equal(decision.rule, 'health-tag');
+    assert.equal(decision.allowed, false);
+    assert.deepEqual(decision.firedRules.map(fired => fired.id), ['health-log', 'health-tag', 'health-warn']);
+});
+
+test('every criterion of a rule must match', () => {
+    const engine = new PolicyEngine({
+        includeDefaults: false,
+        rules: [{ id: 'nc', match: { license: 'CC BY-NC 4.0', keyword: 'survey', fields: ['title'] } }]
+    });
+
+    assert.equal(engine.evaluate(dataset({ title: 'Household survey', license_title: 'cc by-nc 4.0' })).rule, 'nc');
+    assert.equal(engine.evaluate(dataset({ title: 'Household survey', license_title: 'GODL' })).rule, null);
+    assert.equal(engine.evaluate(dataset({ notes: 'survey', license_title: 'CC BY-NC 4.0' })).rule, null, 'keyword limited to the title');
+});
+
+test('a rule with the id of a default replaces it, and enabled: false switches it off', () => {
+    const engine = new PolicyEngine({ rules: [{ id: 'restricted-marking', enabled: false }] });
+
+    assert.equal(engine.rules.some(rule => rule.id === 'restricted-marking'), false);
+    assert.equal(engine.evaluate(dataset({ notes: 'confidential' })).allowed, true);
+});
+
+test('invalid rules throw INVALID_POLICY', () => {
+    const invalid = [
+        { id: 'a', effect: 'permit', match: { keyword: 'x' } },
+        { id: 'b', severity: 'fatal', match: { keyword: 'x' } },
+        { id: 'c', match: { title: 'x' } },
+        { id: 'd', match: { regex: '(' } }
+    ];
+
+    invalid.forEach(rule => {
+        assert.throws(() => new PolicyEngine({ rules: [rule] }), error => error.code === 'INVALID_POLICY' && error.details.rule === rule.id);
+    });
+});
+
+test('with blockRestrictedData off, blocking rules only warn', () => {
+    const restricted = dataset({ notes: 'classified' });
+
+    const blocking = new GovernanceLayer({ enableAuditLog: false }).validateDatasetAccess(restricted);
+    assert.equal(blocking.allowed, false);
+
+    const permissive = new GovernanceLayer({ enableAuditLog: false, blockRestrictedData: false }).validateDatasetAccess(restricted);
+    assert.equal(permissive.allowed, true);
+    assert.equal(permissive.policy.severity, 'warn');
+    assert.ok(permissive.warnings.some(warning => warning.includes('restricted-marking')));
+});
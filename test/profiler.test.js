@@ -0,0 +1,48 @@
+/**
+ * Data Profiler Tests
+ * Column type inference, missing-value placeholders and the generated Table Schema
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataProfiler = require('../src/profiler');
+
+test('column types are inferred from Indian number, date and state formats', () => {
+    const profiler = new DataProfiler();
+
+    assert.equal(profiler.profileColumn('population', ['1,23,456', '7,890', '12']).type, 'integer');
+    assert.equal(profiler.profileColumn('yield', ['2.5', '3.75', '1,234.5']).type, 'decimal');
+
+    const date = profiler.profileColumn('date', ['01-04-2023', '15-08-2023', '31-12-2023']);
+    assert.equal(date.type, 'date');
+    assert.equal(date.format, 'DD-MM-YYYY');
+    assert.equal(date.maxDate, '2023-12-31');
+
+    assert.equal(profiler.profileColumn('state', ['Kerala', 'Orissa', 'Tamil Nadu']).type, 'indian_state');
+});
+
+test('NA, N/A and dash placeholders count as nulls when inferring types', () => {
+    const profile = new DataProfiler().profileColumn('production', ['120', 'NA', '340', 'N/A', '-', '560', ' n/a ', '']);
+
+    assert.equal(profile.type, 'integer');
+    assert.equal(profile.nonNullCount, 3);
+    assert.equal(profile.nullCount, 5);
+    assert.equal(profile.max, 560);
+    assert.deepEqual(profile.missingValues, ['NA', 'N/A', '-', 'n/a']);
+    assert.equal(profile.topValues.some(item => item.value === 'NA'), false);
+});
+
+test('the Table Schema lists the placeholders seen and marks complete columns required', () => {
+    const profile = new DataProfiler().profileTable([
+        { state: 'Kerala', cases: '10' },
+        { state: 'Punjab', cases: 'NA' },
+        { state: 'Goa', cases: '--' }
+    ]);
+
+    assert.deepEqual(profile.tableSchema.missingValues, ['', 'NA', '--']);
+
+    const [state, cases] = profile.tableSchema.fields;
+    assert.equal(state.constraints.required, true);
+    assert.equal(cases.type, 'integer');
+    assert.equal(cases.constraints?.required, undefined);
+});
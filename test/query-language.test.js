@@ -0,0 +1,85 @@
+/**
+ * Query Language Tests
+ * Parsing (phrases, AND/OR/NOT, fields and aliases, ranges), Solr compilation and escaping, syntax errors
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveField, parseQuery, compileQuery, isPlainText, extractText } = require('../src/query-language');
+
+const compile = (text, options) => compileQuery(parseQuery(text), options);
+
+test('an empty query matches everything', () => {
+    assert.equal(parseQuery('   '), null);
+    assert.deepEqual(compileQuery(null), { q: '*:*', fq: null });
+});
+
+test('field names resolve through aliases', () => {
+    assert.equal(resolveField('Org'), 'organization');
+    assert.equal(resolveField('sector'), 'group');
+    assert.equal(resolveField('num_resources'), 'resources');
+    assert.equal(resolveField('colour'), null);
+});
+
+test('plain keywords stay plain so CKAN keeps its relevance ranking', () => {
+    const ast = parseQuery('crop production');
+
+    assert.equal(isPlainText(ast), true);
+    assert.deepEqual(compileQuery(ast), { q: 'crop production', fq: null });
+    assert.deepEqual(compile('rice wheat', { textFields: ['title', 'notes'] }), { q: 'title:(rice wheat) OR notes:(rice wheat)', fq: null });
+});
+
+test('phrases and boolean operators compile against the catch-all text field', () => {
+    const ast = parseQuery('"crop production" AND (rice OR wheat)');
+
+    assert.deepEqual(ast, {
+        type: 'and',
+        children: [
+            { type: 'phrase', value: 'crop production', field: null },
+            { type: 'or', children: [{ type: 'term', value: 'rice', field: null }, { type: 'term', value: 'wheat', field: null }] }
+        ]
+    });
+    assert.deepEqual(compileQuery(ast), { q: 'text:"crop production" AND (text:rice OR text:wheat)', fq: null });
+    assert.equal(extractText(ast), 'crop production rice wheat');
+});
+
+test('fielded conjuncts become filter queries and negation is anchored', () => {
+    assert.deepEqual(compile('org:"ministry-of-agriculture" -tags:archive'), {
+        q: '*:*',
+        fq: 'organization:"ministry-of-agriculture" AND NOT tags:"archive"'
+    });
+    assert.deepEqual(compile('rainfall NOT title:draft'), { q: 'text:rainfall', fq: '*:* AND NOT title:draft' });
+    assert.equal(extractText(parseQuery('rainfall NOT drought')), 'rainfall');
+});
+
+test('date ranges cover whole periods and counts compare as numbers', () => {
+    assert.deepEqual(compile('modified:[2020 TO 2023-06] resources:>=3'), {
+        q: '*:*',
+        fq: 'metadata_modified:[2020-01-01T00:00:00.000Z TO 2023-06-30T23:59:59.999Z] AND num_resources:[3 TO *]'
+    });
+    assert.deepEqual(compile('modified:>2020'), { q: '*:*', fq: 'metadata_modified:{2020-12-31T23:59:59.999Z TO *]' });
+});
+
+test('Solr special characters in terms are escaped', () => {
+    assert.deepEqual(compile('a:b'), { q: 'a\\:b', fq: null }, 'unknown fields are searched as text');
+    assert.deepEqual(compile('c++'), { q: 'c\\+\\+', fq: null });
+});
+
+test('syntax errors throw INVALID_QUERY with the position', () => {
+    const cases = [
+        ['"open', 'Unterminated quoted phrase', 0],
+        ['(rice', 'Missing closing parenthesis', 0],
+        ['modified:[2020 TO]', 'Ranges are written [from TO to]', 9],
+        ['title:[1 TO 2]', 'Ranges need a date or count field', 6],
+        ['resources:abc', '"abc" is not a whole number', 10],
+        ['modified:2020-13', '"2020-13" is not a date', 9]
+    ];
+
+    cases.forEach(([query, message, position]) => {
+        assert.throws(() => parseQuery(query), error => error.code === 'INVALID_QUERY'
+            && error.message.includes(message)
+            && error.details.position === position, query);
+    });
+
+    assert.throws(() => parseQuery('x'.repeat(501)), error => error.code === 'INVALID_QUERY');
+});
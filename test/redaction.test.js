@@ -0,0 +1,144 @@
+/**
+ * Redaction Tests
+ * Column and span plans, per-policy transformations, free-text and JSON tree redaction
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Redactor = require('../src/redaction');
+
+const scan = {
+    table: 'beneficiaries',
+    columns: [
+        { column: 'aadhaar_no', primaryType: 'aadhaar', detections: [{ type: 'aadhaar' }] },
+        { column: 'mobile', primaryType: 'mobile', detections: [{ type: 'mobile' }] },
+        { column: 'email', primaryType: 'email', detections: [{ type: 'email' }] },
+        { column: 'age', primaryType: null, quasiIdentifier: { kind: 'age' }, detections: [] },
+        { column: 'remarks', primaryType: null, detections: [{ type: 'pan' }] },
+        { column: 'district', primaryType: null, detections: [] }
+    ]
+};
+
+const records = () => [
+    {
+        aadhaar_no: '2345 6789 0124',
+        mobile: '9876543210',
+        email: 'ravi@example.com',
+        age: '34',
+        remarks: 'PAN ABCPE1234F on file',
+        district: 'Pune'
+    }
+];
+
+test('a disabled redactor plans nothing', () => {
+    const redactor = new Redactor();
+    assert.equal(redactor.planTable(scan), null);
+    assert.equal(redactor.planText('notice', 'line'), null);
+});
+
+test('planTable picks column actions from the policies and span redaction for other flagged columns', () => {
+    const plan = new Redactor({ enabled: true, salt: 'test' }).planTable(scan);
+
+    assert.equal(plan.table, 'beneficiaries');
+    assert.deepEqual(plan.columns.map(({ column, action, mode }) => [column, action, mode]), [
+        ['aadhaar_no', 'mask', 'column'],
+        ['mobile', 'partial', 'column'],
+        ['email', 'hash', 'column'],
+        ['age', 'generalise', 'column'],
+        ['remarks', 'span', 'span']
+    ]);
+});
+
+test('applyPlan redacts records in place and summarize counts the values', () => {
+    const redactor = new Redactor({ enabled: true, salt: 'test' });
+    const plan = redactor.planTable(scan);
+    const [record] = records();
+
+    redactor.applyPlan(plan, [record]);
+
+    assert.equal(record.aadhaar_no, 'XXXX XXXX XXXX');
+    assert.equal(record.mobile, 'XXXXXX3210');
+    assert.match(record.email, /^email_[0-9a-f]{16}$/);
+    assert.equal(record.age, '30-39');
+    assert.equal(record.remarks, 'PAN XXXXXXXXXX on file');
+    assert.equal(record.district, 'Pune');
+
+    const summary = redactor.summarize(plan);
+    assert.equal(summary.valuesRedacted, 5);
+    assert.deepEqual(summary.droppedColumns, []);
+    assert.equal(summary.saltSource, 'configured');
+});
+
+test('the drop policy removes the column', () => {
+    const redactor = new Redactor({ enabled: true, policies: { aadhaar: 'drop' } });
+    const plan = redactor.planTable(scan);
+    const [record] = records();
+
+    redactor.applyPlan(plan, [record]);
+
+    assert.equal('aadhaar_no' in record, false);
+    assert.deepEqual(redactor.summarize(plan).droppedColumns, ['aadhaar_no']);
+});
+
+test('unknown policy actions are ignored', () => {
+    const redactor = new Redactor({ enabled: true, policies: { aadhaar: 'shred' } });
+    assert.equal(redactor.policies.aadhaar, 'mask');
+});
+
+test('pseudonyms are stable for a salt and differ between salts', () => {
+    const first = new Redactor({ salt: 'one' });
+    const second = new Redactor({ salt: 'two' });
+
+    assert.equal(first.pseudonymise('Ravi@Example.com', 'email'), first.pseudonymise(' ravi@example.com ', 'email'));
+    assert.notEqual(first.pseudonymise('ravi@example.com', 'email'), second.pseudonymise('ravi@example.com', 'email'));
+    assert.equal(new Redactor().saltSource, 'random');
+});
+
+test('mask and partialMask keep separators', () => {
+    const redactor = new Redactor();
+
+    assert.equal(redactor.mask('ABCPE1234F'), 'XXXXXXXXXX');
+    assert.equal(redactor.mask('ravi@example.com'), 'email@redacted.com');
+    assert.equal(redactor.partialMask('2345 6789 0124'), 'XXXX XXXX 0124');
+});
+
+test('generalise bands ages, keeps the birth year and the PIN sorting district', () => {
+    const redactor = new Redactor({ ageBandSize: 5 });
+
+    assert.equal(redactor.generalise('34', 'age'), '30-34');
+    assert.equal(redactor.generalise('12/08/1987', 'date_of_birth'), '1987');
+    assert.equal(redactor.generalise('411001', 'postal_code'), '411XXX');
+    assert.equal(redactor.generalise('unknown', 'age'), 'XXXXXXX');
+});
+
+test('planText redacts every identifier span in free text', () => {
+    const redactor = new Redactor({ enabled: true, salt: 'test' });
+    const plan = redactor.planText('notice', 'line');
+    const lines = [{ line: 'Contact +91 98765 43210 or ravi@example.com' }, { line: 'Ticket 9876543210 closed' }];
+
+    redactor.applyPlan(plan, lines);
+
+    assert.match(lines[0].line, /^Contact \+XX XXXXX X3210 or email_[0-9a-f]{16}$/);
+    assert.equal(lines[1].line, 'Ticket 9876543210 closed', 'bare digit runs without context are low confidence');
+    assert.equal(redactor.summarize(plan).columns[0].reason, 'free_text');
+});
+
+test('redactTree redacts nested strings and uses keys as detection context', () => {
+    const redactor = new Redactor({ enabled: true, salt: 'test' });
+    const counter = { valuesRedacted: 0 };
+    const value = {
+        title: 'Scheme beneficiaries',
+        contact: { aadhaar: '234567890124', mobile: ['9876543210'], ticket: '9876543210' },
+        count: 3
+    };
+
+    const redacted = redactor.redactTree(value, counter);
+
+    assert.equal(redacted.title, 'Scheme beneficiaries');
+    assert.equal(redacted.contact.aadhaar, 'XXXXXXXXXXXX');
+    assert.deepEqual(redacted.contact.mobile, ['XXXXXX3210']);
+    assert.equal(redacted.contact.ticket, '9876543210');
+    assert.equal(redacted.count, 3);
+    assert.equal(counter.valuesRedacted, 2);
+    assert.equal(value.contact.aadhaar, '234567890124', 'the input is not modified');
+});
@@ -0,0 +1,73 @@
+/**
+ * Search Discovery Tests
+ * Catalog listings against a stubbed CKAN client: paged organizations, hierarchies and popular tags
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataGovINClient = require('../src/api-client');
+const SearchDiscovery = require('../src/search-discovery');
+
+// A client whose CKAN actions are answered by handler(action, params) instead of the portal
+const stubClient = (handler) => {
+    const calls = [];
+    const client = Object.create(DataGovINClient.prototype);
+    client.request = async (action, params) => {
+        calls.push({ action, params });
+        return handler(action, params);
+    };
+    return { client, calls };
+};
+
+test('popular tags are ranked by a package_search facet on tags', async () => {
+    const { client, calls } = stubClient(() => ({
+        count: 3,
+        results: [],
+        search_facets: {
+            tags: {
+                items: [
+                    { name: 'rainfall', display_name: 'rainfall', count: 4 },
+                    { name: 'health', display_name: 'health', count: 12 },
+                    { name: 'census', display_name: 'census', count: 7 }
+                ]
+            }
+        }
+    }));
+
+    const tags = await new SearchDiscovery(client).getPopularTags(2);
+
+    assert.deepEqual(tags, [{ name: 'health', datasetCount: 12 }, { name: 'census', datasetCount: 7 }]);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].action, 'package_search');
+    assert.equal(calls[0].params.rows, 0);
+    assert.deepEqual(calls[0].params['facet.field'], ['tags']);
+    assert.equal(calls[0].params['facet.limit'], 2);
+});
+
+test('a portal without tag facets yields no tags', async () => {
+    const { client } = stubClient(() => ({ count: 0, results: [] }));
+
+    assert.deepEqual(await new SearchDiscovery(client).getPopularTags(), []);
+});
+
+test('organizations are read past the first page and nested under their parents', async () => {
+    const organizations = [
+        { name: 'moa', title: 'Ministry of Agriculture', package_count: 2 },
+        ...Array.from({ length: 150 }, (_, i) => ({
+            name: `dept-${i}`,
+            title: `Department ${i}`,
+            package_count: 1,
+            groups: i < 3 ? [{ name: 'moa' }] : []
+        }))
+    ];
+    const { client, calls } = stubClient((action, params) => organizations.slice(params.offset, params.offset + params.limit));
+
+    const discovery = new SearchDiscovery(client);
+    const hierarchy = await discovery.getOrganizationHierarchy();
+
+    assert.equal(calls.filter(call => call.action === 'organization_list').length, 3);
+    assert.equal(hierarchy.length, 148);
+    assert.equal(hierarchy[0].name, 'moa');
+    assert.equal(hierarchy[0].children.length, 3);
+    assert.equal(hierarchy[0].totalDatasetCount, 5);
+});
@@ -0,0 +1,77 @@
+/**
+ * Time Series Tests
+ * Time key parsing (years, financial years, months, dates) and long and wide series building
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimeSeriesBuilder, parseTimeKey } = require('../src/time-series');
+
+test('time keys parse years, financial years, months and day-first dates', () => {
+    assert.deepEqual(parseTimeKey('2019'), { date: '2019-01-01', granularity: 'year' });
+    assert.deepEqual(parseTimeKey('2019-20'), { date: '2019-04-01', granularity: 'financial_year' });
+    assert.deepEqual(parseTimeKey('FY 2019-2020'), { date: '2019-04-01', granularity: 'financial_year' });
+    assert.deepEqual(parseTimeKey('Mar-2021'), { date: '2021-03-01', granularity: 'month' });
+    assert.deepEqual(parseTimeKey('15-08-2022'), { date: '2022-08-15', granularity: 'day' });
+
+    // Non-consecutive ranges and plain text are not time keys; headers are parsed loosely
+    assert.equal(parseTimeKey('2019-21'), null);
+    assert.equal(parseTimeKey('Kerala'), null);
+    assert.equal(parseTimeKey('Production 2018-19 (tonnes)'), null);
+    assert.deepEqual(parseTimeKey('Production 2018-19 (tonnes)', true), { date: '2018-04-01', granularity: 'financial_year' });
+});
+
+test('long tables give one series per numeric column, summing rows that share a period', () => {
+    const result = new TimeSeriesBuilder().build([
+        { Year: '2019-20', State: 'Kerala', rainfall: '100', 'State Code': '32' },
+        { Year: '2019-20', State: 'Goa', rainfall: '50', 'State Code': '30' },
+        { Year: '2020-21', State: 'Kerala', rainfall: '120', 'State Code': '32' },
+        { Year: '2021-22', State: 'Kerala', rainfall: '90', 'State Code': '32' }
+    ]);
+
+    assert.equal(result.layout, 'long');
+    assert.equal(result.timeColumn, 'Year');
+    assert.equal(result.granularity, 'financial_year');
+    assert.deepEqual(result.series.map(series => series.column), ['rainfall']);
+    assert.equal(result.series[0].aggregation, 'sum');
+    assert.deepEqual(result.series[0].points, [
+        { date: '2019-04-01', value: 150 },
+        { date: '2020-04-01', value: 120 },
+        { date: '2021-04-01', value: 90 }
+    ]);
+});
+
+test('a month column refines financial years, with January to March in the second calendar year', () => {
+    const result = new TimeSeriesBuilder({ aggregation: 'mean' }).build([
+        { year: '2020-21', month: 'April', cases: '10' },
+        { year: '2020-21', month: 'January', cases: '30' },
+        { year: '2021-22', month: 'April', cases: '20' },
+        { year: '2021-22', month: 'April', cases: '40' }
+    ]);
+
+    assert.equal(result.monthColumn, 'month');
+    assert.equal(result.granularity, 'month');
+    assert.equal(result.series[0].aggregation, 'mean');
+    assert.deepEqual(result.series[0].points, [
+        { date: '2020-04-01', value: 10 },
+        { date: '2021-01-01', value: 30 },
+        { date: '2021-04-01', value: 30 }
+    ]);
+});
+
+test('year-wise column headers give one series per row', () => {
+    const result = new TimeSeriesBuilder().build([
+        { State: 'Kerala', '2016-17': '1', '2017-18': '2', '2018-19': '3' },
+        { State: 'Goa', '2016-17': '4', '2017-18': '', '2018-19': '6' }
+    ]);
+
+    assert.equal(result.layout, 'wide');
+    assert.equal(result.labelColumn, 'State');
+    assert.deepEqual(result.series.map(series => series.label), ['Kerala']);
+    assert.deepEqual(result.series[0].points.map(point => point.value), [1, 2, 3]);
+});
+
+test('tables without a time axis give no series', () => {
+    assert.equal(new TimeSeriesBuilder().build([{ crop: 'Rice', area: '5' }, { crop: 'Wheat', area: '7' }]), null);
+    assert.equal(new TimeSeriesBuilder().build([]), null);
+});